@@ -1,18 +1,29 @@
 import 'dotenv/config.js';
 import express from 'express';
 import cookieParser from 'cookie-parser';
-import logger from 'morgan';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import { CORS_ORIGIN } from '#root/utils/constants.js';
 import stripeRouter from '#root/routes/v1/stripeRouter.js';
 import v1Router from '#root/routes/v1/v1Router.js';
+import metricsRouter from '#root/routes/v1/metricsRouter.js';
+import healthRouter from '#root/routes/v1/healthRouter.js';
 import cron from 'node-cron';
 import { cleanupInactiveWarps } from '#root/utils/warpUtils.js';
+import { promoteQueuedWarps } from '#root/utils/warpQueueUtils.js';
+import {
+  requestContextMiddleware,
+  runWithRequestId,
+} from '#root/utils/requestContextUtils.js';
+import { createLogger, requestLogMiddleware } from '#root/utils/logUtils.js';
+
+const cronLogger = createLogger({ component: 'Cron' });
 
 var app = express();
 
-app.use(logger('dev'));
+// First, so everything a request does can be traced back to it
+app.use(requestContextMiddleware);
+app.use(requestLogMiddleware);
 
 app.use('/stripe', stripeRouter);
 
@@ -26,6 +37,7 @@ const corsOptions = {
   methods: 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS',
   preflightContinue: true,
   credentials: true,
+  exposedHeaders: 'X-Request-Id',
   optionsSuccessStatus: 200, // some legacy browsers (IE11, various SmartTVs) choke on 204
 };
 
@@ -35,18 +47,30 @@ app.get('/alivecheck', function (req, res, next) {
   res.json({ message: 'root alivecheck' });
 });
 
+app.use(healthRouter);
+
 app.use('/v1', v1Router);
+app.use('/metrics', metricsRouter);
 
-// Schedule the cleanup task to run every 5 minutes
-cron.schedule('*/5 * * * *', () => {
-  console.log('[Cron] Running cleanup for inactive/stuck warps...');
+// Schedule the cleanup task to run every 5 minutes. Each run gets its own ID
+// in the logs, like a request.
+cron.schedule('*/5 * * * *', () => runWithRequestId(() => {
+  cronLogger.info('Running cleanup for inactive/stuck warps');
   cleanupInactiveWarps().catch(error => {
     // Log the error but don't crash the server
-    console.error('[Cron] Error during cleanupInactiveWarps:', error);
+    cronLogger.error('Error during cleanupInactiveWarps', { error });
   });
-});
+}));
 
-console.log('[Cron] Scheduled job cleanupInactiveWarps to run every 5 minutes.');
+cronLogger.info('Scheduled job cleanupInactiveWarps to run every 5 minutes');
+
+// Ending warps promote queued ones right away. This also starts them when slots
+// free up otherwise, e.g. after a concurrency limit is raised.
+cron.schedule('* * * * *', () => runWithRequestId(() => {
+  promoteQueuedWarps().catch(error => {
+    cronLogger.error('Error during promoteQueuedWarps', { error });
+  });
+}));
 
 // Optional: Run cleanup once on startup as well?
 // console.log('[Startup] Running initial cleanup for inactive/stuck warps...');
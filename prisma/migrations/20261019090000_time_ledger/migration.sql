@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "TimeLedgerEntryType" AS ENUM ('SIGNUP_BONUS', 'PURCHASE', 'WARP_USAGE', 'REFUND', 'ADMIN_GRANT', 'ADJUSTMENT');
+
+-- CreateTable
+CREATE TABLE "TimeLedgerEntry" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "type" "TimeLedgerEntryType" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "warpId" TEXT,
+    "stripeSessionId" TEXT,
+    "note" TEXT,
+
+    CONSTRAINT "TimeLedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TimeLedgerEntry_userId_createdAt_idx" ON "TimeLedgerEntry"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "TimeLedgerEntry" ADD CONSTRAINT "TimeLedgerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TimeLedgerEntry" ADD CONSTRAINT "TimeLedgerEntry_warpId_fkey" FOREIGN KEY ("warpId") REFERENCES "Warp"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: carry every existing balance over as an opening entry so the
+-- ledger sums to User.timeBalance from day one
+INSERT INTO "TimeLedgerEntry" ("id", "userId", "type", "amount", "balanceAfter", "note")
+SELECT 'opening_' || "id", "id", 'ADJUSTMENT', "timeBalance", "timeBalance", 'Opening balance'
+FROM "User";
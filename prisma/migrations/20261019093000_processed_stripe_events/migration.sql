@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "ProcessedStripeEvent" (
+    "id" TEXT NOT NULL,
+    "processedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "type" TEXT NOT NULL,
+    "checkoutSessionId" TEXT,
+
+    CONSTRAINT "ProcessedStripeEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProcessedStripeEvent_checkoutSessionId_key" ON "ProcessedStripeEvent"("checkoutSessionId");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "CreditPackage" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "name" TEXT NOT NULL,
+    "priceCents" INTEGER NOT NULL,
+    "seconds" INTEGER NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+
+    CONSTRAINT "CreditPackage_pkey" PRIMARY KEY ("id")
+);
+
+-- Seed the packages that used to be hard-coded in the Stripe webhook
+INSERT INTO "CreditPackage" ("id", "updatedAt", "name", "priceCents", "seconds") VALUES
+    ('pack_1_hour', CURRENT_TIMESTAMP, '1 Hour', 500, 3600),
+    ('pack_10_hours', CURRENT_TIMESTAMP, '10 Hours', 2000, 36000),
+    ('pack_100_hours', CURRENT_TIMESTAMP, '100 Hours', 15000, 360000);
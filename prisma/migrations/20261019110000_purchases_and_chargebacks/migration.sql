@@ -0,0 +1,31 @@
+-- AlterEnum
+ALTER TYPE "TimeLedgerEntryType" ADD VALUE 'CHARGEBACK';
+
+-- CreateTable
+CREATE TABLE "Purchase" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "creditPackageId" TEXT,
+    "stripeCheckoutSessionId" TEXT NOT NULL,
+    "stripePaymentIntentId" TEXT,
+    "amountPaidCents" INTEGER NOT NULL,
+    "secondsGranted" INTEGER NOT NULL,
+    "refundedCents" INTEGER NOT NULL DEFAULT 0,
+    "disputedCents" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "Purchase_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Purchase_stripeCheckoutSessionId_key" ON "Purchase"("stripeCheckoutSessionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Purchase_stripePaymentIntentId_key" ON "Purchase"("stripePaymentIntentId");
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_creditPackageId_fkey" FOREIGN KEY ("creditPackageId") REFERENCES "CreditPackage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterEnum
+ALTER TYPE "TimeLedgerEntryType" ADD VALUE 'SUBSCRIPTION_GRANT';
+ALTER TYPE "TimeLedgerEntryType" ADD VALUE 'SUBSCRIPTION_EXPIRY';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "stripeSubscriptionId" TEXT,
+ADD COLUMN     "subscriptionAllowanceSeconds" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "subscriptionCurrentPeriodEnd" TIMESTAMP(3),
+ADD COLUMN     "subscriptionPlanId" TEXT,
+ADD COLUMN     "subscriptionStatus" TEXT;
+
+-- CreateTable
+CREATE TABLE "SubscriptionPlan" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "name" TEXT NOT NULL,
+    "stripePriceId" TEXT NOT NULL,
+    "priceCents" INTEGER NOT NULL,
+    "secondsPerCycle" INTEGER NOT NULL,
+    "rolloverCapSeconds" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+
+    CONSTRAINT "SubscriptionPlan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SubscriptionPlan_stripePriceId_key" ON "SubscriptionPlan"("stripePriceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_stripeSubscriptionId_key" ON "User"("stripeSubscriptionId");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_subscriptionPlanId_fkey" FOREIGN KEY ("subscriptionPlanId") REFERENCES "SubscriptionPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Purchase" ADD COLUMN     "receiptUrl" TEXT,
+ADD COLUMN     "stripeInvoiceId" TEXT,
+ADD COLUMN     "subscriptionPlanId" TEXT,
+ALTER COLUMN "stripeCheckoutSessionId" DROP NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Purchase_stripeInvoiceId_key" ON "Purchase"("stripeInvoiceId");
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_subscriptionPlanId_fkey" FOREIGN KEY ("subscriptionPlanId") REFERENCES "SubscriptionPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Warp" ADD COLUMN     "callbackToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Warp_callbackToken_key" ON "Warp"("callbackToken");
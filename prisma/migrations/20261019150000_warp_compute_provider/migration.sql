@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Warp" ADD COLUMN     "computeProvider" TEXT;
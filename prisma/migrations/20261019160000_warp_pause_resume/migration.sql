@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Warp" ADD COLUMN     "pausedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "WarpActiveInterval" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "warpId" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "WarpActiveInterval_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WarpActiveInterval_warpId_idx" ON "WarpActiveInterval"("warpId");
+
+-- AddForeignKey
+ALTER TABLE "WarpActiveInterval" ADD CONSTRAINT "WarpActiveInterval_warpId_fkey" FOREIGN KEY ("warpId") REFERENCES "Warp"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
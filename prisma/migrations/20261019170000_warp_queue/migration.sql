@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "WarpQueueEntryStatus" AS ENUM ('WAITING', 'PROMOTED', 'EXPIRED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "Warp" ADD COLUMN     "tier" TEXT;
+
+-- CreateTable
+CREATE TABLE "WarpQueueEntry" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "tier" TEXT NOT NULL,
+    "status" "WarpQueueEntryStatus" NOT NULL DEFAULT 'WAITING',
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "warpId" TEXT,
+
+    CONSTRAINT "WarpQueueEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WarpQueueEntry_warpId_key" ON "WarpQueueEntry"("warpId");
+
+-- CreateIndex
+CREATE INDEX "WarpQueueEntry_status_createdAt_idx" ON "WarpQueueEntry"("status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "WarpQueueEntry" ADD CONSTRAINT "WarpQueueEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WarpQueueEntry" ADD CONSTRAINT "WarpQueueEntry_warpId_fkey" FOREIGN KEY ("warpId") REFERENCES "Warp"("id") ON DELETE SET NULL ON UPDATE CASCADE;
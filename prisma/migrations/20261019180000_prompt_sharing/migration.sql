@@ -0,0 +1,16 @@
+-- CreateEnum
+CREATE TYPE "PromptVisibility" AS ENUM ('PRIVATE', 'UNLISTED', 'PUBLIC');
+
+-- AlterTable
+ALTER TABLE "Prompt" ADD COLUMN     "forkedFromId" TEXT,
+ADD COLUMN     "shareToken" TEXT,
+ADD COLUMN     "visibility" "PromptVisibility" NOT NULL DEFAULT 'PRIVATE';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Prompt_shareToken_key" ON "Prompt"("shareToken");
+
+-- CreateIndex
+CREATE INDEX "Prompt_visibility_createdAt_idx" ON "Prompt"("visibility", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Prompt" ADD CONSTRAINT "Prompt_forkedFromId_fkey" FOREIGN KEY ("forkedFromId") REFERENCES "Prompt"("id") ON DELETE SET NULL ON UPDATE CASCADE;
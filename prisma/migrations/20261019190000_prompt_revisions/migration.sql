@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "PromptRevision" (
+    "id" TEXT NOT NULL,
+    "savedPromptId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "postText" TEXT,
+    "editedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PromptRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PromptRevision_savedPromptId_editedAt_idx" ON "PromptRevision"("savedPromptId", "editedAt");
+
+-- AddForeignKey
+ALTER TABLE "PromptRevision" ADD CONSTRAINT "PromptRevision_savedPromptId_fkey" FOREIGN KEY ("savedPromptId") REFERENCES "Prompt"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "Warp" ADD COLUMN     "playlistId" TEXT;
+
+-- AlterTable
+ALTER TABLE "WarpQueueEntry" ADD COLUMN     "playlistId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Playlist" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+    "createdById" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "bpm" DOUBLE PRECISION,
+
+    CONSTRAINT "Playlist_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PlaylistEntry" (
+    "id" TEXT NOT NULL,
+    "playlistId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "savedPromptId" TEXT NOT NULL,
+    "durationSeconds" INTEGER,
+    "cueBeats" INTEGER,
+
+    CONSTRAINT "PlaylistEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Playlist_createdById_idx" ON "Playlist"("createdById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PlaylistEntry_playlistId_position_key" ON "PlaylistEntry"("playlistId", "position");
+
+-- AddForeignKey
+ALTER TABLE "Warp" ADD CONSTRAINT "Warp_playlistId_fkey" FOREIGN KEY ("playlistId") REFERENCES "Playlist"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WarpQueueEntry" ADD CONSTRAINT "WarpQueueEntry_playlistId_fkey" FOREIGN KEY ("playlistId") REFERENCES "Playlist"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Playlist" ADD CONSTRAINT "Playlist_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PlaylistEntry" ADD CONSTRAINT "PlaylistEntry_playlistId_fkey" FOREIGN KEY ("playlistId") REFERENCES "Playlist"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PlaylistEntry" ADD CONSTRAINT "PlaylistEntry_savedPromptId_fkey" FOREIGN KEY ("savedPromptId") REFERENCES "Prompt"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "PromptModerationStatus" AS ENUM ('APPROVED', 'HELD', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "Prompt" ADD COLUMN     "moderationReason" TEXT,
+ADD COLUMN     "moderationStatus" "PromptModerationStatus" NOT NULL DEFAULT 'APPROVED',
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedById" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Prompt_moderationStatus_createdAt_idx" ON "Prompt"("moderationStatus", "createdAt");
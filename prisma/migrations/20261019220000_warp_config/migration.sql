@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Warp" ADD COLUMN     "config" JSONB;
+
+-- AlterTable
+ALTER TABLE "WarpQueueEntry" ADD COLUMN     "config" JSONB;
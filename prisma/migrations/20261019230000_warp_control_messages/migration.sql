@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Warp" ADD COLUMN     "controlToken" TEXT;
+
+-- CreateTable
+CREATE TABLE "WarpControlMessage" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "warpId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "deliveredAt" TIMESTAMP(3),
+
+    CONSTRAINT "WarpControlMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Warp_controlToken_key" ON "Warp"("controlToken");
+
+-- CreateIndex
+CREATE INDEX "WarpControlMessage_warpId_createdAt_idx" ON "WarpControlMessage"("warpId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "WarpControlMessage" ADD CONSTRAINT "WarpControlMessage_warpId_fkey" FOREIGN KEY ("warpId") REFERENCES "Warp"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
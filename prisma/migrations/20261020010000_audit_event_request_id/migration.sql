@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "AuditEvent" ADD COLUMN     "requestId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_action_createdAt_idx" ON "AuditEvent"("action", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_requestId_idx" ON "AuditEvent"("requestId");
@@ -0,0 +1,16 @@
+-- AlterEnum
+ALTER TYPE "WarpQueueEntryStatus" ADD VALUE 'FAILED';
+
+-- Keep only the newest WAITING entry of each user before enforcing one
+UPDATE "WarpQueueEntry" AS "entry"
+SET "status" = 'CANCELLED'
+WHERE "entry"."status" = 'WAITING'
+  AND EXISTS (
+    SELECT 1 FROM "WarpQueueEntry" AS "newer"
+    WHERE "newer"."userId" = "entry"."userId"
+      AND "newer"."status" = 'WAITING'
+      AND ("newer"."createdAt", "newer"."id") > ("entry"."createdAt", "entry"."id")
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WarpQueueEntry_userId_waiting_key" ON "WarpQueueEntry"("userId") WHERE "status" = 'WAITING';
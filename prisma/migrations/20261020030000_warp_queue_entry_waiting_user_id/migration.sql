@@ -0,0 +1,13 @@
+-- DropIndex
+-- The partial index can't be declared in the Prisma schema; waitingUserId
+-- enforces the same rule in a form it can
+DROP INDEX "WarpQueueEntry_userId_waiting_key";
+
+-- AlterTable
+ALTER TABLE "WarpQueueEntry" ADD COLUMN     "waitingUserId" TEXT;
+
+-- At most one WAITING entry per user exists thanks to the dropped index
+UPDATE "WarpQueueEntry" SET "waitingUserId" = "userId" WHERE "status" = 'WAITING';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WarpQueueEntry_waitingUserId_key" ON "WarpQueueEntry"("waitingUserId");
@@ -0,0 +1,435 @@
+import express from 'express';
+import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { clerkClient, requireSuperUser } from '#root/utils/authUtils.js';
+import {
+  recordAuditEvent,
+  recordBalanceAuditEvent,
+} from '#root/utils/auditUtils.js';
+import { recordTimeLedgerEntry } from '#root/utils/ledgerUtils.js';
+import { cancelWarpAndUpdateUserTimeBalance } from '#root/utils/warpUtils.js';
+import { isEmail } from '#root/utils/dataUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+import {
+  AUDIT_ACTION,
+  PROMPT_MODERATION_STATUS,
+  TERMINAL_JOB_STATUSES,
+  TIME_LEDGER_ENTRY_TYPE,
+} from '#root/utils/constants.js';
+
+const logger = createLogger({ component: 'Admin' });
+
+// Support and moderation tools. Every change made here is recorded as an
+// AuditEvent with the admin as its actor.
+const adminRouter = express.Router({ mergeParams: true });
+
+adminRouter.use(ClerkExpressRequireAuth(), requireSuperUser);
+
+const REVIEW_DECISIONS = {
+  approve: PROMPT_MODERATION_STATUS.APPROVED,
+  reject: PROMPT_MODERATION_STATUS.REJECTED,
+};
+
+// Cursor pagination arguments for findMany, from the cursor and limit query parameters
+const getPageArgs = query => {
+  const limit = Math.min(parseInt(query.limit, 10) || 50, 200);
+  return {
+    limit,
+    pageArgs: {
+      take: limit + 1,
+      ...(query.cursor ? { cursor: { id: query.cursor }, skip: 1 } : {}),
+    },
+  };
+};
+
+// Drops the extra row fetched by getPageArgs and returns the next cursor
+const takeNextCursor = (rows, limit) => {
+  if (rows.length <= limit) {
+    return null;
+  }
+  rows.pop();
+  return rows[rows.length - 1].id;
+};
+
+// prompts by moderation status, oldest first. Defaults to those held for review.
+adminRouter.get('/prompts', async (req, res) => {
+  const moderationStatus =
+    PROMPT_MODERATION_STATUS[String(req.query.status).toUpperCase()] ||
+    PROMPT_MODERATION_STATUS.HELD;
+  const { limit, pageArgs } = getPageArgs(req.query);
+
+  try {
+    const prompts = await appPrismaClient.prompt.findMany({
+      where: { moderationStatus, deletedAt: null },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      ...pageArgs,
+    });
+    const nextCursor = takeNextCursor(prompts, limit);
+
+    return res.json({ success: true, nextCursor, entities: { prompts } });
+  } catch (error) {
+    logger.error('Error fetching prompts for review', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// approve or reject a prompt. A rejection can give the reason shown to its creator.
+adminRouter.post('/prompts/:promptId/review', async (req, res) => {
+  const { promptId } = req.params;
+  const { userId } = req.auth;
+  const { decision, reason } = req.body;
+  const moderationStatus = REVIEW_DECISIONS[decision];
+
+  if (!moderationStatus) {
+    return res
+      .status(400)
+      .json({ error: 'decision must be approve or reject' });
+  }
+
+  try {
+    const prompt = await appPrismaClient.prompt.findFirst({
+      where: { id: promptId, deletedAt: null },
+    });
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const reviewedPrompt = await appPrismaClient.$transaction(async tx => {
+      const reviewedPrompt = await tx.prompt.update({
+        where: { id: promptId },
+        data: {
+          moderationStatus,
+          moderationReason: reason || prompt.moderationReason,
+          reviewedAt: new Date(),
+          reviewedById: userId,
+        },
+      });
+      await recordAuditEvent({
+        tx,
+        actorId: userId,
+        action: AUDIT_ACTION.PROMPT_REVIEWED,
+        targetType: 'Prompt',
+        targetId: promptId,
+        before: { moderationStatus: prompt.moderationStatus },
+        after: { moderationStatus },
+        reason: reason || null,
+      });
+      return reviewedPrompt;
+    });
+
+    logger.info('Prompt reviewed', {
+      promptId,
+      moderationStatus,
+      adminId: userId,
+    });
+    return res.json({ success: true, entities: { prompts: [reviewedPrompt] } });
+  } catch (error) {
+    logger.error('Error reviewing prompt', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// find users by ID, Stripe customer ID or email. Deleted users are included.
+adminRouter.get('/users', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+
+  try {
+    let where = { OR: [{ id: q }, { stripeCustomerId: q }] };
+
+    // Emails live in Clerk
+    if (isEmail(q)) {
+      const { data: clerkUsers } = await clerkClient.users.getUserList({
+        emailAddress: [q],
+      });
+      where = { id: { in: clerkUsers.map(clerkUser => clerkUser.id) } };
+    }
+
+    const users = await appPrismaClient.user.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+    });
+
+    return res.json({ success: true, entities: { users } });
+  } catch (error) {
+    logger.error('Error searching users', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+adminRouter.get('/users/:userId', async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await appPrismaClient.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.json({ success: true, entities: { users: [user] } });
+  } catch (error) {
+    logger.error('Error fetching user', { userId, error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// a user's warps, newest first, including deleted ones
+adminRouter.get('/users/:userId/warps', async (req, res) => {
+  const { userId } = req.params;
+  const { limit, pageArgs } = getPageArgs(req.query);
+
+  try {
+    const warps = await appPrismaClient.warp.findMany({
+      where: { createdById: userId },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...pageArgs,
+    });
+    const nextCursor = takeNextCursor(warps, limit);
+
+    return res.json({ success: true, nextCursor, entities: { warps } });
+  } catch (error) {
+    logger.error('Error fetching warps of user', { userId, error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// a user's payments, newest first
+adminRouter.get('/users/:userId/purchases', async (req, res) => {
+  const { userId } = req.params;
+  const { limit, pageArgs } = getPageArgs(req.query);
+
+  try {
+    const purchases = await appPrismaClient.purchase.findMany({
+      where: { userId },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      include: { creditPackage: true, subscriptionPlan: true },
+      ...pageArgs,
+    });
+    const nextCursor = takeNextCursor(purchases, limit);
+
+    return res.json({ success: true, nextCursor, entities: { purchases } });
+  } catch (error) {
+    logger.error('Error fetching purchases of user', { userId, error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// grant (positive amount) or revoke (negative amount) time, in seconds
+adminRouter.post('/users/:userId/time', async (req, res) => {
+  const { userId } = req.params;
+  const { userId: adminId } = req.auth;
+  const { amount } = req.body;
+  const reason =
+    typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!Number.isInteger(amount) || amount === 0) {
+    return res
+      .status(400)
+      .json({ error: 'amount must be a non-zero whole number of seconds' });
+  }
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  try {
+    const existingUser = await appPrismaClient.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { entry, user } = await appPrismaClient.$transaction(async tx => {
+      const result = await recordTimeLedgerEntry({
+        tx,
+        userId,
+        type:
+          amount > 0
+            ? TIME_LEDGER_ENTRY_TYPE.ADMIN_GRANT
+            : TIME_LEDGER_ENTRY_TYPE.ADJUSTMENT,
+        amount,
+        note: reason,
+      });
+      await recordBalanceAuditEvent({
+        tx,
+        actorId: adminId,
+        action:
+          amount > 0 ? AUDIT_ACTION.TIME_GRANTED : AUDIT_ACTION.TIME_REVOKED,
+        user: result.user,
+        amount,
+        reason,
+      });
+      return result;
+    });
+
+    logger.info('Changed the balance of user', {
+      adminId,
+      userId,
+      amount,
+      reason,
+    });
+    return res.json({
+      success: true,
+      entities: { users: [user], timeLedgerEntries: [entry] },
+    });
+  } catch (error) {
+    logger.error('Error changing the balance of user', { userId, error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// undo the soft delete from a Clerk user.deleted webhook
+adminRouter.post('/users/:userId/restore', async (req, res) => {
+  const { userId } = req.params;
+  const { userId: adminId } = req.auth;
+  const reason = req.body?.reason || null;
+
+  try {
+    const existingUser = await appPrismaClient.user.findUnique({
+      where: { id: userId },
+      select: { id: true, deletedAt: true },
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!existingUser.deletedAt) {
+      return res.status(400).json({ error: 'User is not deleted' });
+    }
+
+    const user = await appPrismaClient.$transaction(async tx => {
+      const user = await tx.user.update({
+        where: { id: userId },
+        data: { deletedAt: null },
+      });
+      await recordAuditEvent({
+        tx,
+        actorId: adminId,
+        action: AUDIT_ACTION.USER_RESTORED,
+        targetType: 'User',
+        targetId: userId,
+        before: { deletedAt: existingUser.deletedAt },
+        after: { deletedAt: null },
+        reason,
+      });
+      return user;
+    });
+
+    logger.info('Restored user', { adminId, userId });
+    return res.json({ success: true, entities: { users: [user] } });
+  } catch (error) {
+    logger.error('Error restoring user', { userId, error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+const AUDIT_EVENT_FILTERS = [
+  'actorId',
+  'action',
+  'targetType',
+  'targetId',
+  'requestId',
+];
+
+// audit events, newest first, filtered by any of AUDIT_EVENT_FILTERS and a
+// from/to date range
+adminRouter.get('/audit-events', async (req, res) => {
+  const where = {};
+  for (const filter of AUDIT_EVENT_FILTERS) {
+    if (typeof req.query[filter] === 'string' && req.query[filter]) {
+      where[filter] = req.query[filter];
+    }
+  }
+
+  for (const [bound, operator] of [
+    ['from', 'gte'],
+    ['to', 'lt'],
+  ]) {
+    if (!req.query[bound]) {
+      continue;
+    }
+    const date = new Date(req.query[bound]);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: `${bound} must be a date` });
+    }
+    where.createdAt = { ...where.createdAt, [operator]: date };
+  }
+
+  const { limit, pageArgs } = getPageArgs(req.query);
+
+  try {
+    const auditEvents = await appPrismaClient.auditEvent.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...pageArgs,
+    });
+    const nextCursor = takeNextCursor(auditEvents, limit);
+
+    return res.json({ success: true, nextCursor, entities: { auditEvents } });
+  } catch (error) {
+    logger.error('Error fetching audit events', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// end any user's warp, billing the time used like the user ending it would
+adminRouter.post('/warps/:warpId/end', async (req, res) => {
+  const { warpId } = req.params;
+  const { userId: adminId } = req.auth;
+  const reason = req.body?.reason || null;
+
+  try {
+    const warp = await appPrismaClient.warp.findUnique({
+      where: { id: warpId },
+      select: {
+        id: true,
+        createdById: true,
+        jobId: true,
+        jobStatus: true,
+        jobStartedAt: true,
+        computeProvider: true,
+      },
+    });
+
+    if (!warp) {
+      return res.status(404).json({ error: 'Warp not found' });
+    }
+
+    if (TERMINAL_JOB_STATUSES.includes(warp.jobStatus)) {
+      return res
+        .status(400)
+        .json({ error: `Warp has already ended (status: ${warp.jobStatus})` });
+    }
+
+    const { warp: endedWarp, user } = await cancelWarpAndUpdateUserTimeBalance({
+      userId: warp.createdById,
+      warpId,
+      warp,
+      actorId: adminId,
+      reason,
+    });
+
+    logger.info('Ended warp', { adminId, warpId });
+    return res.json({
+      success: true,
+      entities: { warps: [endedWarp], users: [user] },
+    });
+  } catch (error) {
+    logger.error('Error ending warp', { warpId, error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+export default adminRouter;
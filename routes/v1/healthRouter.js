@@ -0,0 +1,34 @@
+import express from 'express';
+import { getReadiness } from '#root/utils/healthUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Health' });
+
+// Probes for the orchestrator, mounted at the root next to /alivecheck.
+const healthRouter = express.Router({ mergeParams: true });
+
+// Liveness: the process is up and answering. Dependencies are left to /readyz
+// so an outage elsewhere doesn't get every instance restarted.
+healthRouter.get('/healthz', (req, res) => {
+  return res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+  });
+});
+
+// Readiness: 503 while a dependency is failing. ?provider=true also checks
+// that the compute provider can be reached.
+healthRouter.get('/readyz', async (req, res) => {
+  const readiness = await getReadiness({
+    checkComputeProvider: req.query.provider === 'true',
+  });
+
+  if (readiness.status !== 'ok') {
+    logger.warn('Readiness check failed', { checks: readiness.checks });
+    return res.status(503).json(readiness);
+  }
+
+  return res.json(readiness);
+});
+
+export default healthRouter;
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import express from 'express';
+import { metricsContentType, renderMetrics } from '#root/utils/metricsUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Metrics' });
+
+// Scraped by Prometheus. When METRICS_TOKEN is set, scrapers must send it as
+// a bearer token.
+const metricsRouter = express.Router({ mergeParams: true });
+
+const isAuthorized = req => {
+  const { METRICS_TOKEN } = process.env;
+  if (!METRICS_TOKEN) {
+    return true;
+  }
+
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+};
+
+metricsRouter.get('/', async (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const metrics = await renderMetrics();
+    return res.type(metricsContentType).send(metrics);
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+export default metricsRouter;
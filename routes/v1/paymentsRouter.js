@@ -6,6 +6,9 @@ import { getSecret } from '#root/utils/secretUtils.js';
 import { clerkClient } from '#root/utils/authUtils.js';
 import { isEmail } from '#root/utils/dataUtils.js';
 import { CORS_ORIGIN } from '#root/utils/constants.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Payments' });
 
 const STRIPE_SECRET_KEY = await getSecret('STRIPE_SECRET_KEY');
 const STRIPE_PRODUCT_ID = await getSecret('STRIPE_PRODUCT_ID');
@@ -14,49 +17,92 @@ const stripe = new Stripe(STRIPE_SECRET_KEY); // Step 2: Initialize Stripe
 
 const paymentsRouter = express.Router({ mergeParams: true });
 
+// Reuses the Stripe customer stored on the user, creating one on first checkout.
+// Resolves to null when the Clerk user can't be found.
+const getOrCreateStripeCustomerId = async clerkId => {
+  const user = await appPrismaClient.user.findUnique({
+    where: {
+      id: clerkId,
+    },
+  });
+
+  if (user?.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const clerkUser = await clerkClient.users.getUser(clerkId);
+  if (!clerkUser) {
+    return null;
+  }
+  const potentialEmail = clerkUser.emailAddresses?.[0]?.emailAddress;
+
+  let customerEmail = '';
+  if (potentialEmail && isEmail(potentialEmail)) {
+    customerEmail = potentialEmail;
+  }
+
+  const customer = await stripe.customers.create({
+    email: customerEmail, // Replace with the customer's email address
+    // You can add more details here if necessary (e.g., name, address)
+  });
+
+  await appPrismaClient.user.update({
+    where: {
+      id: clerkId,
+    },
+    data: {
+      stripeCustomerId: customer.id,
+    },
+  });
+
+  return customer.id;
+};
+
+// list the credit packages currently for sale
+paymentsRouter.get('/packages', async (req, res) => {
+  try {
+    const creditPackages = await appPrismaClient.creditPackage.findMany({
+      where: {
+        active: true,
+      },
+      orderBy: {
+        priceCents: 'asc',
+      },
+    });
+
+    return res.json({ success: true, entities: { creditPackages } });
+  } catch (error) {
+    logger.error('Error fetching credit packages', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
 paymentsRouter.post(
   '/create-checkout-session',
   ClerkExpressRequireAuth(),
   async (req, res) => {
-    const { amount, quantity } = req.body;
+    const { packageId } = req.body;
     const { userId: clerkId } = req.auth;
-    console.log('paymentb1212', amount, quantity);
-    const clerkUser = await clerkClient.users.getUser(clerkId);
-    if (!clerkUser) {
-      return res.status(400).send({ message: `user not found` });
-    }
-    const potentialEmail = clerkUser.emailAddresses?.[0]?.emailAddress;
 
-    let customerEmail = '';
-    if (potentialEmail && isEmail(potentialEmail)) {
-      customerEmail = potentialEmail;
+    if (!packageId) {
+      return res.status(400).send({ message: `packageId is required` });
     }
 
     try {
-      const user = await appPrismaClient.user.findUnique({
+      const creditPackage = await appPrismaClient.creditPackage.findFirst({
         where: {
-          id: clerkId,
+          id: packageId,
+          active: true,
         },
       });
 
-      let customer;
-      let customerId = user?.stripeCustomerId;
-      if (!customerId) {
-        customer = await stripe.customers.create({
-          email: customerEmail, // Replace with the customer's email address
-          // You can add more details here if necessary (e.g., name, address)
-        });
-
-        await appPrismaClient.user.update({
-          where: {
-            id: clerkId,
-          },
-          data: {
-            stripeCustomerId: customer.id,
-          },
-        });
+      if (!creditPackage) {
+        return res.status(404).send({ message: `package not found` });
+      }
 
-        customerId = customer.id;
+      const customerId = await getOrCreateStripeCustomerId(clerkId);
+      if (!customerId) {
+        return res.status(400).send({ message: `user not found` });
       }
 
       const session = await stripe.checkout.sessions.create({
@@ -66,37 +112,265 @@ paymentsRouter.post(
             price_data: {
               currency: 'usd',
               product_data: {
-                name: `${quantity} Hour${quantity > 1 ? 's' : ''}`,
-                description: `Purchase ${quantity} hour${
-                  quantity > 1 ? 's' : ''
-                } of time`,
+                name: creditPackage.name,
+                description: `Purchase ${creditPackage.name.toLowerCase()} of time`,
               },
-              unit_amount: amount,
+              unit_amount: creditPackage.priceCents,
             },
             quantity: 1,
           },
         ],
         mode: 'payment',
-        success_url: `${CORS_ORIGIN}/billing?status=success&amount=${amount}`,
+        success_url: `${CORS_ORIGIN}/billing?status=success&amount=${creditPackage.priceCents}`,
         cancel_url: `${CORS_ORIGIN}/billing?status=cancelled`,
         customer: customerId,
         metadata: {
           productId: STRIPE_PRODUCT_ID,
+          creditPackageId: creditPackage.id,
         },
         allow_promotion_codes: true, // Add this line
       });
 
-      console.log('session1212', session);
+      logger.info('Created checkout session', {
+        userId: clerkId,
+        sessionId: session.id,
+        packageId,
+      });
+
+      return res.json({
+        success: true,
+        url: session.url,
+      });
+    } catch (err) {
+      logger.error('Error creating checkout session', { error: err });
+      return res.status(500).send({ message: `Payment Error` });
+    }
+  },
+);
+
+// list the subscription plans currently for sale
+paymentsRouter.get('/plans', async (req, res) => {
+  try {
+    const subscriptionPlans = await appPrismaClient.subscriptionPlan.findMany({
+      where: {
+        active: true,
+      },
+      orderBy: {
+        priceCents: 'asc',
+      },
+    });
+
+    return res.json({ success: true, entities: { subscriptionPlans } });
+  } catch (error) {
+    logger.error('Error fetching subscription plans', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+paymentsRouter.post(
+  '/create-subscription-checkout-session',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { planId } = req.body;
+    const { userId: clerkId } = req.auth;
+
+    if (!planId) {
+      return res.status(400).send({ message: `planId is required` });
+    }
+
+    try {
+      const subscriptionPlan = await appPrismaClient.subscriptionPlan.findFirst(
+        {
+          where: {
+            id: planId,
+            active: true,
+          },
+        },
+      );
+
+      if (!subscriptionPlan) {
+        return res.status(404).send({ message: `plan not found` });
+      }
+
+      const user = await appPrismaClient.user.findUnique({
+        where: {
+          id: clerkId,
+        },
+        select: {
+          stripeSubscriptionId: true,
+        },
+      });
+
+      if (user?.stripeSubscriptionId) {
+        return res
+          .status(409)
+          .send({ message: `user already has a subscription` });
+      }
+
+      const customerId = await getOrCreateStripeCustomerId(clerkId);
+      if (!customerId) {
+        return res.status(400).send({ message: `user not found` });
+      }
+
+      const metadata = {
+        productId: STRIPE_PRODUCT_ID,
+        subscriptionPlanId: subscriptionPlan.id,
+      };
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            price: subscriptionPlan.stripePriceId,
+            quantity: 1,
+          },
+        ],
+        mode: 'subscription',
+        success_url: `${CORS_ORIGIN}/billing?status=success&plan=${subscriptionPlan.id}`,
+        cancel_url: `${CORS_ORIGIN}/billing?status=cancelled`,
+        customer: customerId,
+        metadata,
+        // invoice.paid only sees the subscription, so the plan goes there too
+        subscription_data: { metadata },
+        allow_promotion_codes: true,
+      });
 
       return res.json({
         success: true,
         url: session.url,
       });
     } catch (err) {
-      console.error('paymenterr1313', err);
+      logger.error('Error creating subscription checkout session', {
+        error: err,
+      });
       return res.status(500).send({ message: `Payment Error` });
     }
   },
 );
 
+// the current user's plan, status and renewal date
+paymentsRouter.get(
+  '/subscription',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId: clerkId } = req.auth;
+
+    try {
+      const user = await appPrismaClient.user.findUnique({
+        where: {
+          id: clerkId,
+        },
+        select: {
+          stripeSubscriptionId: true,
+          subscriptionStatus: true,
+          subscriptionCurrentPeriodEnd: true,
+          subscriptionAllowanceSeconds: true,
+          subscriptionPlan: true,
+        },
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: `user not found` });
+      }
+
+      if (!user.stripeSubscriptionId) {
+        return res.json({ success: true, subscription: null });
+      }
+
+      return res.json({
+        success: true,
+        subscription: {
+          status: user.subscriptionStatus,
+          renewsAt: user.subscriptionCurrentPeriodEnd,
+          allowanceSeconds: user.subscriptionAllowanceSeconds,
+          plan: user.subscriptionPlan,
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching subscription', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// the current user's completed purchases, newest first
+paymentsRouter.get('/history', ClerkExpressRequireAuth(), async (req, res) => {
+  const { userId: clerkId } = req.auth;
+
+  try {
+    const purchases = await appPrismaClient.purchase.findMany({
+      where: {
+        userId: clerkId,
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+      include: {
+        creditPackage: true,
+        subscriptionPlan: true,
+      },
+    });
+
+    return res.json({
+      success: true,
+      entities: {
+        purchases: purchases.map(purchase => ({
+          id: purchase.id,
+          createdAt: purchase.createdAt,
+          name:
+            purchase.creditPackage?.name ||
+            purchase.subscriptionPlan?.name ||
+            null,
+          amountPaidCents: purchase.amountPaidCents,
+          refundedCents: purchase.refundedCents,
+          secondsGranted: purchase.secondsGranted,
+          receiptUrl: purchase.receiptUrl,
+        })),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching purchase history', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// open Stripe's billing portal so users can manage cards, invoices and subscriptions
+paymentsRouter.post(
+  '/portal-session',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId: clerkId } = req.auth;
+
+    try {
+      const user = await appPrismaClient.user.findUnique({
+        where: {
+          id: clerkId,
+        },
+        select: {
+          stripeCustomerId: true,
+        },
+      });
+
+      if (!user?.stripeCustomerId) {
+        return res
+          .status(400)
+          .send({ message: `no billing account, make a purchase first` });
+      }
+
+      const portalSession = await stripe.billingPortal.sessions.create({
+        customer: user.stripeCustomerId,
+        return_url: `${CORS_ORIGIN}/billing`,
+      });
+
+      return res.json({
+        success: true,
+        url: portalSession.url,
+      });
+    } catch (err) {
+      logger.error('Error creating billing portal session', { error: err });
+      return res.status(500).send({ message: `Billing Portal Error` });
+    }
+  },
+);
+
 export default paymentsRouter;
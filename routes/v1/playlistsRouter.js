@@ -0,0 +1,196 @@
+import express from 'express';
+import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import {
+  parsePlaylistEntries,
+  getPlaylistInclude,
+} from '#root/utils/playlistUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Playlists' });
+
+const playlistsRouter = express.Router({ mergeParams: true });
+
+// Names are required on create, and can't be blanked by an update
+const isValidName = name => typeof name === 'string' && name.trim() !== '';
+
+// bpm is optional, but has to be a positive number when set
+const isValidBpm = bpm =>
+  bpm == null || (typeof bpm === 'number' && Number.isFinite(bpm) && bpm > 0);
+
+// create a playlist, optionally with its entries
+playlistsRouter.post('/', ClerkExpressRequireAuth(), async (req, res) => {
+  const { userId } = req.auth;
+  const { name, bpm, entries = [] } = req.body;
+
+  if (!isValidName(name)) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  if (!isValidBpm(bpm)) {
+    return res.status(400).json({ error: 'bpm must be a positive number' });
+  }
+
+  try {
+    const parsed = await parsePlaylistEntries({ entries, userId });
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const playlist = await appPrismaClient.$transaction(async tx => {
+      const { id } = await tx.playlist.create({
+        data: { createdBy: { connect: { id: userId } }, name, bpm },
+      });
+      await tx.playlistEntry.createMany({
+        data: parsed.entries.map(entry => ({ ...entry, playlistId: id })),
+      });
+      return tx.playlist.findUnique({
+        where: { id },
+        include: getPlaylistInclude(userId),
+      });
+    });
+
+    return res.json({ success: true, entities: { playlists: [playlist] } });
+  } catch (error) {
+    logger.error('Error creating playlist', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// get all playlists for the current user
+playlistsRouter.get('/', ClerkExpressRequireAuth(), async (req, res) => {
+  const { userId } = req.auth;
+
+  try {
+    const playlists = await appPrismaClient.playlist.findMany({
+      where: { createdById: userId, deletedAt: null },
+      orderBy: { createdAt: 'desc' },
+      include: { _count: { select: { entries: true } } },
+    });
+
+    return res.json({ success: true, entities: { playlists } });
+  } catch (error) {
+    logger.error('Error fetching playlists', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// get a playlist with its entries in order
+playlistsRouter.get(
+  '/:playlistId',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { playlistId } = req.params;
+
+    try {
+      const playlist = await appPrismaClient.playlist.findFirst({
+        where: { id: playlistId, createdById: userId, deletedAt: null },
+        include: getPlaylistInclude(userId),
+      });
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      return res.json({ success: true, entities: { playlists: [playlist] } });
+    } catch (error) {
+      logger.error('Error fetching playlist', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// update a playlist. Sending entries replaces all of them in the order given.
+playlistsRouter.put(
+  '/:playlistId',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { playlistId } = req.params;
+    const { name, bpm, entries } = req.body;
+
+    if (name !== undefined && !isValidName(name)) {
+      return res.status(400).json({ error: 'Name must be a non-empty string' });
+    }
+
+    if (!isValidBpm(bpm)) {
+      return res.status(400).json({ error: 'bpm must be a positive number' });
+    }
+
+    try {
+      const playlist = await appPrismaClient.playlist.findFirst({
+        where: { id: playlistId, createdById: userId, deletedAt: null },
+      });
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      const parsed =
+        entries === undefined
+          ? null
+          : await parsePlaylistEntries({ entries, userId });
+
+      if (parsed?.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const updatedPlaylist = await appPrismaClient.$transaction(async tx => {
+        await tx.playlist.update({
+          where: { id: playlistId },
+          data: { name, bpm },
+        });
+
+        if (parsed) {
+          await tx.playlistEntry.deleteMany({ where: { playlistId } });
+          await tx.playlistEntry.createMany({
+            data: parsed.entries.map(entry => ({ ...entry, playlistId })),
+          });
+        }
+
+        return tx.playlist.findUnique({
+          where: { id: playlistId },
+          include: getPlaylistInclude(userId),
+        });
+      });
+
+      return res.json({
+        success: true,
+        entities: { playlists: [updatedPlaylist] },
+      });
+    } catch (error) {
+      logger.error('Error updating playlist', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// delete a playlist
+playlistsRouter.delete(
+  '/:playlistId',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { playlistId } = req.params;
+
+    try {
+      const { count } = await appPrismaClient.playlist.updateMany({
+        where: { id: playlistId, createdById: userId, deletedAt: null },
+        data: { deletedAt: new Date() },
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      return res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting playlist', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+export default playlistsRouter;
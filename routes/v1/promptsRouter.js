@@ -2,18 +2,215 @@ import express from 'express';
 import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
 import { appPrismaClient } from '#root/utils/prismaUtils.js';
 import { Prisma } from '@prisma/client';
+import crypto from 'crypto';
+import {
+  PROMPT_MODERATION_STATUS,
+  PROMPT_VISIBILITY,
+} from '#root/utils/constants.js';
+import { moderatePrompt } from '#root/utils/moderationUtils.js';
+import {
+  generatePrompts,
+  takePromptGenerationRateLimit,
+} from '#root/utils/promptGenerationUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Prompts' });
 
 const promptsRouter = express.Router({ mergeParams: true });
 
+// Fields of a prompt shown to people other than its creator
+const SHARED_PROMPT_SELECT = {
+  id: true,
+  createdAt: true,
+  updatedAt: true,
+  title: true,
+  prompt: true,
+  postText: true,
+  visibility: true,
+  forkedFromId: true,
+  _count: { select: { forks: true } },
+};
+
+// Accepts visibilities in any case, e.g. `public`. Returns null for unknown ones.
+const parseVisibility = visibility =>
+  PROMPT_VISIBILITY[String(visibility).toUpperCase()] || null;
+
+// Prompts that aren't private can be opened with a share link
+const createShareToken = () => crypto.randomBytes(16).toString('hex');
+
+// Limits for POST /generate
+const MAX_THEME_LENGTH = 200;
+const DEFAULT_GENERATED_PROMPT_COUNT = 4;
+const MAX_GENERATED_PROMPT_COUNT = 6;
+
+// Fields of a prompt that edits change and revisions keep
+const EDITABLE_PROMPT_FIELDS = ['title', 'prompt', 'postText'];
+
+/**
+ * Checks the text fields of a prompt from a request body. Fields left out
+ * aren't checked, so callers check the required ones are there.
+ * @param {{title?: *, prompt?: *, postText?: *}} fields
+ * @returns {?string} What's wrong with them, or null if they are valid
+ */
+function getPromptTextError({ title, prompt, postText }) {
+  const isNonEmptyString = value =>
+    typeof value === 'string' && value.trim() !== '';
+
+  if (
+    (title !== undefined && !isNonEmptyString(title)) ||
+    (prompt !== undefined && !isNonEmptyString(prompt))
+  ) {
+    return 'Title and prompt must be non-empty strings';
+  }
+
+  if (
+    postText !== undefined &&
+    postText !== null &&
+    typeof postText !== 'string'
+  ) {
+    return 'postText must be a string';
+  }
+
+  return null;
+}
+
+/**
+ * Looks up a prompt for its creator. Like the delete route, anyone else gets a 403.
+ * @param {{promptId: string, userId: string}} options
+ * @returns {Promise<{prompt: object}|{status: number, error: string}>}
+ */
+async function findOwnPrompt({ promptId, userId }) {
+  const prompt = await appPrismaClient.prompt.findFirst({
+    where: { id: promptId, deletedAt: null },
+  });
+
+  if (!prompt) {
+    return { status: 404, error: 'Prompt not found' };
+  }
+
+  if (prompt.createdById !== userId) {
+    return {
+      status: 403,
+      error: 'You are not authorized to change this prompt',
+    };
+  }
+
+  return { prompt };
+}
+
+// Sent when moderation rejects a prompt outright (PROMPT_MODERATION_ACTION=reject)
+const sendModerationRejection = (res, reason) =>
+  res.status(400).json({ error: 'Prompt was flagged by moderation', reason });
+
+/**
+ * Moderates prompt text that is about to be saved or published. Flagged text is
+ * held for review, or rejected depending on PROMPT_MODERATION_ACTION. Only an
+ * admin clears a held or rejected prompt, so changes to one are held again.
+ * @param {{title: string, prompt: string, postText?: ?string}} text
+ * @param {?object=} currentPrompt The prompt being changed, if it exists
+ * @returns {Promise<{moderationData: object}|{rejectedReason: string}>}
+ *   Moderation fields to save along with the text, or why it was rejected
+ */
+async function moderatePromptText(text, currentPrompt = null) {
+  const moderation = await moderatePrompt(text);
+
+  if (moderation.flagged && moderation.action === 'reject') {
+    return { rejectedReason: moderation.reason };
+  }
+
+  if (moderation.flagged) {
+    return {
+      moderationData: {
+        moderationStatus: PROMPT_MODERATION_STATUS.HELD,
+        moderationReason: moderation.reason,
+      },
+    };
+  }
+
+  if (
+    currentPrompt &&
+    currentPrompt.moderationStatus !== PROMPT_MODERATION_STATUS.APPROVED
+  ) {
+    return {
+      moderationData: { moderationStatus: PROMPT_MODERATION_STATUS.HELD },
+    };
+  }
+
+  return { moderationData: {} };
+}
+
+/**
+ * Saves the current version of a prompt as a revision, then applies `changes`
+ * once the edited text has passed moderation.
+ * @param {object} prompt
+ * @param {{title?: string, prompt?: string, postText?: ?string}} changes
+ * @returns {Promise<{prompt: object}|{rejectedReason: string}>}
+ *   The edited prompt, or why moderation rejected the edit
+ */
+async function editPrompt(prompt, changes) {
+  const { moderationData, rejectedReason } = await moderatePromptText(
+    { ...prompt, ...changes },
+    prompt,
+  );
+
+  if (rejectedReason) {
+    return { rejectedReason };
+  }
+
+  const editedPrompt = await appPrismaClient.$transaction(async tx => {
+    await tx.promptRevision.create({
+      data: {
+        savedPrompt: { connect: { id: prompt.id } },
+        title: prompt.title,
+        prompt: prompt.prompt,
+        postText: prompt.postText,
+      },
+    });
+
+    return tx.prompt.update({
+      where: { id: prompt.id },
+      data: { ...changes, ...moderationData },
+    });
+  });
+
+  return { prompt: editedPrompt };
+}
+
 // create a new prompt
 promptsRouter.post('/', ClerkExpressRequireAuth(), async (req, res) => {
   const { title, prompt, postText } = req.body;
   const { userId } = req.auth;
 
-  if (!title || !prompt) {
+  if (title === undefined || prompt === undefined) {
     return res.status(400).json({ error: 'Title and prompt are required' });
   }
 
+  const textError = getPromptTextError({ title, prompt, postText });
+  if (textError) {
+    return res.status(400).json({ error: textError });
+  }
+
+  const visibility = req.body.visibility
+    ? parseVisibility(req.body.visibility)
+    : PROMPT_VISIBILITY.PRIVATE;
+
+  if (!visibility) {
+    return res.status(400).json({ error: 'Invalid visibility' });
+  }
+
+  // Held prompts keep the visibility asked for and are shared once approved
+  let moderation;
+  try {
+    moderation = await moderatePromptText({ title, prompt, postText });
+  } catch (error) {
+    logger.error('Error moderating prompt', { error });
+    return res.status(500).json({ error: 'Prompt moderation failed' });
+  }
+
+  if (moderation.rejectedReason) {
+    return sendModerationRejection(res, moderation.rejectedReason);
+  }
+
   appPrismaClient.prompt
     .create({
       data: {
@@ -21,6 +218,10 @@ promptsRouter.post('/', ClerkExpressRequireAuth(), async (req, res) => {
         title,
         prompt,
         postText,
+        visibility,
+        ...moderation.moderationData,
+        shareToken:
+          visibility === PROMPT_VISIBILITY.PRIVATE ? null : createShareToken(),
       },
     })
     .then(prompt => {
@@ -31,6 +232,57 @@ promptsRouter.post('/', ClerkExpressRequireAuth(), async (req, res) => {
     });
 });
 
+// expand a short theme into prompts the user can save with POST /
+promptsRouter.post('/generate', ClerkExpressRequireAuth(), async (req, res) => {
+  const { userId } = req.auth;
+  const theme = typeof req.body.theme === 'string' ? req.body.theme.trim() : '';
+  const count = req.body.count ?? DEFAULT_GENERATED_PROMPT_COUNT;
+
+  if (!theme || theme.length > MAX_THEME_LENGTH) {
+    return res.status(400).json({
+      error: `Theme is required and at most ${MAX_THEME_LENGTH} characters`,
+    });
+  }
+
+  if (
+    !Number.isInteger(count) ||
+    count < 1 ||
+    count > MAX_GENERATED_PROMPT_COUNT
+  ) {
+    return res.status(400).json({
+      error: `count must be between 1 and ${MAX_GENERATED_PROMPT_COUNT}`,
+    });
+  }
+
+  const { allowed, retryAfterSeconds } = takePromptGenerationRateLimit(userId);
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too many prompt generations, try again later',
+      retryAfterSeconds,
+    });
+  }
+
+  try {
+    const { prompts, flaggedCategories } = await generatePrompts({
+      theme,
+      count,
+    });
+
+    if (flaggedCategories) {
+      return res.status(400).json({
+        error: 'Theme was flagged by moderation',
+        categories: flaggedCategories,
+      });
+    }
+
+    return res.json({ success: true, entities: { generatedPrompts: prompts } });
+  } catch (error) {
+    logger.error('Error generating prompts', { error });
+    return res.status(500).json({ error: 'Prompt generation failed' });
+  }
+});
+
 // get all prompts for the current user
 promptsRouter.get('/', ClerkExpressRequireAuth(), async (req, res) => {
   const { userId } = req.auth;
@@ -53,6 +305,317 @@ promptsRouter.get('/', ClerkExpressRequireAuth(), async (req, res) => {
     });
 });
 
+// public prompt gallery, newest first, optionally searched by title and prompt text
+promptsRouter.get('/public', async (req, res) => {
+  const { cursor } = req.query;
+  const search = req.query.q?.trim();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  try {
+    const prompts = await appPrismaClient.prompt.findMany({
+      where: {
+        visibility: PROMPT_VISIBILITY.PUBLIC,
+        moderationStatus: PROMPT_MODERATION_STATUS.APPROVED,
+        deletedAt: null,
+        ...(search
+          ? {
+              OR: [
+                { title: { contains: search, mode: 'insensitive' } },
+                { prompt: { contains: search, mode: 'insensitive' } },
+              ],
+            }
+          : {}),
+      },
+      select: SHARED_PROMPT_SELECT,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    let nextCursor = null;
+    if (prompts.length > limit) {
+      prompts.pop();
+      nextCursor = prompts[prompts.length - 1].id;
+    }
+
+    return res.json({ success: true, nextCursor, entities: { prompts } });
+  } catch (error) {
+    logger.error('Error fetching public prompts', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// open a shared prompt by its share link, no account needed
+promptsRouter.get('/shared/:shareToken', async (req, res) => {
+  const { shareToken } = req.params;
+
+  try {
+    const prompt = await appPrismaClient.prompt.findFirst({
+      where: {
+        shareToken,
+        visibility: { not: PROMPT_VISIBILITY.PRIVATE },
+        moderationStatus: PROMPT_MODERATION_STATUS.APPROVED,
+        deletedAt: null,
+      },
+      select: SHARED_PROMPT_SELECT,
+    });
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    return res.json({ success: true, entities: { prompts: [prompt] } });
+  } catch (error) {
+    logger.error('Error fetching shared prompt', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// change who can see a prompt. Sharing it creates its share link.
+promptsRouter.put(
+  '/:promptId/visibility',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { promptId } = req.params;
+    const { userId } = req.auth;
+    const visibility = parseVisibility(req.body.visibility);
+
+    if (!visibility) {
+      return res.status(400).json({ error: 'Invalid visibility' });
+    }
+
+    try {
+      const { prompt, status, error } = await findOwnPrompt({
+        promptId,
+        userId,
+      });
+
+      if (!prompt) {
+        return res.status(status).json({ error });
+      }
+
+      // Publishing checks the prompt again, as the blocklist may have changed
+      let moderationData = {};
+      if (visibility !== PROMPT_VISIBILITY.PRIVATE) {
+        if (prompt.moderationStatus === PROMPT_MODERATION_STATUS.REJECTED) {
+          return res.status(403).json({
+            error: 'Prompt was rejected in moderation and cannot be shared',
+            reason: prompt.moderationReason,
+          });
+        }
+
+        const moderation = await moderatePromptText(prompt, prompt);
+        if (moderation.rejectedReason) {
+          return sendModerationRejection(res, moderation.rejectedReason);
+        }
+        moderationData = moderation.moderationData;
+      }
+
+      const updatedPrompt = await appPrismaClient.prompt.update({
+        where: { id: promptId },
+        data: {
+          ...moderationData,
+          visibility,
+          // The link stays the same when switching between unlisted and public
+          ...(visibility !== PROMPT_VISIBILITY.PRIVATE && !prompt.shareToken
+            ? { shareToken: createShareToken() }
+            : {}),
+        },
+      });
+
+      return res.json({
+        success: true,
+        entities: { prompts: [updatedPrompt] },
+      });
+    } catch (error) {
+      logger.error('Error changing prompt visibility', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// copy a public prompt into the current user's prompts
+promptsRouter.post(
+  '/:promptId/fork',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { promptId } = req.params;
+    const { userId } = req.auth;
+
+    try {
+      const original = await appPrismaClient.prompt.findFirst({
+        where: {
+          id: promptId,
+          visibility: PROMPT_VISIBILITY.PUBLIC,
+          moderationStatus: PROMPT_MODERATION_STATUS.APPROVED,
+          deletedAt: null,
+        },
+      });
+
+      if (!original) {
+        return res.status(404).json({ error: 'Prompt not found' });
+      }
+
+      const prompt = await appPrismaClient.prompt.create({
+        data: {
+          createdBy: { connect: { id: userId } },
+          title: original.title,
+          prompt: original.prompt,
+          postText: original.postText,
+          forkedFrom: { connect: { id: original.id } },
+        },
+      });
+
+      return res.json({ success: true, entities: { prompts: [prompt] } });
+    } catch (error) {
+      logger.error('Error forking prompt', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// edit a prompt, keeping the previous version as a revision
+promptsRouter.patch(
+  '/:promptId',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { promptId } = req.params;
+    const { userId } = req.auth;
+
+    const changes = {};
+    for (const field of EDITABLE_PROMPT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: `One of ${EDITABLE_PROMPT_FIELDS.join(', ')} is required`,
+      });
+    }
+
+    const textError = getPromptTextError(changes);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+
+    try {
+      const { prompt, status, error } = await findOwnPrompt({
+        promptId,
+        userId,
+      });
+
+      if (!prompt) {
+        return res.status(status).json({ error });
+      }
+
+      // Saving without changes doesn't add a revision
+      const isChanged = Object.entries(changes).some(
+        ([field, value]) => prompt[field] !== value,
+      );
+      if (!isChanged) {
+        return res.json({ success: true, entities: { prompts: [prompt] } });
+      }
+
+      const { prompt: editedPrompt, rejectedReason } = await editPrompt(
+        prompt,
+        changes,
+      );
+
+      if (rejectedReason) {
+        return sendModerationRejection(res, rejectedReason);
+      }
+
+      return res.json({ success: true, entities: { prompts: [editedPrompt] } });
+    } catch (error) {
+      logger.error('Error editing prompt', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// earlier versions of a prompt, most recently replaced first
+promptsRouter.get(
+  '/:promptId/revisions',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { promptId } = req.params;
+    const { userId } = req.auth;
+
+    try {
+      const { prompt, status, error } = await findOwnPrompt({
+        promptId,
+        userId,
+      });
+
+      if (!prompt) {
+        return res.status(status).json({ error });
+      }
+
+      const promptRevisions = await appPrismaClient.promptRevision.findMany({
+        where: { savedPromptId: promptId },
+        orderBy: [{ editedAt: 'desc' }, { id: 'desc' }],
+      });
+
+      return res.json({ success: true, entities: { promptRevisions } });
+    } catch (error) {
+      logger.error('Error fetching prompt revisions', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// go back to an earlier version. The version it replaces becomes a revision too.
+promptsRouter.post(
+  '/:promptId/revisions/:revisionId/restore',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { promptId, revisionId } = req.params;
+    const { userId } = req.auth;
+
+    try {
+      const { prompt, status, error } = await findOwnPrompt({
+        promptId,
+        userId,
+      });
+
+      if (!prompt) {
+        return res.status(status).json({ error });
+      }
+
+      const revision = await appPrismaClient.promptRevision.findFirst({
+        where: { id: revisionId, savedPromptId: promptId },
+      });
+
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      const { prompt: restoredPrompt, rejectedReason } = await editPrompt(
+        prompt,
+        {
+          title: revision.title,
+          prompt: revision.prompt,
+          postText: revision.postText,
+        },
+      );
+
+      if (rejectedReason) {
+        return sendModerationRejection(res, rejectedReason);
+      }
+
+      return res.json({
+        success: true,
+        entities: { prompts: [restoredPrompt] },
+      });
+    } catch (error) {
+      logger.error('Error restoring prompt revision', { error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
 // delete a prompt
 promptsRouter.delete(
   '/:promptId',
@@ -99,7 +662,7 @@ promptsRouter.delete(
 
       res.json({ success: true });
     } catch (error) {
-      console.error('Error deleting prompt:', error);
+      logger.error('Error deleting prompt', { error });
       res.status(500).json({ error: 'An unexpected error occurred' });
     }
   },
@@ -1,8 +1,22 @@
 import express from 'express';
 import Stripe from 'stripe';
-import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import {
+  appPrismaClient,
+  isUniqueConstraintError,
+} from '#root/utils/prismaUtils.js';
 import { getSecret } from '#root/utils/secretUtils.js';
 import { sendSendGridEmail } from '#root/utils/emailUtils.js';
+import { recordTimeLedgerEntry } from '#root/utils/ledgerUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+import {
+  stripeCreditedSecondsTotal,
+  stripeCreditsTotal,
+} from '#root/utils/metricsUtils.js';
+import {
+  recordAuditEvent,
+  recordBalanceAuditEvent,
+} from '#root/utils/auditUtils.js';
+import { AUDIT_ACTION, TIME_LEDGER_ENTRY_TYPE } from '#root/utils/constants.js';
 
 const stripeRouter = express.Router({ mergeParams: true });
 
@@ -11,6 +25,609 @@ const STRIPE_ENDPOINT_SECRET = await getSecret('STRIPE_ENDPOINT_SECRET');
 const STRIPE_PRODUCT_ID = await getSecret('STRIPE_PRODUCT_ID');
 const stripe = new Stripe(STRIPE_SECRET_KEY);
 
+// Dispute outcomes where the disputed funds come back to us
+const DISPUTE_STATUSES_RETURNING_FUNDS = ['won', 'warning_closed'];
+
+const logger = createLogger({ component: 'Stripe' });
+
+const notifyAdmin = ({ subject, body }) => {
+  sendSendGridEmail({ subject, body, force: true }).catch(err => {
+    logger.error('Error emailing admin', { subject, error: err });
+  });
+};
+
+// Counted once the transaction applying the credit has committed
+const recordStripeCreditMetrics = (type, seconds) => {
+  stripeCreditsTotal.inc({ type });
+  stripeCreditedSecondsTotal.inc({ type }, seconds);
+};
+
+// Seconds of a purchase that correspond to `cents` of what was paid for it
+const secondsForCents = (purchase, cents) => {
+  if (purchase.amountPaidCents <= 0) {
+    return 0;
+  }
+  return Math.round(
+    (purchase.secondsGranted * cents) / purchase.amountPaidCents,
+  );
+};
+
+// Stripe's hosted receipt for a payment, or null if it can't be fetched.
+// Only used for display, so a failure here must not block crediting time.
+const getReceiptUrl = async paymentIntentId => {
+  if (!paymentIntentId) {
+    return null;
+  }
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(
+      paymentIntentId,
+      { expand: ['latest_charge'] },
+    );
+    return paymentIntent.latest_charge?.receipt_url || null;
+  } catch (err) {
+    logger.error('Error fetching receipt', { paymentIntentId, error: err });
+    return null;
+  }
+};
+
+const findPurchaseForPaymentIntent = async paymentIntentId => {
+  if (!paymentIntentId) {
+    return null;
+  }
+  return appPrismaClient.purchase.findUnique({
+    where: {
+      stripePaymentIntentId: paymentIntentId,
+    },
+  });
+};
+
+async function handleCheckoutSessionCompleted(event) {
+  const session = event.data.object;
+  logger.info('Checkout session completed', {
+    sessionId: session.id,
+    mode: session.mode,
+    customer: session.customer,
+    amountTotal: session.amount_total,
+  });
+  logger.debug('Checkout session', { session });
+
+  const { customer, amount_total, metadata } = session;
+
+  // Subscription allowances are granted from invoice.paid instead
+  if (session.mode === 'subscription') {
+    logger.info('Subscription checkout completed', { sessionId: session.id });
+    return;
+  }
+
+  const user = await appPrismaClient.user.findFirst({
+    where: {
+      stripeCustomerId: customer,
+    },
+  });
+
+  if (!user) {
+    notifyAdmin({
+      subject: 'Stripe payment error',
+      body: `Stripe payment error: No user found for customer ${customer}`,
+    });
+    logger.error('No user found for customer', { customer });
+    return;
+  }
+
+  logger.debug('Checking checkout product', {
+    metadata,
+    expectedProductId: STRIPE_PRODUCT_ID,
+  });
+
+  if (metadata?.productId !== STRIPE_PRODUCT_ID) {
+    logger.info('Ignoring checkout for another product', {
+      productId: metadata?.productId,
+    });
+    return;
+  }
+
+  // Credit whatever package was chosen at checkout, regardless of the
+  // amount actually paid after promotion codes
+  let creditPackage = null;
+  if (metadata?.creditPackageId) {
+    creditPackage = await appPrismaClient.creditPackage.findUnique({
+      where: {
+        id: metadata.creditPackageId,
+      },
+    });
+  } else {
+    // Sessions created before packages were recorded in metadata
+    creditPackage = await appPrismaClient.creditPackage.findFirst({
+      where: {
+        priceCents: amount_total,
+      },
+    });
+  }
+
+  if (!creditPackage) {
+    notifyAdmin({
+      subject: 'Stripe payment error',
+      body: `Stripe payment error: No credit package found for checkout session ${session.id} (package ${metadata?.creditPackageId}, amount ${amount_total})`,
+    });
+    logger.error('No credit package found for session', {
+      sessionId: session.id,
+      creditPackageId: metadata?.creditPackageId,
+      amountTotal: amount_total,
+    });
+    return;
+  }
+
+  const secondsToAdd = creditPackage.seconds;
+  const receiptUrl = await getReceiptUrl(session.payment_intent);
+
+  // Credit the purchase through the ledger, marking the event and
+  // checkout session as processed in the same transaction
+  const updatedUser = await appPrismaClient.$transaction(async tx => {
+    await tx.processedStripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+        checkoutSessionId: session.id,
+      },
+    });
+
+    // Kept so refunds and disputes can be traced back to what was granted
+    await tx.purchase.create({
+      data: {
+        userId: user.id,
+        creditPackageId: creditPackage.id,
+        stripeCheckoutSessionId: session.id,
+        stripePaymentIntentId: session.payment_intent,
+        amountPaidCents: amount_total,
+        secondsGranted: secondsToAdd,
+        receiptUrl,
+      },
+    });
+
+    const { user: creditedUser } = await recordTimeLedgerEntry({
+      tx,
+      userId: user.id,
+      type: TIME_LEDGER_ENTRY_TYPE.PURCHASE,
+      amount: secondsToAdd,
+      stripeSessionId: session.id,
+      note: `${creditPackage.name} package (${amount_total} cents paid)`,
+    });
+    await recordBalanceAuditEvent({
+      tx,
+      action: AUDIT_ACTION.PURCHASE_CREDITED,
+      user: creditedUser,
+      amount: secondsToAdd,
+      reason: `Checkout session ${session.id}`,
+    });
+
+    return creditedUser;
+  });
+
+  recordStripeCreditMetrics('purchase', secondsToAdd);
+  logger.info('Credited checkout', {
+    userId: user.id,
+    sessionId: session.id,
+    timeBalance: updatedUser.timeBalance,
+  });
+}
+
+// Refunds can be partial and repeated; amount_refunded is the running total
+async function handleChargeRefunded(event) {
+  const charge = event.data.object;
+
+  const purchase = await findPurchaseForPaymentIntent(charge.payment_intent);
+
+  if (!purchase) {
+    notifyAdmin({
+      subject: 'Stripe refund needs manual review',
+      body: `Charge ${charge.id} (payment intent ${charge.payment_intent}) was refunded ${charge.amount_refunded} cents but no matching purchase was found. Adjust the user's time balance by hand.`,
+    });
+    logger.error('No purchase found for refunded charge', {
+      chargeId: charge.id,
+    });
+    return;
+  }
+
+  const result = await appPrismaClient.$transaction(async tx => {
+    await tx.processedStripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+      },
+    });
+
+    const current = await tx.purchase.findUnique({
+      where: { id: purchase.id },
+    });
+
+    const newlyRefundedCents = charge.amount_refunded - current.refundedCents;
+    if (newlyRefundedCents <= 0) {
+      return null;
+    }
+
+    await tx.purchase.update({
+      where: { id: purchase.id },
+      data: { refundedCents: charge.amount_refunded },
+    });
+
+    const secondsToDebit = secondsForCents(current, newlyRefundedCents);
+    const { user } = await recordTimeLedgerEntry({
+      tx,
+      userId: purchase.userId,
+      type: TIME_LEDGER_ENTRY_TYPE.REFUND,
+      amount: -secondsToDebit,
+      stripeSessionId: purchase.stripeCheckoutSessionId,
+      note: `Refund of ${newlyRefundedCents} cents on charge ${charge.id}`,
+    });
+    await recordBalanceAuditEvent({
+      tx,
+      action: AUDIT_ACTION.REFUND_DEBITED,
+      user,
+      amount: -secondsToDebit,
+      reason: `Refund of ${newlyRefundedCents} cents on charge ${charge.id}`,
+    });
+
+    return { user, secondsToDebit, newlyRefundedCents };
+  });
+
+  if (!result) {
+    logger.info('No new refund amount on charge', { chargeId: charge.id });
+    return;
+  }
+
+  notifyAdmin({
+    subject: 'Stripe refund processed',
+    body: `User ${purchase.userId} was refunded ${result.newlyRefundedCents} cents on charge ${charge.id}. Debited ${result.secondsToDebit} seconds, balance is now ${result.user.timeBalance} seconds.`,
+  });
+}
+
+async function handleDisputeCreated(event) {
+  const dispute = event.data.object;
+
+  const purchase = await findPurchaseForPaymentIntent(dispute.payment_intent);
+
+  if (!purchase) {
+    notifyAdmin({
+      subject: 'Stripe dispute needs manual review',
+      body: `Dispute ${dispute.id} for ${dispute.amount} cents (charge ${dispute.charge}) has no matching purchase. Adjust the user's time balance by hand.`,
+    });
+    logger.error('No purchase found for disputed charge', {
+      chargeId: dispute.charge,
+    });
+    return;
+  }
+
+  const secondsToDebit = secondsForCents(purchase, dispute.amount);
+
+  const { user } = await appPrismaClient.$transaction(async tx => {
+    await tx.processedStripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+      },
+    });
+
+    await tx.purchase.update({
+      where: { id: purchase.id },
+      data: { disputedCents: { increment: dispute.amount } },
+    });
+
+    const result = await recordTimeLedgerEntry({
+      tx,
+      userId: purchase.userId,
+      type: TIME_LEDGER_ENTRY_TYPE.CHARGEBACK,
+      amount: -secondsToDebit,
+      stripeSessionId: purchase.stripeCheckoutSessionId,
+      note: `Dispute ${dispute.id} opened (${dispute.reason})`,
+    });
+    await recordBalanceAuditEvent({
+      tx,
+      action: AUDIT_ACTION.DISPUTE_DEBITED,
+      user: result.user,
+      amount: -secondsToDebit,
+      reason: `Dispute ${dispute.id} opened (${dispute.reason})`,
+    });
+    return result;
+  });
+
+  notifyAdmin({
+    subject: 'Stripe dispute opened',
+    body: `User ${purchase.userId} disputed ${dispute.amount} cents on charge ${dispute.charge} (reason: ${dispute.reason}). Debited ${secondsToDebit} seconds, balance is now ${user.timeBalance} seconds.`,
+  });
+}
+
+async function handleDisputeClosed(event) {
+  const dispute = event.data.object;
+
+  const purchase = await findPurchaseForPaymentIntent(dispute.payment_intent);
+
+  if (!purchase) {
+    notifyAdmin({
+      subject: 'Stripe dispute needs manual review',
+      body: `Dispute ${dispute.id} closed as ${dispute.status} but has no matching purchase.`,
+    });
+    logger.error('No purchase found for closed dispute', {
+      disputeId: dispute.id,
+    });
+    return;
+  }
+
+  // A lost dispute keeps the debit made when it was opened
+  if (!DISPUTE_STATUSES_RETURNING_FUNDS.includes(dispute.status)) {
+    await appPrismaClient.processedStripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+      },
+    });
+    notifyAdmin({
+      subject: 'Stripe dispute lost',
+      body: `Dispute ${dispute.id} by user ${purchase.userId} closed as ${dispute.status}. The ${dispute.amount} cents stay debited.`,
+    });
+    return;
+  }
+
+  const secondsToCredit = secondsForCents(purchase, dispute.amount);
+
+  const { user } = await appPrismaClient.$transaction(async tx => {
+    await tx.processedStripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+      },
+    });
+
+    await tx.purchase.update({
+      where: { id: purchase.id },
+      data: { disputedCents: { decrement: dispute.amount } },
+    });
+
+    const result = await recordTimeLedgerEntry({
+      tx,
+      userId: purchase.userId,
+      type: TIME_LEDGER_ENTRY_TYPE.CHARGEBACK,
+      amount: secondsToCredit,
+      stripeSessionId: purchase.stripeCheckoutSessionId,
+      note: `Dispute ${dispute.id} closed as ${dispute.status}`,
+    });
+    await recordBalanceAuditEvent({
+      tx,
+      action: AUDIT_ACTION.DISPUTE_CREDITED,
+      user: result.user,
+      amount: secondsToCredit,
+      reason: `Dispute ${dispute.id} closed as ${dispute.status}`,
+    });
+    return result;
+  });
+
+  recordStripeCreditMetrics('dispute_won', secondsToCredit);
+  notifyAdmin({
+    subject: 'Stripe dispute closed in our favor',
+    body: `Dispute ${dispute.id} by user ${purchase.userId} closed as ${dispute.status}. Restored ${secondsToCredit} seconds, balance is now ${user.timeBalance} seconds.`,
+  });
+}
+
+// Grants the plan allowance for every paid subscription invoice, first and renewals
+async function handleInvoicePaid(event) {
+  const invoice = event.data.object;
+
+  if (!invoice.subscription) {
+    logger.info('Invoice is not for a subscription', { invoiceId: invoice.id });
+    return;
+  }
+
+  const user = await appPrismaClient.user.findFirst({
+    where: {
+      stripeCustomerId: invoice.customer,
+    },
+  });
+
+  if (!user) {
+    notifyAdmin({
+      subject: 'Stripe subscription error',
+      body: `Stripe subscription error: No user found for customer ${invoice.customer} (invoice ${invoice.id})`,
+    });
+    logger.error('No user found for customer', {
+      customer: invoice.customer,
+      invoiceId: invoice.id,
+    });
+    return;
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(
+    invoice.subscription,
+  );
+
+  let subscriptionPlan = null;
+  if (subscription.metadata?.subscriptionPlanId) {
+    subscriptionPlan = await appPrismaClient.subscriptionPlan.findUnique({
+      where: {
+        id: subscription.metadata.subscriptionPlanId,
+      },
+    });
+  }
+  if (!subscriptionPlan) {
+    subscriptionPlan = await appPrismaClient.subscriptionPlan.findUnique({
+      where: {
+        stripePriceId: subscription.items?.data?.[0]?.price?.id,
+      },
+    });
+  }
+
+  if (!subscriptionPlan) {
+    notifyAdmin({
+      subject: 'Stripe subscription error',
+      body: `Stripe subscription error: No plan found for subscription ${subscription.id} (invoice ${invoice.id})`,
+    });
+    logger.error('No plan found for subscription', {
+      subscriptionId: subscription.id,
+    });
+    return;
+  }
+
+  const updatedUser = await appPrismaClient.$transaction(async tx => {
+    await tx.processedStripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+      },
+    });
+
+    await tx.purchase.create({
+      data: {
+        userId: user.id,
+        subscriptionPlanId: subscriptionPlan.id,
+        stripeInvoiceId: invoice.id,
+        stripePaymentIntentId: invoice.payment_intent,
+        amountPaidCents: invoice.amount_paid,
+        secondsGranted: subscriptionPlan.secondsPerCycle,
+        receiptUrl: invoice.hosted_invoice_url,
+      },
+    });
+
+    const current = await tx.user.findUnique({
+      where: { id: user.id },
+      select: {
+        timeBalance: true,
+        stripeSubscriptionId: true,
+        subscriptionAllowanceSeconds: true,
+      },
+    });
+
+    // On renewal, whatever is left of last cycle's allowance rolls over up to
+    // the plan's cap and the rest expires. Warp usage lowers the allowance
+    // before purchased time (see recordTimeLedgerEntry); refunds and
+    // chargebacks don't, so what's left of it is capped by the balance itself.
+    let rolloverSeconds = 0;
+    if (current.stripeSubscriptionId === subscription.id) {
+      const unusedSeconds = Math.max(
+        0,
+        Math.min(current.timeBalance, current.subscriptionAllowanceSeconds),
+      );
+      rolloverSeconds = Math.min(
+        unusedSeconds,
+        subscriptionPlan.rolloverCapSeconds,
+      );
+      const expiredSeconds = unusedSeconds - rolloverSeconds;
+
+      if (expiredSeconds > 0) {
+        await recordTimeLedgerEntry({
+          tx,
+          userId: user.id,
+          type: TIME_LEDGER_ENTRY_TYPE.SUBSCRIPTION_EXPIRY,
+          amount: -expiredSeconds,
+          note: `Unused ${subscriptionPlan.name} allowance expired`,
+        });
+      }
+    }
+
+    await recordTimeLedgerEntry({
+      tx,
+      userId: user.id,
+      type: TIME_LEDGER_ENTRY_TYPE.SUBSCRIPTION_GRANT,
+      amount: subscriptionPlan.secondsPerCycle,
+      note: `${subscriptionPlan.name} allowance (invoice ${invoice.id})`,
+    });
+
+    const grantedUser = await tx.user.update({
+      where: { id: user.id },
+      data: {
+        stripeSubscriptionId: subscription.id,
+        subscriptionPlanId: subscriptionPlan.id,
+        subscriptionStatus: subscription.status,
+        subscriptionCurrentPeriodEnd: new Date(
+          subscription.current_period_end * 1000,
+        ),
+        subscriptionAllowanceSeconds:
+          rolloverSeconds + subscriptionPlan.secondsPerCycle,
+      },
+    });
+    await recordAuditEvent({
+      tx,
+      action: AUDIT_ACTION.SUBSCRIPTION_GRANTED,
+      targetType: 'User',
+      targetId: user.id,
+      before: {
+        timeBalance: current.timeBalance,
+        subscriptionAllowanceSeconds: current.subscriptionAllowanceSeconds,
+      },
+      after: {
+        timeBalance: grantedUser.timeBalance,
+        subscriptionAllowanceSeconds: grantedUser.subscriptionAllowanceSeconds,
+      },
+      reason: `${subscriptionPlan.name} invoice ${invoice.id}`,
+    });
+
+    return grantedUser;
+  });
+
+  recordStripeCreditMetrics('subscription', subscriptionPlan.secondsPerCycle);
+  logger.info('Granted subscription allowance', {
+    userId: user.id,
+    plan: subscriptionPlan.name,
+    invoiceId: invoice.id,
+    timeBalance: updatedUser.timeBalance,
+  });
+}
+
+async function handleSubscriptionDeleted(event) {
+  const subscription = event.data.object;
+
+  const user = await appPrismaClient.user.findFirst({
+    where: {
+      stripeSubscriptionId: subscription.id,
+    },
+  });
+
+  if (!user) {
+    logger.info('No user found for deleted subscription', {
+      subscriptionId: subscription.id,
+    });
+    return;
+  }
+
+  // The current cycle was paid for, so any allowance left stays in the
+  // balance as regular time
+  await appPrismaClient.$transaction(async tx => {
+    await tx.processedStripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+      },
+    });
+    await tx.user.update({
+      where: { id: user.id },
+      data: {
+        stripeSubscriptionId: null,
+        subscriptionPlanId: null,
+        subscriptionStatus: subscription.status,
+        subscriptionCurrentPeriodEnd: null,
+        subscriptionAllowanceSeconds: 0,
+      },
+    });
+    await recordAuditEvent({
+      tx,
+      action: AUDIT_ACTION.SUBSCRIPTION_ENDED,
+      targetType: 'User',
+      targetId: user.id,
+      before: {
+        subscriptionPlanId: user.subscriptionPlanId,
+        subscriptionStatus: user.subscriptionStatus,
+      },
+      after: {
+        subscriptionPlanId: null,
+        subscriptionStatus: subscription.status,
+      },
+      reason: `Subscription ${subscription.id} deleted`,
+    });
+  });
+
+  logger.info('Ended subscription', {
+    subscriptionId: subscription.id,
+    userId: user.id,
+  });
+}
+
 stripeRouter.post(
   '/webhook',
   express.raw({ type: 'application/json' }),
@@ -26,86 +643,77 @@ stripeRouter.post(
         STRIPE_ENDPOINT_SECRET,
       );
     } catch (err) {
-      console.log('stripe webhook error1313', err);
+      logger.warn('Stripe webhook failed to verify', { error: err });
       response.status(400).send(`Webhook Error: ${err.message}`);
       return;
     }
 
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object;
-        console.log('Checkout session completed:', session);
+    logger.info('Stripe event received', {
+      eventId: event.id,
+      type: event.type,
+    });
 
-        const { customer, amount_total, metadata } = session;
+    // Stripe redelivers events it thinks we missed, so anything already
+    // processed is acknowledged without being applied again
+    const processedEvent =
+      await appPrismaClient.processedStripeEvent.findUnique({
+        where: {
+          id: event.id,
+        },
+      });
 
-        const user = await appPrismaClient.user.findFirst({
-          where: {
-            stripeCustomerId: customer,
-          },
-        });
+    if (processedEvent) {
+      logger.info('Stripe event already processed', {
+        eventId: event.id,
+        type: event.type,
+      });
+      response.send();
+      return;
+    }
 
-        if (!user) {
-          sendSendGridEmail({
-            subject: 'Stripe payment error',
-            force: true,
-            body: `Stripe payment error: No user found for customer ${customer}`,
-          });
-          console.error('No user found for customer', customer);
-          response.send();
-          return;
-        }
-
-        console.log(
-          'metadata:',
-          JSON.stringify(metadata),
-          'comparing to:',
-          STRIPE_PRODUCT_ID,
-        );
-
-        if (metadata?.productId !== STRIPE_PRODUCT_ID) {
-          console.log('Invalid product ID', metadata?.productId);
-          return;
-        }
-
-        // Convert amount to dollars and determine seconds to add
-        const amountInDollars = amount_total / 100; // Convert cents to dollars
-        let secondsToAdd = 0;
-
-        switch (amountInDollars) {
-          case 5:
-            secondsToAdd = 60 * 60;
-            break;
-          case 20:
-            secondsToAdd = 600 * 60;
-            break;
-          case 150:
-            secondsToAdd = 6000 * 60;
-            break;
-          default:
-            console.error('Invalid payment amount', amountInDollars);
-            response.send();
-            return;
-        }
-
-        // Update user's time balance
-        const updatedUser = await appPrismaClient.user.update({
-          where: {
-            id: user.id,
-          },
-          data: {
-            // Ensure balance doesn't start below 0 for the addition
-            timeBalance: Math.max(0, user.timeBalance) + secondsToAdd,
-          },
+    // Handle the event
+    try {
+      switch (event.type) {
+        case 'checkout.session.completed':
+          await handleCheckoutSessionCompleted(event);
+          break;
+        case 'charge.refunded':
+          await handleChargeRefunded(event);
+          break;
+        case 'charge.dispute.created':
+          await handleDisputeCreated(event);
+          break;
+        case 'charge.dispute.closed':
+          await handleDisputeClosed(event);
+          break;
+        case 'invoice.paid':
+          await handleInvoicePaid(event);
+          break;
+        case 'customer.subscription.deleted':
+          await handleSubscriptionDeleted(event);
+          break;
+        // ... handle other event types
+        default:
+          logger.debug('Unhandled event type', { type: event.type });
+      }
+    } catch (err) {
+      if (!isUniqueConstraintError(err)) {
+        // Let Stripe retry later, nothing was committed
+        logger.error('Error processing Stripe event', {
+          eventId: event.id,
+          type: event.type,
+          error: err,
         });
+        response.status(500).send('Failed to process event');
+        return;
+      }
 
-        console.log(
-          `Updated user ${user.id} time balance to ${updatedUser.timeBalance} seconds`,
-        );
-        break;
-      // ... handle other event types
-      default:
-        console.log(`Unhandled event type ${event.type}`);
+      // A concurrent delivery of this event, or another event for the
+      // same checkout session, got there first
+      logger.info('Stripe event already applied', {
+        eventId: event.id,
+        type: event.type,
+      });
     }
 
     // Return a 200 response to acknowledge receipt of the event
@@ -1,6 +1,11 @@
 import express from 'express';
 import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
 import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { reconcileUserTimeBalance } from '#root/utils/ledgerUtils.js';
+import { getUserUsage, parseUsageQuery } from '#root/utils/usageUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Users' });
 
 const usersRouter = express.Router({ mergeParams: true });
 
@@ -8,7 +13,6 @@ usersRouter.get('/:userId', ClerkExpressRequireAuth(), async (req, res) => {
   const { userId } = req.params;
 
   const { userId: clerkId } = req.auth;
-  console.log('usert1212', userId);
 
   if (!userId || !clerkId) {
     return res.status(400).send({ message: `Invalid request` });
@@ -30,4 +34,94 @@ usersRouter.get('/:userId', ClerkExpressRequireAuth(), async (req, res) => {
   });
 });
 
+// time balance statement for the billing page, newest entries first
+usersRouter.get(
+  '/:userId/ledger',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.params;
+    const { userId: clerkId } = req.auth;
+    const { cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (!userId || !clerkId) {
+      return res.status(400).send({ message: `Invalid request` });
+    }
+
+    if (userId !== clerkId) {
+      return res.status(401).send({ message: `Unauthorized` });
+    }
+
+    try {
+      const timeLedgerEntries = await appPrismaClient.timeLedgerEntry.findMany({
+        where: {
+          userId,
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+
+      let nextCursor = null;
+      if (timeLedgerEntries.length > limit) {
+        timeLedgerEntries.pop();
+        nextCursor = timeLedgerEntries[timeLedgerEntries.length - 1].id;
+      }
+
+      const { timeBalance, ledgerBalance, discrepancy } =
+        await reconcileUserTimeBalance({ userId });
+
+      return res.json({
+        message: 'success',
+        timeBalance,
+        ledgerBalance,
+        discrepancy,
+        nextCursor,
+        entities: { timeLedgerEntries },
+      });
+    } catch (error) {
+      logger.error('Error fetching ledger for user', { userId, error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// warp usage for the dashboard, per day, week or month between from and to
+usersRouter.get(
+  '/:userId/usage',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.params;
+    const { userId: clerkId } = req.auth;
+
+    if (!userId || !clerkId) {
+      return res.status(400).send({ message: `Invalid request` });
+    }
+
+    if (userId !== clerkId) {
+      return res.status(401).send({ message: `Unauthorized` });
+    }
+
+    const query = parseUsageQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    try {
+      const usage = await getUserUsage({ userId, ...query });
+
+      return res.json({
+        message: 'success',
+        from: query.from,
+        to: query.to,
+        bucket: query.bucket,
+        ...usage,
+      });
+    } catch (error) {
+      logger.error('Error fetching usage for user', { userId, error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
 export default usersRouter;
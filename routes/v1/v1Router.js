@@ -8,22 +8,30 @@ import webhooksRouter from '#root/routes/v1/webhooksRouter.js';
 import warpsRouter from '#root/routes/v1/warpsRouter.js';
 import usersRouter from '#root/routes/v1/usersRouter.js';
 import paymentsRouter from '#root/routes/v1/paymentsRouter.js';
+import playlistsRouter from '#root/routes/v1/playlistsRouter.js';
+import adminRouter from '#root/routes/v1/adminRouter.js';
+import { createLogger } from '#root/utils/logUtils.js';
 
-v1Router.use('/promps', promptsRouter);
+const logger = createLogger({ component: 'V1' });
+
+v1Router.use('/prompts', promptsRouter);
+v1Router.use('/promps', promptsRouter); // original misspelled path, still used by older clients
 v1Router.use('/payments', paymentsRouter);
 v1Router.use('/webhooks', webhooksRouter);
 v1Router.use('/warps', warpsRouter);
 v1Router.use('/users', usersRouter);
+v1Router.use('/playlists', playlistsRouter);
+v1Router.use('/admin', adminRouter);
 
 v1Router.get(
   '/closeddoorcheck',
   ClerkExpressRequireAuth({
     onError: (e1, e2) => {
-      console.log('customerror1212', e1, e2);
+      logger.warn('closeddoorcheck auth failed', { error: e1 });
     },
   }),
   (req, res) => {
-    console.log('closeddoorcheck1212', req.auth);
+    logger.debug('closeddoorcheck', { userId: req.auth?.userId });
     return res.json({
       message: 'closeddoorcheck',
       entities: { users: [{ id: req?.user?.id }] },
@@ -32,7 +40,7 @@ v1Router.get(
 );
 
 v1Router.get('/opendoorcheck', (req, res) => {
-  console.log('opendoorcheck1212');
+  logger.debug('opendoorcheck');
   return res.json({
     message: 'opendoorcheck',
     entities: { users: [{ id: req?.user?.id }] },
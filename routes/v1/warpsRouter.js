@@ -1,14 +1,28 @@
 import express from 'express';
 import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
 import { appPrismaClient } from '#root/utils/prismaUtils.js';
-import {
-  startRunpodServerlessJob,
-} from '#root/utils/graphqlUtils.js';
 import {
   cancelWarpAndUpdateUserTimeBalance,
   calculateUserTimeBalanceAfterWarp,
+  pauseWarp,
+  resumeWarp,
   syncWarpJobStatus,
 } from '#root/utils/warpUtils.js';
+import {
+  publishWarpEvent,
+  subscribeToWarpEvents,
+} from '#root/utils/warpEventUtils.js';
+import { sendWarpControlMessage } from '#root/utils/warpControlUtils.js';
+import { leaveWarpQueue, requestWarp } from '#root/utils/warpQueueUtils.js';
+import { getUserTier, USER_TIER_SELECT } from '#root/utils/tierUtils.js';
+import {
+  parseWarpConfig,
+  resolveWarpPrompt,
+} from '#root/utils/warpConfigUtils.js';
+import { WARP_CONTROL_MESSAGE_TYPE } from '#root/utils/constants.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Warps' });
 
 const warpsRouter = express.Router({ mergeParams: true });
 
@@ -29,7 +43,7 @@ warpsRouter.post('/', ClerkExpressRequireAuth(), async (req, res) => {
 
     if (existingWarp) {
       // If an active warp exists, sync its status and return it
-      console.log(`User ${userId} already has active warp ${existingWarp.id}. Syncing status...`);
+      logger.info('User already has an active warp. Syncing status', { userId, warpId: existingWarp.id });
       const syncedWarp = await syncWarpJobStatus(existingWarp.id);
       const estimatedUserTimeBalance = await calculateUserTimeBalanceAfterWarp({
         userId,
@@ -43,34 +57,92 @@ warpsRouter.post('/', ClerkExpressRequireAuth(), async (req, res) => {
         entities: { warps: [syncedWarp || existingWarp] }, // Return the most up-to-date warp
       });
     } else {
-      // If no active warp exists, start a new serverless job
-      console.log(`No active warp found for user ${userId}. Starting new serverless job...`);
-      const jobDetails = await startRunpodServerlessJob(); // Calls the refactored RunPod v2 API function
+      // Refunds and chargebacks can leave a balance below zero, which has to
+      // be settled before any more time can be used
+      const user = await appPrismaClient.user.findUnique({
+        where: { id: userId },
+        select: { timeBalance: true, ...USER_TIER_SELECT },
+      });
+
+      if (!user || user.timeBalance < 0) {
+        return res.status(402).json({
+          error: 'Time balance is negative. Purchase more time to start a Warp.',
+          timeBalance: user?.timeBalance ?? null,
+        });
+      }
+
+      // The worker steps through the prompts of a playlist if one is given
+      const playlistId = req.body?.playlistId || null;
+      if (playlistId) {
+        const playlist = await appPrismaClient.playlist.findFirst({
+          where: { id: playlistId, createdById: userId, deletedAt: null },
+          select: { id: true },
+        });
 
-      if (!jobDetails || !jobDetails.id) {
-        throw new Error('Failed to start serverless job or job ID not returned.');
+        if (!playlist) {
+          return res.status(404).json({ error: 'Playlist not found' });
+        }
       }
 
-      const warp = await appPrismaClient.warp.create({
-        data: {
-          createdBy: { connect: { id: userId } },
-          jobId: jobDetails.id,
-          jobStatus: jobDetails.status || 'IN_QUEUE', // Initial status from RunPod
-          jobRequestedAt: new Date(), // Record when the request was made
-          // jobStartedAt, jobEndedAt, workerId will be updated later via sync or webhooks
-        },
+      // Worker settings, checked against what the user's tier allows
+      const tier = getUserTier(user);
+      const parsedConfig = await parseWarpConfig({
+        config: req.body?.config ?? {},
+        tier,
+        userId,
+      });
+
+      if (parsedConfig.error) {
+        return res.status(parsedConfig.status || 400).json({ error: parsedConfig.error });
+      }
+
+      // If no active warp exists, start one, or wait in the queue while the
+      // concurrency limits are reached
+      logger.info('No active warp found for user. Requesting a new serverless job', { userId });
+      const { warp, queueEntry, position } = await requestWarp({
+        userId,
+        tier,
+        playlistId,
+        config: parsedConfig.config,
       });
 
+      if (queueEntry) {
+        // Clients poll this endpoint to keep their place until the warp starts
+        return res.status(202).json({
+          success: true,
+          queuePosition: position,
+          entities: { warpQueueEntries: [queueEntry] },
+        });
+      }
+
       // No estimated balance needed here as job hasn't started billing
       return res.json({ success: true, entities: { warps: [warp] } });
     }
   } catch (error) {
-    console.error('Error creating or retrieving serverless warp:', error);
+    logger.error('Error creating or retrieving serverless warp', { error });
     // Check for specific RunPod errors if possible
     return res.status(500).json({ error: error.message || 'Failed to process warp request' });
   }
 });
 
+// leave the queue for a warp
+warpsRouter.delete('/queue', ClerkExpressRequireAuth(), async (req, res) => {
+  const { userId } = req.auth;
+
+  try {
+    const wasWaiting = await leaveWarpQueue(userId);
+
+    if (!wasWaiting) {
+      return res.status(404).json({ error: 'Not waiting for a warp' });
+    }
+
+    return res.json({ success: true });
+  } catch (error) {
+    logger.error('Error leaving the warp queue', { error });
+    return res.status(500).json({ error: error.message });
+  }
+});
+
 // get all warps for the current user
 warpsRouter.get('/', ClerkExpressRequireAuth(), async (req, res) => {
   const { userId } = req.auth;
@@ -91,7 +163,7 @@ warpsRouter.get('/', ClerkExpressRequireAuth(), async (req, res) => {
 
     return res.json({ success: true, entities: { warps } }); // Corrected 'sucess' to 'success'
   } catch (error) {
-    console.error('Error fetching warps:', error);
+    logger.error('Error fetching warps', { error });
     return res.status(500).json({ error: error.message });
   }
 });
@@ -127,11 +199,65 @@ warpsRouter.get('/:warpId', ClerkExpressRequireAuth(), async (req, res) => {
 
     return res.json({ success: true, entities: { warps: [returnWarp] } }); // Corrected 'sucess' to 'success'
   } catch (error) {
-    console.error(`Error fetching or syncing warp ${warpId}:`, error);
+    logger.error('Error fetching or syncing warp', { warpId, error });
     return res.status(500).json({ error: error.message });
   }
 });
 
+// Server-Sent Events stream of status, worker and balance changes for a warp
+warpsRouter.get(
+  '/:warpId/events',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { warpId } = req.params;
+
+    try {
+      const warp = await appPrismaClient.warp.findFirst({
+        where: {
+          id: warpId,
+          createdById: userId,
+          deletedAt: null,
+        },
+        select: { id: true },
+      });
+
+      if (!warp) {
+        return res.status(404).json({ error: 'Warp not found or access denied' });
+      }
+    } catch (error) {
+      logger.error('Error opening event stream for warp', { warpId, error });
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Comment lines keep proxies from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    const unsubscribe = subscribeToWarpEvents({
+      warpId,
+      send,
+      close: () => res.end(),
+    });
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  },
+);
+
 // Re-implemented Heartbeat endpoint for active warps
 warpsRouter.post(
   '/:warpId/heartbeat',
@@ -155,9 +281,11 @@ warpsRouter.post(
         select: { 
             id: true, 
             createdById: true, 
+            jobId: true, // Needed if the warp has to be cancelled
             jobStatus: true, 
             jobStartedAt: true, 
-            jobEndedAt: true 
+            jobEndedAt: true,
+            computeProvider: true,
         }
       });
 
@@ -177,14 +305,19 @@ warpsRouter.post(
         warp, // Pass the fetched warp
       });
 
-      console.log(`[Heartbeat] Calculated estimated time balance for user ${userId}, warp ${warpId}: ${estimatedUserTimeBalance.toFixed(2)}s`);
+      logger.debug('Calculated estimated time balance', { userId, warpId, estimatedUserTimeBalance });
 
       let updatedWarp = warp;
 
       // If balance is insufficient, end the warp
       if (estimatedUserTimeBalance <= 0) {
-        console.log(`[Heartbeat] User ${userId} has insufficient balance (${estimatedUserTimeBalance.toFixed(2)}s) for warp ${warpId}. Triggering cancellation.`);
-        const { warp: cancelledWarp, user: updatedUser } = await cancelWarpAndUpdateUserTimeBalance({ warpId, userId, warp });
+        logger.info('User has insufficient balance. Triggering cancellation', { userId, warpId, estimatedUserTimeBalance });
+        const { warp: cancelledWarp, user: updatedUser } = await cancelWarpAndUpdateUserTimeBalance({
+          warpId,
+          userId,
+          warp,
+          reason: 'Time balance ran out',
+        });
         return res.status(402).json({ // 402 Payment Required seems appropriate
           error: 'Insufficient balance to continue Warp',
           estimatedUserTimeBalance: 0, // Reflect that balance is depleted
@@ -192,14 +325,13 @@ warpsRouter.post(
         });
       } else {
         // If balance is sufficient, just update the timestamp
-        console.log(`[Heartbeat] User ${userId} has sufficient balance for warp ${warpId}. Updating updatedAt timestamp.`);
         updatedWarp = await appPrismaClient.warp.update({
           where: { id: warpId },
           data: {
             updatedAt: new Date(),
           },
         });
-        console.log(`[Heartbeat] Successfully updated updatedAt for warp ${warpId}.`);
+        logger.debug('Heartbeat recorded', { userId, warpId });
 
         return res.json({
           success: true,
@@ -208,7 +340,7 @@ warpsRouter.post(
         });
       }
     } catch (error) {
-      console.error(`[Heartbeat Error] Error processing heartbeat for warp ${warpId}:`, error);
+      logger.error('Error processing heartbeat', { warpId, error });
       // Handle specific errors like cancellation failure if needed
       if (error.message.includes('RunPod API') || error.message.includes('already in terminal state')) {
           // Error occurred during cancellation attempt due to low balance
@@ -219,6 +351,197 @@ warpsRouter.post(
   },
 );
 
+// Pause a running warp. Billing stops until it is resumed, and the job keeps
+// its worker in the meantime. Warps paused for too long are ended by the cleanup cron.
+warpsRouter.post(
+  '/:warpId/pause',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { warpId } = req.params;
+
+    try {
+      const warp = await appPrismaClient.warp.findFirst({
+        where: {
+          id: warpId,
+          createdById: userId,
+          deletedAt: null,
+        },
+        select: { id: true, jobStatus: true, jobStartedAt: true, jobEndedAt: true },
+      });
+
+      if (!warp) {
+        return res.status(404).json({ error: 'Warp not found or access denied' });
+      }
+
+      if (warp.jobStatus !== 'IN_PROGRESS' || !warp.jobStartedAt) {
+        return res.status(400).json({ error: `Warp is not IN_PROGRESS (status: ${warp.jobStatus}). Cannot pause.` });
+      }
+
+      const pausedWarp = await pauseWarp(warp);
+      const estimatedUserTimeBalance = await calculateUserTimeBalanceAfterWarp({
+        userId,
+        warpId,
+        warp: pausedWarp,
+      });
+
+      return res.json({
+        success: true,
+        estimatedUserTimeBalance,
+        entities: { warps: [pausedWarp] },
+      });
+    } catch (error) {
+      logger.error('Error pausing warp', { warpId, error });
+      return res.status(500).json({ error: 'Internal server error during warp pause' });
+    }
+  },
+);
+
+// Resume a paused warp, which starts billing again
+warpsRouter.post(
+  '/:warpId/resume',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { warpId } = req.params;
+
+    try {
+      const warp = await appPrismaClient.warp.findFirst({
+        where: {
+          id: warpId,
+          createdById: userId,
+          deletedAt: null,
+        },
+        select: { id: true, jobStatus: true, jobStartedAt: true, jobEndedAt: true },
+      });
+
+      if (!warp) {
+        return res.status(404).json({ error: 'Warp not found or access denied' });
+      }
+
+      if (warp.jobStatus !== 'PAUSED') {
+        return res.status(400).json({ error: `Warp is not PAUSED (status: ${warp.jobStatus}). Cannot resume.` });
+      }
+
+      const estimatedUserTimeBalance = await calculateUserTimeBalanceAfterWarp({
+        userId,
+        warpId,
+        warp,
+      });
+
+      if (estimatedUserTimeBalance <= 0) {
+        return res.status(402).json({
+          error: 'Insufficient balance to resume Warp',
+          estimatedUserTimeBalance,
+        });
+      }
+
+      const resumedWarp = await resumeWarp(warp);
+
+      return res.json({
+        success: true,
+        estimatedUserTimeBalance,
+        entities: { warps: [resumedWarp] },
+      });
+    } catch (error) {
+      logger.error('Error resuming warp', { warpId, error });
+      return res.status(500).json({ error: 'Internal server error during warp resume' });
+    }
+  },
+);
+
+// Change the prompt of a running warp, given as text or a saved prompt's ID.
+// The worker picks it up through the warp's control channel.
+warpsRouter.post(
+  '/:warpId/prompt',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { warpId } = req.params;
+
+    try {
+      const warp = await appPrismaClient.warp.findFirst({
+        where: {
+          id: warpId,
+          createdById: userId,
+          deletedAt: null,
+        },
+        select: { id: true, jobStatus: true, controlToken: true },
+      });
+
+      if (!warp) {
+        return res.status(404).json({ error: 'Warp not found or access denied' });
+      }
+
+      if (warp.jobStatus !== 'IN_PROGRESS') {
+        return res.status(400).json({ error: `Warp is not IN_PROGRESS (status: ${warp.jobStatus}). Cannot change prompt.` });
+      }
+
+      // Warps started before control channels existed can't be reached
+      if (!warp.controlToken) {
+        return res.status(409).json({ error: 'Warp does not support live prompt changes' });
+      }
+
+      const resolved = await resolveWarpPrompt({
+        prompt: req.body?.prompt,
+        promptId: req.body?.promptId,
+        userId,
+      });
+
+      if (resolved.error) {
+        return res.status(resolved.status || 400).json({ error: resolved.error });
+      }
+
+      const payload = { prompt: resolved.prompt, promptId: resolved.promptId };
+      const message = await sendWarpControlMessage({
+        warpId,
+        type: WARP_CONTROL_MESSAGE_TYPE.PROMPT,
+        payload,
+      });
+      publishWarpEvent(warpId, 'prompt', { warpId, ...payload });
+
+      return res.json({
+        success: true,
+        entities: { warpControlMessages: [message] },
+      });
+    } catch (error) {
+      logger.error('Error changing prompt of warp', { warpId, error });
+      return res.status(500).json({ error: 'Internal server error during prompt change' });
+    }
+  },
+);
+
+// The prompt changes of a warp, oldest first
+warpsRouter.get(
+  '/:warpId/prompts',
+  ClerkExpressRequireAuth(),
+  async (req, res) => {
+    const { userId } = req.auth;
+    const { warpId } = req.params;
+
+    try {
+      const warp = await appPrismaClient.warp.findFirst({
+        where: { id: warpId, createdById: userId },
+        select: { id: true },
+      });
+
+      if (!warp) {
+        return res.status(404).json({ error: 'Warp not found or access denied' });
+      }
+
+      const warpControlMessages = await appPrismaClient.warpControlMessage.findMany({
+        where: { warpId, type: WARP_CONTROL_MESSAGE_TYPE.PROMPT },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      return res.json({ success: true, entities: { warpControlMessages } });
+    } catch (error) {
+      logger.error('Error fetching prompts of warp', { warpId, error });
+      return res.status(500).json({ error: error.message });
+    }
+  },
+);
+
 // End (cancel) a specific warp (serverless job)
 warpsRouter.post(
   '/:warpId/end',
@@ -231,7 +554,7 @@ warpsRouter.post(
       // Fetch the Warp first to ensure it exists and belongs to the user
       const warp = await appPrismaClient.warp.findUnique({
         where: { id: warpId },
-        select: { id: true, createdById: true, jobId: true, jobStatus: true, jobStartedAt: true }, // Select necessary fields
+        select: { id: true, createdById: true, jobId: true, jobStatus: true, jobStartedAt: true, computeProvider: true }, // Select necessary fields
       });
 
       // Check if the Warp exists
@@ -247,7 +570,12 @@ warpsRouter.post(
 
       // Use the refactored function to cancel the job and update balance
       const { warp: cancelledWarp, user: updatedUser } =
-        await cancelWarpAndUpdateUserTimeBalance({ warpId, userId, warp });
+        await cancelWarpAndUpdateUserTimeBalance({
+          warpId,
+          userId,
+          warp,
+          actorId: userId,
+        });
 
       // Respond with the updated warp and user data
       res
@@ -255,7 +583,7 @@ warpsRouter.post(
         .json({ success: true, entities: { warps: [cancelledWarp], users: [updatedUser] } });
 
     } catch (error) {
-      console.error(`Error in Warp end endpoint for ${warpId}:`, error);
+      logger.error('Error ending warp', { warpId, error });
       // Provide a more specific error if the cancellation itself failed vs. other errors
       if (error.message.includes('RunPod API')) {
          return res.status(502).json({ error: 'Failed to communicate with RunPod to cancel job', details: error.message });
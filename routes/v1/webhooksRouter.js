@@ -4,6 +4,26 @@ import { Webhook } from 'svix';
 import { appPrismaClient } from '#root/utils/prismaUtils.js';
 import { sendSendGridEmail } from '#root/utils/emailUtils.js';
 import { getSecret } from '#root/utils/secretUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+import { recordTimeLedgerEntry } from '#root/utils/ledgerUtils.js';
+import {
+  recordAuditEvent,
+  recordBalanceAuditEvent,
+} from '#root/utils/auditUtils.js';
+import { isValidRunpodCallbackSignature } from '#root/utils/runpodWebhookUtils.js';
+import { takeWarpControlMessages } from '#root/utils/warpControlUtils.js';
+import {
+  applyWarpJobStatus,
+  WARP_STATUS_SYNC_SELECT,
+} from '#root/utils/warpUtils.js';
+import {
+  AUDIT_ACTION,
+  SIGNUP_BONUS_SECONDS,
+  TERMINAL_JOB_STATUSES,
+  TIME_LEDGER_ENTRY_TYPE,
+} from '#root/utils/constants.js';
+
+const logger = createLogger({ component: 'Webhooks' });
 
 const READY_WEBHOOK_SECRET_KEY = await getSecret('READY_WEBHOOK_SECRET_KEY');
 const webhooksRouter = express.Router({ mergeParams: true });
@@ -22,13 +42,6 @@ webhooksRouter.post(
     // Grab the headers and body
     const headers = req.headers;
     const payload = req.body;
-    console.log(
-      'payload1212',
-      payload,
-      payload?.data,
-      payload?.object,
-      payload?.type,
-    );
 
     // Get the Svix headers for verification
     const svix_id = headers['svix-id'];
@@ -58,7 +71,7 @@ webhooksRouter.post(
       });
     } catch (err) {
       // Console log and return error
-      console.log('Webhook failed to verify. Error:', err.message);
+      logger.warn('Clerk webhook failed to verify', { error: err });
       return res.status(400).json({
         success: false,
         message: err.message,
@@ -69,9 +82,9 @@ webhooksRouter.post(
     const { id } = evt.data;
     const eventType = evt.type;
 
-    console.log(`Webhook with an ID of ${id} and type of ${eventType}`);
+    logger.info('Clerk webhook received', { userId: id, eventType });
     // Console log the full payload to view
-    console.log('Webhook body:', evt.data);
+    logger.debug('Clerk webhook body', { data: evt.data });
 
     try {
       if (eventType === 'user.created') {
@@ -87,7 +100,9 @@ webhooksRouter.post(
           });
 
           if (dbUser) {
-            console.log('user already exists, update the meta');
+            logger.info('User already exists, updating the meta', {
+              userId: id,
+            });
             // Update the user record
             dbUser = await tx.user.update({
               where: {
@@ -98,13 +113,28 @@ webhooksRouter.post(
               },
             });
           } else {
-            // Create a new user record
-            dbUser = await tx.user.create({
+            // Create a new user record, starting from zero so the signup
+            // bonus shows up in their ledger
+            await tx.user.create({
               data: {
                 id,
                 meta: { ...payload.data },
+                timeBalance: 0,
               },
             });
+            ({ user: dbUser } = await recordTimeLedgerEntry({
+              tx,
+              userId: id,
+              type: TIME_LEDGER_ENTRY_TYPE.SIGNUP_BONUS,
+              amount: SIGNUP_BONUS_SECONDS,
+            }));
+            await recordBalanceAuditEvent({
+              tx,
+              action: AUDIT_ACTION.USER_CREATED,
+              user: dbUser,
+              amount: SIGNUP_BONUS_SECONDS,
+              reason: 'Signed up',
+            });
           }
           return { user: dbUser };
         });
@@ -118,24 +148,37 @@ webhooksRouter.post(
           },
         });
         if (existingUser) {
-          await appPrismaClient.user.update({
-            where: {
-              id,
-            },
-            // mark deletedAt as current datetime
-            data: {
-              deletedAt: new Date(),
-            },
+          await appPrismaClient.$transaction(async tx => {
+            const deletedUser = await tx.user.update({
+              where: {
+                id,
+              },
+              // mark deletedAt as current datetime
+              data: {
+                deletedAt: new Date(),
+              },
+            });
+            await recordAuditEvent({
+              tx,
+              action: AUDIT_ACTION.USER_DELETED,
+              targetType: 'User',
+              targetId: id,
+              before: { deletedAt: existingUser.deletedAt },
+              after: { deletedAt: deletedUser.deletedAt },
+              reason: 'Deleted in Clerk',
+            });
           });
         } else {
           // No user exists with the given id
-          console.error(
-            `User with id ${id} that was being deleted does not exist`,
-          );
+          logger.error('User being deleted does not exist', { userId: id });
         }
       }
     } catch (err) {
-      console.error('prismaErr1212', err);
+      logger.error('Error handling Clerk webhook', {
+        userId: id,
+        eventType,
+        error: err,
+      });
     }
 
     return res.status(200).json({
@@ -145,6 +188,58 @@ webhooksRouter.post(
   },
 );
 
+// RunPod serverless job callback. The URL is generated per warp by
+// createRunpodJobCallback and registered when the job is started.
+webhooksRouter.post('/runpod/:callbackToken', async (req, res) => {
+  const { callbackToken } = req.params;
+  const { signature } = req.query;
+  const jobStatusResult = req.body;
+
+  if (!isValidRunpodCallbackSignature(callbackToken, signature)) {
+    logger.warn('Rejected RunPod callback with invalid signature');
+    return res.status(401).json({ message: 'Unauthorized: Invalid signature' });
+  }
+
+  try {
+    const warp = await appPrismaClient.warp.findUnique({
+      where: {
+        callbackToken,
+      },
+      select: WARP_STATUS_SYNC_SELECT,
+    });
+
+    if (!warp) {
+      return res.status(404).json({ message: 'Warp not found' });
+    }
+
+    if (!jobStatusResult?.status || jobStatusResult.id !== warp.jobId) {
+      logger.warn('RunPod callback does not match the warp job', {
+        warpId: warp.id,
+        jobId: warp.jobId,
+        callbackJobId: jobStatusResult?.id,
+        status: jobStatusResult?.status,
+      });
+      return res.status(400).json({ message: 'Job does not match warp' });
+    }
+
+    logger.info('RunPod callback', {
+      warpId: warp.id,
+      jobId: warp.jobId,
+      status: jobStatusResult.status,
+    });
+    const updatedWarp = await applyWarpJobStatus(warp, jobStatusResult);
+
+    return res.json({
+      message: 'success',
+      jobStatus: updatedWarp.jobStatus,
+    });
+  } catch (err) {
+    // RunPod retries failed callbacks, and the cleanup cron polls as a fallback
+    logger.error('Error handling RunPod callback', { error: err });
+    return res.status(500).json({ message: 'error', error: err.message });
+  }
+});
+
 // Middleware to check for secret key - Can likely be removed if no other webhooks use it
 // const checkSecretKey = (req, res, next) => {
 //   const secretKey = req.headers['x-secret-key'];
@@ -158,9 +253,37 @@ webhooksRouter.post(
 //   next();
 // };
 
+// Polled by a warp's worker for control messages, e.g. prompt changes. The URL
+// is generated per warp by createWarpControlChannel and sent in the job input.
+webhooksRouter.get('/warps/control/:controlToken', async (req, res) => {
+  try {
+    const result = await takeWarpControlMessages(req.params.controlToken);
+
+    if (!result) {
+      return res.status(404).json({ message: 'Warp not found' });
+    }
+
+    return res.json({
+      message: 'success',
+      // Tells the worker to stop polling
+      ended: TERMINAL_JOB_STATUSES.includes(result.warp.jobStatus),
+      controlMessages: result.messages.map(
+        ({ id, createdAt, type, payload }) => ({
+          id,
+          createdAt,
+          type,
+          payload,
+        }),
+      ),
+    });
+  } catch (err) {
+    logger.error('Error fetching control messages', { error: err });
+    return res.status(500).json({ message: 'error', error: err.message });
+  }
+});
+
 // REMOVED: Webhook for /podready is no longer needed for serverless.
-// Runpod serverless status is typically checked via polling the /status endpoint
-// or potentially via different webhooks if RunPod offers them for serverless jobs.
+// Serverless jobs report back through /runpod/:callbackToken above.
 
 // webhooksRouter.post('/podready', checkSecretKey, async (req, res) => {
 //   const { podId } = req.body;
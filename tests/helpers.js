@@ -0,0 +1,134 @@
+import { once } from 'events';
+import { Webhook } from 'svix';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import mockProvider, {
+  resetMockProvider,
+} from '#root/utils/computeProviders/mockProvider.js';
+import { resetPromptGenerationRateLimits } from '#root/utils/promptGenerationUtils.js';
+import { resetMetrics } from '#root/utils/metricsUtils.js';
+import { resetDatabase } from '#root/tests/mocks/prismaClient.js';
+import { resetClerk } from '#root/tests/mocks/clerk.js';
+import { resetSendGrid } from '#root/tests/mocks/sendgrid.js';
+import { resetStripe, signStripePayload } from '#root/tests/mocks/stripe.js';
+
+/**
+ * Starts the app on a random port.
+ * @returns {Promise<{request: function(string, object=): Promise<Response>, close: function(): Promise<void>}>}
+ */
+export async function startTestServer() {
+  const { default: app } = await import('#root/app.js');
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @param {string} path
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {string} [options.userId] Signs the request in as this user
+   * @param {object|string} [options.body] Objects are sent as JSON
+   * @param {object} [options.headers]
+   * @param {AbortSignal} [options.signal] Disconnects when aborted, e.g. from an event stream
+   */
+  const request = (
+    path,
+    { method = 'GET', userId, body, headers = {}, signal } = {},
+  ) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      signal,
+      headers: {
+        ...(userId ? { Authorization: `Bearer ${userId}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === 'string'
+          ? body
+          : JSON.stringify(body),
+    });
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await once(server, 'close');
+  };
+
+  return { request, close };
+}
+
+/**
+ * Clears the database and every fake service. Call before each test.
+ */
+export function resetTestState() {
+  resetDatabase();
+  resetClerk();
+  resetSendGrid();
+  resetStripe();
+  resetMockProvider();
+  resetPromptGenerationRateLimits();
+  resetMetrics();
+}
+
+export async function createTestUser({
+  id = 'user_test',
+  timeBalance = 3600,
+  ...data
+} = {}) {
+  return appPrismaClient.user.create({
+    data: { id, timeBalance, ...data },
+  });
+}
+
+/**
+ * Creates a warp that has been running for `runningSeconds`, backed by a mock
+ * provider job so it can be cancelled. Only the warp is backdated: syncing it
+ * would report the job as just queued.
+ */
+export async function createRunningWarp({
+  userId = 'user_test',
+  runningSeconds = 60,
+  ...data
+} = {}) {
+  const job = await mockProvider.startJob();
+
+  return appPrismaClient.warp.create({
+    data: {
+      createdById: userId,
+      jobId: job.id,
+      jobStatus: 'IN_PROGRESS',
+      jobStartedAt: new Date(Date.now() - runningSeconds * 1000),
+      computeProvider: 'mock',
+      ...data,
+    },
+  });
+}
+
+// Headers Stripe would send with `payload`
+export function stripeWebhookHeaders(payload) {
+  return {
+    'Content-Type': 'application/json',
+    'Stripe-Signature': signStripePayload(
+      payload,
+      process.env.STRIPE_ENDPOINT_SECRET,
+    ),
+  };
+}
+
+// Headers Clerk (through Svix) would send with `payload`
+export function clerkWebhookHeaders(payload) {
+  const id = `msg_${Math.random().toString(36).slice(2)}`;
+  const timestamp = new Date();
+  const signature = new Webhook(process.env.WEBHOOK_SECRET).sign(
+    id,
+    timestamp,
+    payload,
+  );
+
+  return {
+    'Content-Type': 'application/json',
+    'svix-id': id,
+    'svix-timestamp': Math.floor(timestamp.getTime() / 1000).toString(),
+    'svix-signature': signature,
+  };
+}
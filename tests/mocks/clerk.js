@@ -0,0 +1,45 @@
+// Stand-in for @clerk/clerk-sdk-node. Requests authenticate with
+// `Authorization: Bearer <userId>`, and users are whatever the test seeds.
+const clerkUsers = new Map();
+
+export function setClerkUser(user) {
+  clerkUsers.set(user.id, user);
+}
+
+export function resetClerk() {
+  clerkUsers.clear();
+}
+
+export function ClerkExpressRequireAuth() {
+  return (req, res, next) => {
+    const [scheme, userId] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !userId) {
+      return res.status(401).send('Unauthenticated');
+    }
+
+    req.auth = { userId };
+    next();
+  };
+}
+
+export const clerkClient = {
+  users: {
+    async getUser(userId) {
+      const user = clerkUsers.get(userId);
+      if (!user) {
+        throw new Error(`Clerk user ${userId} not found`);
+      }
+      return user;
+    },
+    // Only the emailAddress filter is supported
+    async getUserList({ emailAddress = [] } = {}) {
+      const data = [...clerkUsers.values()].filter(user =>
+        user.emailAddresses?.some(({ emailAddress: address }) =>
+          emailAddress.includes(address),
+        ),
+      );
+      return { data, totalCount: data.length };
+    },
+  },
+};
@@ -0,0 +1,25 @@
+// Module resolution hooks registered by tests/setup.js. Third-party services
+// are swapped for the in-process fakes in this directory, except when a fake
+// imports the real package itself.
+const MOCKED_MODULES = {
+  '@prisma/client': './prismaClient.js',
+  '@clerk/clerk-sdk-node': './clerk.js',
+  '@sendgrid/mail': './sendgrid.js',
+  stripe: './stripe.js',
+  'node-cron': './nodeCron.js',
+};
+
+const MOCKS_DIR_URL = new URL('./', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const mock = MOCKED_MODULES[specifier];
+
+  if (mock && !context.parentURL?.startsWith(MOCKS_DIR_URL)) {
+    return {
+      url: new URL(mock, import.meta.url).href,
+      shortCircuit: true,
+    };
+  }
+
+  return nextResolve(specifier, context);
+}
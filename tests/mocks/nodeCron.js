@@ -0,0 +1,11 @@
+// Stand-in for node-cron so importing app.js doesn't leave timers running.
+// Tests call the scheduled functions directly.
+export const scheduledTasks = [];
+
+export default {
+  schedule(expression, task) {
+    const scheduledTask = { expression, task, stop() {} };
+    scheduledTasks.push(scheduledTask);
+    return scheduledTask;
+  },
+};
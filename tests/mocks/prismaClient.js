@@ -0,0 +1,788 @@
+import crypto from 'crypto';
+import { createRequire } from 'module';
+
+// In-memory stand-in for @prisma/client so the app can be tested without a
+// database. Models, defaults, unique fields and relations are read from the
+// generated client's DMMF, so the store follows schema.prisma. Only the parts
+// of the query API the app uses are implemented.
+const require = createRequire(import.meta.url);
+const { Prisma } = require('@prisma/client');
+
+const { models } = Prisma.dmmf.datamodel;
+const modelsByName = new Map(models.map(model => [model.name, model]));
+
+const delegateName = modelName =>
+  modelName.charAt(0).toLowerCase() + modelName.slice(1);
+
+// One array of rows per model, shared by every client instance
+let tables = {};
+
+/**
+ * Empties every table. Call between tests.
+ */
+export function resetDatabase() {
+  tables = Object.fromEntries(models.map(model => [model.name, []]));
+}
+
+resetDatabase();
+
+const cloneValue = value => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value !== null && typeof value === 'object') {
+    return structuredClone(value);
+  }
+  return value;
+};
+
+const knownRequestError = (message, code, meta) =>
+  new Prisma.PrismaClientKnownRequestError(message, {
+    code,
+    clientVersion: Prisma.prismaVersion.client,
+    meta,
+  });
+
+const scalarFields = model => model.fields.filter(f => f.kind !== 'object');
+const relationFields = model => model.fields.filter(f => f.kind === 'object');
+const getField = (model, name) => model.fields.find(f => f.name === name);
+
+// The field on the other side of a relation
+const getOppositeField = (model, field) =>
+  modelsByName
+    .get(field.type)
+    .fields.find(
+      f =>
+        f.relationName === field.relationName &&
+        (f.type !== model.name || f.name !== field.name),
+    );
+
+// Rows related to `row` through `field`, as a list
+const getRelatedRows = (model, field, row) => {
+  const target = tables[field.type];
+
+  if (field.relationFromFields?.length) {
+    return target.filter(candidate =>
+      field.relationFromFields.every(
+        (from, i) =>
+          row[from] != null &&
+          candidate[field.relationToFields[i]] === row[from],
+      ),
+    );
+  }
+
+  const opposite = getOppositeField(model, field);
+  return target.filter(candidate =>
+    opposite.relationFromFields.every(
+      (from, i) =>
+        candidate[from] != null &&
+        candidate[from] === row[opposite.relationToFields[i]],
+    ),
+  );
+};
+
+const valueKey = value =>
+  value instanceof Date ? value.getTime() : JSON.stringify(value);
+
+const isEqual = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a != null && b != null && new Date(a).getTime() === new Date(b).getTime()
+    );
+  }
+  if (
+    a !== null &&
+    b !== null &&
+    typeof a === 'object' &&
+    typeof b === 'object'
+  ) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+const compareValues = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+};
+
+const FILTER_KEYS = [
+  'equals',
+  'not',
+  'in',
+  'notIn',
+  'lt',
+  'lte',
+  'gt',
+  'gte',
+  'contains',
+  'startsWith',
+  'endsWith',
+  'mode',
+];
+
+const isScalarFilter = (field, condition) =>
+  condition !== null &&
+  typeof condition === 'object' &&
+  !(condition instanceof Date) &&
+  (field.type !== 'Json' ||
+    Object.keys(condition).every(key => FILTER_KEYS.includes(key))) &&
+  Object.keys(condition).some(key => FILTER_KEYS.includes(key));
+
+const matchesScalar = (field, value, condition) => {
+  if (!isScalarFilter(field, condition)) {
+    return condition === null ? value == null : isEqual(value, condition);
+  }
+
+  const insensitive = condition.mode === 'insensitive';
+  const text = v =>
+    insensitive && typeof v === 'string' ? v.toLowerCase() : v;
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case 'equals':
+        return operand === null
+          ? value == null
+          : isEqual(text(value), text(operand));
+      case 'not':
+        return !matchesScalar(field, value, operand);
+      case 'in':
+        return operand.some(option => isEqual(value, option));
+      case 'notIn':
+        return value != null && !operand.some(option => isEqual(value, option));
+      case 'lt':
+        return value != null && compareValues(value, operand) < 0;
+      case 'lte':
+        return value != null && compareValues(value, operand) <= 0;
+      case 'gt':
+        return value != null && compareValues(value, operand) > 0;
+      case 'gte':
+        return value != null && compareValues(value, operand) >= 0;
+      case 'contains':
+        return typeof value === 'string' && text(value).includes(text(operand));
+      case 'startsWith':
+        return (
+          typeof value === 'string' && text(value).startsWith(text(operand))
+        );
+      case 'endsWith':
+        return typeof value === 'string' && text(value).endsWith(text(operand));
+      case 'mode':
+        return true;
+      default:
+        throw new Error(`In-memory Prisma: unsupported filter ${operator}`);
+    }
+  });
+};
+
+const matchesWhere = (model, row, where = {}) =>
+  Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) {
+      return true;
+    }
+    if (key === 'AND') {
+      return [].concat(condition).every(c => matchesWhere(model, row, c));
+    }
+    if (key === 'OR') {
+      return condition.some(c => matchesWhere(model, row, c));
+    }
+    if (key === 'NOT') {
+      return ![].concat(condition).some(c => matchesWhere(model, row, c));
+    }
+
+    const field = getField(model, key);
+    if (!field) {
+      // Compound unique inputs, e.g. { userId_name: { userId, name } }
+      if (condition && typeof condition === 'object') {
+        return matchesWhere(model, row, condition);
+      }
+      throw new Error(`In-memory Prisma: unknown field ${model.name}.${key}`);
+    }
+
+    if (field.kind !== 'object') {
+      return matchesScalar(field, row[key], condition);
+    }
+
+    const targetModel = modelsByName.get(field.type);
+    const related = getRelatedRows(model, field, row);
+
+    if (field.isList) {
+      return Object.entries(condition).every(([operator, nested]) => {
+        if (operator === 'some') {
+          return related.some(r => matchesWhere(targetModel, r, nested));
+        }
+        if (operator === 'every') {
+          return related.every(r => matchesWhere(targetModel, r, nested));
+        }
+        if (operator === 'none') {
+          return !related.some(r => matchesWhere(targetModel, r, nested));
+        }
+        throw new Error(
+          `In-memory Prisma: unsupported list filter ${operator}`,
+        );
+      });
+    }
+
+    if (condition === null) {
+      return related.length === 0;
+    }
+    if ('is' in condition || 'isNot' in condition) {
+      const { is, isNot } = condition;
+      const matchesIs =
+        is === undefined ||
+        (is === null
+          ? related.length === 0
+          : related.some(r => matchesWhere(targetModel, r, is)));
+      const matchesIsNot =
+        isNot === undefined ||
+        (isNot === null
+          ? related.length > 0
+          : !related.some(r => matchesWhere(targetModel, r, isNot)));
+      return matchesIs && matchesIsNot;
+    }
+    return related.some(r => matchesWhere(targetModel, r, condition));
+  });
+
+const sortRows = (rows, orderBy) => {
+  if (!orderBy) {
+    return rows;
+  }
+
+  const orderings = [].concat(orderBy).flatMap(entry => Object.entries(entry));
+  return [...rows].sort((a, b) => {
+    for (const [fieldName, ordering] of orderings) {
+      const direction = typeof ordering === 'string' ? ordering : ordering.sort;
+      const sign = direction === 'desc' ? -1 : 1;
+      const left = a[fieldName];
+      const right = b[fieldName];
+
+      if (left == null || right == null) {
+        if (left == null && right == null) continue;
+        // Postgres puts nulls last when ascending and first when descending
+        const nulls =
+          ordering.nulls || (direction === 'desc' ? 'first' : 'last');
+        const nullFirst = nulls === 'first' ? -1 : 1;
+        return left == null ? nullFirst : -nullFirst;
+      }
+
+      const result = compareValues(left, right);
+      if (result !== 0) {
+        return result * sign;
+      }
+    }
+    return 0;
+  });
+};
+
+const paginate = (model, rows, { cursor, skip = 0, take } = {}) => {
+  let result = rows;
+
+  if (cursor) {
+    const index = result.findIndex(row => matchesWhere(model, row, cursor));
+    result = index === -1 ? [] : result.slice(index);
+  }
+
+  result = result.slice(skip);
+
+  if (take !== undefined) {
+    result = take >= 0 ? result.slice(0, take) : result.slice(take);
+  }
+
+  return result;
+};
+
+const findRows = (model, args = {}) => {
+  const rows = tables[model.name].filter(row =>
+    matchesWhere(model, row, args.where),
+  );
+  return paginate(model, sortRows(rows, args.orderBy), args);
+};
+
+// Shapes a stored row into what Prisma would return for the given select/include
+const shapeRow = (model, row, { select, include } = {}) => {
+  const result = {};
+
+  if (select) {
+    for (const [key, value] of Object.entries(select)) {
+      if (!value) continue;
+
+      if (key === '_count') {
+        result._count = countRelations(model, row, value);
+        continue;
+      }
+
+      const field = getField(model, key);
+      if (field.kind === 'object') {
+        result[key] = shapeRelation(model, field, row, value);
+      } else {
+        result[key] = cloneValue(row[key]);
+      }
+    }
+    return result;
+  }
+
+  for (const field of scalarFields(model)) {
+    result[field.name] = cloneValue(row[field.name]);
+  }
+
+  for (const [key, value] of Object.entries(include || {})) {
+    if (!value) continue;
+
+    if (key === '_count') {
+      result._count = countRelations(model, row, value);
+      continue;
+    }
+    result[key] = shapeRelation(model, getField(model, key), row, value);
+  }
+
+  return result;
+};
+
+const shapeRelation = (model, field, row, args) => {
+  const targetModel = modelsByName.get(field.type);
+  const nestedArgs = args === true ? {} : args;
+  const related = getRelatedRows(model, field, row);
+
+  if (field.isList) {
+    const rows = paginate(
+      targetModel,
+      sortRows(
+        related.filter(r => matchesWhere(targetModel, r, nestedArgs.where)),
+        nestedArgs.orderBy,
+      ),
+      nestedArgs,
+    );
+    return rows.map(r => shapeRow(targetModel, r, nestedArgs));
+  }
+
+  return related[0] ? shapeRow(targetModel, related[0], nestedArgs) : null;
+};
+
+const countRelations = (model, row, args) => {
+  const select = args === true ? null : args.select;
+  const counted = select
+    ? Object.keys(select).filter(key => select[key])
+    : relationFields(model)
+        .filter(f => f.isList)
+        .map(f => f.name);
+
+  return Object.fromEntries(
+    counted.map(name => {
+      const field = getField(model, name);
+      const targetModel = modelsByName.get(field.type);
+      const where = select?.[name]?.where;
+      return [
+        name,
+        getRelatedRows(model, field, row).filter(r =>
+          matchesWhere(targetModel, r, where),
+        ).length,
+      ];
+    }),
+  );
+};
+
+const generateDefault = (model, field) => {
+  const { default: defaultValue } = field;
+
+  if (defaultValue === undefined) {
+    return field.isList ? [] : null;
+  }
+  if (typeof defaultValue !== 'object' || defaultValue === null) {
+    return field.type === 'DateTime' ? new Date(defaultValue) : defaultValue;
+  }
+  if (Array.isArray(defaultValue)) {
+    return [...defaultValue];
+  }
+
+  switch (defaultValue.name) {
+    case 'cuid':
+      return `c${crypto.randomBytes(12).toString('hex')}`;
+    case 'uuid':
+      return crypto.randomUUID();
+    case 'now':
+      return new Date();
+    case 'autoincrement':
+      return (
+        tables[model.name].reduce(
+          (max, row) => Math.max(max, row[field.name] || 0),
+          0,
+        ) + 1
+      );
+    default:
+      throw new Error(
+        `In-memory Prisma: unsupported default ${defaultValue.name}`,
+      );
+  }
+};
+
+const toStoredValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (field.type === 'DateTime') {
+    return new Date(value);
+  }
+  if (value === Prisma.JsonNull || value === Prisma.DbNull) {
+    return null;
+  }
+  return cloneValue(value);
+};
+
+const applyScalarUpdate = (field, current, value) => {
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    value instanceof Date ||
+    field.type === 'Json'
+  ) {
+    return toStoredValue(field, value);
+  }
+  if ('set' in value) return toStoredValue(field, value.set);
+  if ('increment' in value) return current + value.increment;
+  if ('decrement' in value) return current - value.decrement;
+  if ('multiply' in value) return current * value.multiply;
+  if ('divide' in value) return current / value.divide;
+  if ('push' in value) return [...(current || []), ...[].concat(value.push)];
+  return toStoredValue(field, value);
+};
+
+// Applies relation writes (connect/disconnect) to the foreign key columns of `row`
+const applyRelationWrite = (model, field, row, value) => {
+  if (!field.relationFromFields?.length) {
+    throw new Error(
+      `In-memory Prisma: writes through ${model.name}.${field.name} are not supported`,
+    );
+  }
+
+  if (value.disconnect) {
+    field.relationFromFields.forEach(from => {
+      row[from] = null;
+    });
+    return;
+  }
+
+  if (value.connect) {
+    const targetModel = modelsByName.get(field.type);
+    const target = tables[field.type].find(r =>
+      matchesWhere(targetModel, r, value.connect),
+    );
+    if (!target) {
+      throw knownRequestError(
+        `No '${field.type}' record was found for a nested connect on ${model.name}.${field.name}.`,
+        'P2025',
+        { cause: 'Record to connect not found.' },
+      );
+    }
+    field.relationFromFields.forEach((from, i) => {
+      row[from] = target[field.relationToFields[i]];
+    });
+    return;
+  }
+
+  throw new Error(
+    `In-memory Prisma: unsupported write ${Object.keys(value)} on ${model.name}.${field.name}`,
+  );
+};
+
+const uniqueKeys = model => [
+  ...model.fields.filter(f => f.isId || f.isUnique).map(f => [f.name]),
+  ...(model.primaryKey ? [model.primaryKey.fields] : []),
+  ...model.uniqueFields,
+];
+
+const assertUnique = (model, row, ignoreRow = null) => {
+  for (const fields of uniqueKeys(model)) {
+    if (fields.some(name => row[name] == null)) {
+      continue;
+    }
+    const duplicate = tables[model.name].find(
+      other =>
+        other !== ignoreRow &&
+        fields.every(name => valueKey(other[name]) === valueKey(row[name])),
+    );
+    if (duplicate) {
+      throw knownRequestError(
+        `Unique constraint failed on the fields: (${fields.map(f => `\`${f}\``).join(',')})`,
+        'P2002',
+        { target: fields },
+      );
+    }
+  }
+};
+
+const notFoundError = (model, operation) =>
+  knownRequestError(
+    `An operation failed because it depends on one or more records that were required but not found. Record to ${operation} not found.`,
+    'P2025',
+    { modelName: model.name, cause: `Record to ${operation} not found.` },
+  );
+
+const createRow = (model, data) => {
+  const row = {};
+
+  for (const field of scalarFields(model)) {
+    row[field.name] =
+      data[field.name] !== undefined
+        ? toStoredValue(field, data[field.name])
+        : field.isUpdatedAt
+          ? new Date()
+          : generateDefault(model, field);
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    const field = getField(model, key);
+    if (!field) {
+      throw new Error(`In-memory Prisma: unknown field ${model.name}.${key}`);
+    }
+    if (field.kind === 'object' && value !== undefined) {
+      applyRelationWrite(model, field, row, value);
+    }
+  }
+
+  assertUnique(model, row);
+  tables[model.name].push(row);
+  return row;
+};
+
+const updateRow = (model, row, data) => {
+  const updated = { ...row };
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+
+    const field = getField(model, key);
+    if (!field) {
+      throw new Error(`In-memory Prisma: unknown field ${model.name}.${key}`);
+    }
+    if (field.kind === 'object') {
+      applyRelationWrite(model, field, updated, value);
+    } else {
+      updated[key] = applyScalarUpdate(field, row[key], value);
+    }
+  }
+
+  for (const field of scalarFields(model)) {
+    if (field.isUpdatedAt && data[field.name] === undefined) {
+      updated[field.name] = new Date();
+    }
+  }
+
+  assertUnique(model, updated, row);
+  Object.assign(row, updated);
+  return row;
+};
+
+const aggregateField = (rows, fieldName, operation) => {
+  const values = rows.map(row => row[fieldName]).filter(v => v != null);
+  if (operation === '_count') {
+    return values.length;
+  }
+  if (values.length === 0) {
+    return null;
+  }
+  switch (operation) {
+    case '_sum':
+      return values.reduce((sum, v) => sum + v, 0);
+    case '_avg':
+      return values.reduce((sum, v) => sum + v, 0) / values.length;
+    case '_min':
+      return values.reduce((min, v) => (compareValues(v, min) < 0 ? v : min));
+    case '_max':
+      return values.reduce((max, v) => (compareValues(v, max) > 0 ? v : max));
+    default:
+      throw new Error(`In-memory Prisma: unsupported aggregate ${operation}`);
+  }
+};
+
+const aggregateRows = (rows, args) => {
+  const result = {};
+  for (const operation of ['_count', '_sum', '_avg', '_min', '_max']) {
+    if (!args[operation]) continue;
+
+    if (operation === '_count' && args._count === true) {
+      result._count = rows.length;
+      continue;
+    }
+    result[operation] = Object.fromEntries(
+      Object.keys(args[operation])
+        .filter(fieldName => args[operation][fieldName])
+        .map(fieldName => [
+          fieldName,
+          fieldName === '_all'
+            ? rows.length
+            : aggregateField(rows, fieldName, operation),
+        ]),
+    );
+  }
+  return result;
+};
+
+const createDelegate = model => ({
+  async findUnique(args) {
+    const [row] = findRows(model, { where: args.where });
+    return row ? shapeRow(model, row, args) : null;
+  },
+
+  async findUniqueOrThrow(args) {
+    const row = await this.findUnique(args);
+    if (!row) {
+      throw notFoundError(model, 'find');
+    }
+    return row;
+  },
+
+  async findFirst(args = {}) {
+    const [row] = findRows(model, { ...args, take: 1 });
+    return row ? shapeRow(model, row, args) : null;
+  },
+
+  async findFirstOrThrow(args = {}) {
+    const row = await this.findFirst(args);
+    if (!row) {
+      throw notFoundError(model, 'find');
+    }
+    return row;
+  },
+
+  async findMany(args = {}) {
+    let rows = findRows(model, args);
+    if (args.distinct) {
+      const seen = new Set();
+      rows = rows.filter(row => {
+        const key = []
+          .concat(args.distinct)
+          .map(f => valueKey(row[f]))
+          .join('|');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    return rows.map(row => shapeRow(model, row, args));
+  },
+
+  async create(args) {
+    return shapeRow(model, createRow(model, args.data), args);
+  },
+
+  async createMany(args) {
+    const rows = [].concat(args.data);
+    let count = 0;
+    for (const data of rows) {
+      try {
+        createRow(model, data);
+        count++;
+      } catch (error) {
+        if (!(args.skipDuplicates && error.code === 'P2002')) {
+          throw error;
+        }
+      }
+    }
+    return { count };
+  },
+
+  async update(args) {
+    const [row] = findRows(model, { where: args.where });
+    if (!row) {
+      throw notFoundError(model, 'update');
+    }
+    return shapeRow(model, updateRow(model, row, args.data), args);
+  },
+
+  async updateMany(args = {}) {
+    const rows = findRows(model, { where: args.where });
+    rows.forEach(row => updateRow(model, row, args.data));
+    return { count: rows.length };
+  },
+
+  async upsert(args) {
+    const [row] = findRows(model, { where: args.where });
+    const result = row
+      ? updateRow(model, row, args.update)
+      : createRow(model, args.create);
+    return shapeRow(model, result, args);
+  },
+
+  async delete(args) {
+    const [row] = findRows(model, { where: args.where });
+    if (!row) {
+      throw notFoundError(model, 'delete');
+    }
+    tables[model.name] = tables[model.name].filter(r => r !== row);
+    return shapeRow(model, row, args);
+  },
+
+  async deleteMany(args = {}) {
+    const rows = findRows(model, { where: args.where });
+    tables[model.name] = tables[model.name].filter(r => !rows.includes(r));
+    return { count: rows.length };
+  },
+
+  async count(args = {}) {
+    return findRows(model, args).length;
+  },
+
+  async aggregate(args = {}) {
+    return aggregateRows(findRows(model, args), args);
+  },
+
+  async groupBy(args) {
+    const rows = sortRows(findRows(model, { where: args.where }), args.orderBy);
+    const groups = new Map();
+    for (const row of rows) {
+      const key = args.by.map(f => valueKey(row[f])).join('|');
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    }
+    return [...groups.values()].map(groupRows => ({
+      ...Object.fromEntries(args.by.map(f => [f, cloneValue(groupRows[0][f])])),
+      ...aggregateRows(groupRows, args),
+    }));
+  },
+});
+
+export class PrismaClient {
+  constructor() {
+    for (const model of models) {
+      this[delegateName(model.name)] = createDelegate(model);
+    }
+  }
+
+  async $connect() {}
+
+  async $disconnect() {}
+
+  // Only used for connectivity checks such as SELECT 1
+  async $queryRaw() {
+    return [{ '?column?': 1 }];
+  }
+
+  // Interactive transactions roll back by restoring a snapshot of every table.
+  // Writes made concurrently outside the transaction are rolled back with it,
+  // which is fine for tests that run one request at a time.
+  async $transaction(arg) {
+    if (Array.isArray(arg)) {
+      return Promise.all(arg);
+    }
+
+    const snapshot = Object.fromEntries(
+      Object.entries(tables).map(([name, rows]) => [
+        name,
+        rows.map(row => ({ ...row })),
+      ]),
+    );
+
+    try {
+      return await arg(this);
+    } catch (error) {
+      tables = snapshot;
+      throw error;
+    }
+  }
+}
+
+export { Prisma };
@@ -0,0 +1,14 @@
+// Stand-in for @sendgrid/mail that keeps sent messages for assertions
+export const sentEmails = [];
+
+export function resetSendGrid() {
+  sentEmails.length = 0;
+}
+
+export default {
+  setApiKey() {},
+  async send(msg) {
+    sentEmails.push(msg);
+    return [{ statusCode: 202 }];
+  },
+};
@@ -0,0 +1,91 @@
+import RealStripe from 'stripe';
+
+// Stand-in for the stripe package. Webhook signatures are checked with the
+// real library; API calls are answered from `stripeMock` and recorded there.
+export const stripeMock = {
+  paymentIntents: new Map(),
+  subscriptions: new Map(),
+  calls: [],
+};
+
+export function resetStripe() {
+  stripeMock.paymentIntents.clear();
+  stripeMock.subscriptions.clear();
+  stripeMock.calls.length = 0;
+}
+
+/**
+ * Builds the Stripe-Signature header Stripe would send with `payload`.
+ * @param {string} payload Raw request body
+ * @param {string} secret Webhook endpoint secret
+ */
+export function signStripePayload(payload, secret) {
+  return RealStripe.webhooks.generateTestHeaderString({ payload, secret });
+}
+
+const record = (method, args, result) => {
+  stripeMock.calls.push({ method, args });
+  return result;
+};
+
+export default class Stripe {
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+    this.webhooks = RealStripe.webhooks;
+
+    this.customers = {
+      async create(params) {
+        return record('customers.create', params, {
+          id: `cus_test_${stripeMock.calls.length}`,
+          ...params,
+        });
+      },
+    };
+
+    this.checkout = {
+      sessions: {
+        async create(params) {
+          const id = `cs_test_${stripeMock.calls.length}`;
+          return record('checkout.sessions.create', params, {
+            id,
+            url: `https://checkout.stripe.test/${id}`,
+          });
+        },
+      },
+    };
+
+    this.billingPortal = {
+      sessions: {
+        async create(params) {
+          return record('billingPortal.sessions.create', params, {
+            url: 'https://billing.stripe.test/session',
+          });
+        },
+      },
+    };
+
+    this.paymentIntents = {
+      async retrieve(id, params) {
+        const paymentIntent = stripeMock.paymentIntents.get(id);
+        if (!paymentIntent) {
+          throw new Error(`No such payment_intent: '${id}'`);
+        }
+        return record(
+          'paymentIntents.retrieve',
+          { id, ...params },
+          paymentIntent,
+        );
+      },
+    };
+
+    this.subscriptions = {
+      async retrieve(id) {
+        const subscription = stripeMock.subscriptions.get(id);
+        if (!subscription) {
+          throw new Error(`No such subscription: '${id}'`);
+        }
+        return record('subscriptions.retrieve', { id }, subscription);
+      },
+    };
+  }
+}
@@ -0,0 +1,295 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { setClerkUser } from '#root/tests/mocks/clerk.js';
+import {
+  createRunningWarp,
+  createTestUser,
+  resetTestState,
+  startTestServer,
+} from '#root/tests/helpers.js';
+
+describe('adminRouter', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser();
+    await createTestUser({ id: 'user_admin', isSuperUser: true });
+  });
+
+  const createPrompt = (data = {}) =>
+    appPrismaClient.prompt.create({
+      data: {
+        createdById: 'user_test',
+        title: 'Held',
+        prompt: 'gore',
+        moderationStatus: 'HELD',
+        moderationReason: 'Flagged for blocklist',
+        ...data,
+      },
+    });
+
+  it('is only open to admins', async () => {
+    const res = await server.request('/v1/admin/prompts', {
+      userId: 'user_test',
+    });
+
+    assert.equal(res.status, 403);
+  });
+
+  it('lists prompts held for review, oldest first', async () => {
+    const first = await createPrompt({ createdAt: new Date('2026-01-01') });
+    const second = await createPrompt({ createdAt: new Date('2026-01-02') });
+    await createPrompt({ moderationStatus: 'APPROVED' });
+
+    const res = await server.request('/v1/admin/prompts', {
+      userId: 'user_admin',
+    });
+    const { entities } = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      entities.prompts.map(prompt => prompt.id),
+      [first.id, second.id],
+    );
+  });
+
+  describe('POST /v1/admin/prompts/:promptId/review', () => {
+    const review = (promptId, body) =>
+      server.request(`/v1/admin/prompts/${promptId}/review`, {
+        method: 'POST',
+        userId: 'user_admin',
+        body,
+      });
+
+    it('approves a held prompt into the gallery', async () => {
+      const prompt = await createPrompt({ visibility: 'PUBLIC' });
+
+      const res = await review(prompt.id, { decision: 'approve' });
+      const [approved] = (await res.json()).entities.prompts;
+
+      assert.equal(approved.moderationStatus, 'APPROVED');
+      assert.equal(approved.reviewedById, 'user_admin');
+      assert.ok(approved.reviewedAt);
+      const gallery = await (await server.request('/v1/prompts/public')).json();
+      assert.equal(gallery.entities.prompts[0].id, prompt.id);
+    });
+
+    it('rejects a prompt with a reason', async () => {
+      const prompt = await createPrompt();
+
+      const res = await review(prompt.id, {
+        decision: 'reject',
+        reason: 'Graphic content',
+      });
+      const [rejected] = (await res.json()).entities.prompts;
+
+      assert.equal(rejected.moderationStatus, 'REJECTED');
+      assert.equal(rejected.moderationReason, 'Graphic content');
+      const [event] = await appPrismaClient.auditEvent.findMany();
+      assert.equal(event.action, 'prompt.reviewed');
+      assert.equal(event.actorId, 'user_admin');
+      assert.deepEqual(event.after, { moderationStatus: 'REJECTED' });
+    });
+
+    it('validates the decision', async () => {
+      const prompt = await createPrompt();
+
+      assert.equal(
+        (await review(prompt.id, { decision: 'maybe' })).status,
+        400,
+      );
+      assert.equal(
+        (await review('missing', { decision: 'approve' })).status,
+        404,
+      );
+    });
+  });
+
+  const adminRequest = (path, body) =>
+    server.request(`/v1/admin${path}`, {
+      method: body === undefined ? 'GET' : 'POST',
+      userId: 'user_admin',
+      body,
+    });
+
+  describe('GET /v1/admin/users', () => {
+    const search = async q => {
+      const res = await adminRequest(`/users?q=${encodeURIComponent(q)}`);
+      return (await res.json()).entities.users.map(user => user.id);
+    };
+
+    it('finds users by ID, Stripe customer or email', async () => {
+      await createTestUser({ id: 'user_paying', stripeCustomerId: 'cus_123' });
+      setClerkUser({
+        id: 'user_paying',
+        emailAddresses: [{ emailAddress: 'dj@gendj.test' }],
+      });
+
+      assert.deepEqual(await search('user_test'), ['user_test']);
+      assert.deepEqual(await search('cus_123'), ['user_paying']);
+      assert.deepEqual(await search('dj@gendj.test'), ['user_paying']);
+      assert.deepEqual(await search('nobody@gendj.test'), []);
+    });
+
+    it("lists a user's warps", async () => {
+      const warp = await createRunningWarp();
+
+      const res = await adminRequest('/users/user_test/warps');
+      const { entities } = await res.json();
+
+      assert.deepEqual(
+        entities.warps.map(({ id }) => id),
+        [warp.id],
+      );
+    });
+  });
+
+  describe('POST /v1/admin/users/:userId/time', () => {
+    it('grants time with a ledger entry and an audit event', async () => {
+      const res = await adminRequest('/users/user_test/time', {
+        amount: 300,
+        reason: 'Outage compensation',
+      });
+      const { entities } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(entities.users[0].timeBalance, 3900);
+      assert.equal(entities.timeLedgerEntries[0].type, 'ADMIN_GRANT');
+      assert.equal(entities.timeLedgerEntries[0].note, 'Outage compensation');
+
+      const [event] = await appPrismaClient.auditEvent.findMany();
+      assert.equal(event.action, 'user.time_granted');
+      assert.equal(event.actorId, 'user_admin');
+      assert.equal(event.targetId, 'user_test');
+      assert.deepEqual(event.before, { timeBalance: 3600 });
+      assert.deepEqual(event.after, { timeBalance: 3900 });
+      assert.equal(event.reason, 'Outage compensation');
+    });
+
+    it('revokes time', async () => {
+      const res = await adminRequest('/users/user_test/time', {
+        amount: -600,
+        reason: 'Duplicate grant',
+      });
+      const { entities } = await res.json();
+
+      assert.equal(entities.users[0].timeBalance, 3000);
+      assert.equal(entities.timeLedgerEntries[0].type, 'ADJUSTMENT');
+    });
+
+    it('requires a reason and a whole amount', async () => {
+      const noReason = await adminRequest('/users/user_test/time', {
+        amount: 60,
+      });
+      const fractional = await adminRequest('/users/user_test/time', {
+        amount: 1.5,
+        reason: 'Typo',
+      });
+
+      assert.equal(noReason.status, 400);
+      assert.equal(fractional.status, 400);
+      assert.equal(await appPrismaClient.auditEvent.count(), 0);
+    });
+  });
+
+  describe('GET /v1/admin/audit-events', () => {
+    beforeEach(async () => {
+      await adminRequest('/users/user_test/time', {
+        amount: 300,
+        reason: 'Outage compensation',
+      });
+      await adminRequest('/users/user_test/time', {
+        amount: -100,
+        reason: 'Too much',
+      });
+    });
+
+    it('lists events newest first', async () => {
+      const res = await adminRequest('/audit-events');
+      const { entities } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        entities.auditEvents.map(event => event.action),
+        ['user.time_revoked', 'user.time_granted'],
+      );
+    });
+
+    it('filters by action, actor and request ID', async () => {
+      await server.request('/v1/admin/users/user_test/time', {
+        method: 'POST',
+        userId: 'user_admin',
+        body: { amount: 60, reason: 'Traced' },
+        headers: { 'X-Request-Id': 'req_traced' },
+      });
+
+      const byAction = await (
+        await adminRequest('/audit-events?action=user.time_granted')
+      ).json();
+      const byActor = await (
+        await adminRequest('/audit-events?actorId=user_test')
+      ).json();
+      const byRequest = await (
+        await adminRequest('/audit-events?requestId=req_traced')
+      ).json();
+
+      assert.equal(byAction.entities.auditEvents.length, 2);
+      assert.equal(byActor.entities.auditEvents.length, 0);
+      assert.deepEqual(
+        byRequest.entities.auditEvents.map(event => event.reason),
+        ['Traced'],
+      );
+    });
+
+    it('rejects invalid dates', async () => {
+      const res = await adminRequest('/audit-events?from=someday');
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  it('restores a deleted user', async () => {
+    await createTestUser({ id: 'user_gone', deletedAt: new Date() });
+
+    const res = await adminRequest('/users/user_gone/restore', {});
+    const again = await adminRequest('/users/user_gone/restore', {});
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).entities.users[0].deletedAt, null);
+    assert.equal(again.status, 400);
+    const [event] = await appPrismaClient.auditEvent.findMany();
+    assert.equal(event.action, 'user.restored');
+  });
+
+  it("ends a user's warp and bills it", async () => {
+    const warp = await createRunningWarp({ runningSeconds: 120 });
+
+    const res = await adminRequest(`/warps/${warp.id}/end`, {
+      reason: 'Stuck worker',
+    });
+    const { entities } = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(entities.warps[0].jobStatus, 'CANCELLED');
+    assert.ok(entities.users[0].timeBalance <= 3600 - 120);
+    const [event] = await appPrismaClient.auditEvent.findMany({
+      where: { targetId: warp.id },
+    });
+    assert.equal(event.action, 'warp.cancelled');
+    assert.equal(event.actorId, 'user_admin');
+    assert.equal(event.reason, 'Stuck worker');
+
+    const again = await adminRequest(`/warps/${warp.id}/end`, {});
+    assert.equal(again.status, 400);
+  });
+});
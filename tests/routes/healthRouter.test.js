@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { cleanupInactiveWarps } from '#root/utils/warpUtils.js';
+import { resetTestState, startTestServer } from '#root/tests/helpers.js';
+
+describe('healthRouter', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    resetTestState();
+  });
+
+  describe('GET /healthz', () => {
+    it('answers while the process is up', async () => {
+      const res = await server.request('/healthz');
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(body.status, 'ok');
+    });
+  });
+
+  describe('GET /readyz', () => {
+    // Runs before any cleanup, which is remembered for the whole process
+    it('fails when cleanup has not run since long after starting', async () => {
+      const starting = await server.request('/readyz');
+      mock.method(process, 'uptime', () => 3600);
+      const res = await server.request('/readyz');
+      const { checks } = await res.json();
+
+      assert.equal(starting.status, 200);
+      assert.equal(res.status, 503);
+      assert.equal(checks.cleanup.status, 'error');
+      assert.equal(checks.cleanup.lastSuccessAt, null);
+    });
+
+    it('reports each dependency when ready', async () => {
+      await cleanupInactiveWarps();
+
+      const res = await server.request('/readyz');
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(body.status, 'ok');
+      assert.equal(body.checks.database.status, 'ok');
+      assert.deepEqual(body.checks.config.services, {
+        runpod: { status: 'skipped' },
+        stripe: { status: 'ok' },
+        sendgrid: { status: 'ok' },
+      });
+      assert.equal(body.checks.cleanup.status, 'ok');
+      assert.ok(body.checks.cleanup.lastSuccessAt);
+      assert.equal(body.checks.computeProvider, undefined);
+    });
+
+    it('fails when the database is unreachable', async () => {
+      mock.method(appPrismaClient, '$queryRaw', async () => {
+        throw new Error("Can't reach database server");
+      });
+
+      const res = await server.request('/readyz');
+      const { status, checks } = await res.json();
+
+      assert.equal(res.status, 503);
+      assert.equal(status, 'degraded');
+      assert.equal(checks.database.status, 'error');
+      assert.equal(checks.database.error, "Can't reach database server");
+    });
+
+    it('lists missing settings without their values', async () => {
+      const { STRIPE_ENDPOINT_SECRET } = process.env;
+      delete process.env.STRIPE_ENDPOINT_SECRET;
+
+      const res = await server.request('/readyz');
+      const { checks } = await res.json();
+      process.env.STRIPE_ENDPOINT_SECRET = STRIPE_ENDPOINT_SECRET;
+
+      assert.equal(res.status, 503);
+      assert.deepEqual(checks.config.services.stripe, {
+        status: 'error',
+        missing: ['STRIPE_ENDPOINT_SECRET'],
+      });
+      assert.equal(checks.config.services.sendgrid.status, 'ok');
+    });
+
+    it('fails when cleanup last succeeded too long ago', async () => {
+      const now = Date.now();
+      mock.method(Date, 'now', () => now + 60 * 60 * 1000);
+
+      const res = await server.request('/readyz');
+      const { checks } = await res.json();
+
+      assert.equal(res.status, 503);
+      assert.equal(checks.cleanup.status, 'error');
+      assert.ok(checks.cleanup.ageSeconds >= 3600);
+    });
+
+    it('checks the compute provider when asked', async () => {
+      const res = await server.request('/readyz?provider=true');
+      const { checks } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(checks.computeProvider.status, 'ok');
+      assert.equal(checks.computeProvider.name, 'mock');
+      assert.deepEqual(checks.computeProvider.health.jobs, {
+        inQueue: 0,
+        inProgress: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { cleanupInactiveWarps } from '#root/utils/warpUtils.js';
+import {
+  createTestUser,
+  resetTestState,
+  startTestServer,
+} from '#root/tests/helpers.js';
+
+describe('metricsRouter', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser({ timeBalance: 1000 });
+  });
+
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+  });
+
+  describe('GET /metrics', () => {
+    it('reports started warps and the outstanding balance', async () => {
+      await createTestUser({ id: 'user_other', timeBalance: 500 });
+      await createTestUser({ id: 'user_owing', timeBalance: -100 });
+      await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+      });
+
+      const res = await server.request('/metrics');
+      const metrics = await res.text();
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('Content-Type'), /^text\/plain/);
+      assert.match(metrics, /^gendj_warps_started_total\{tier="free"\} 1$/m);
+      assert.match(metrics, /^gendj_warp_start_failures_total 0$/m);
+      assert.match(metrics, /^gendj_outstanding_time_balance_seconds 1500$/m);
+    });
+
+    it('reports cleanup runs', async () => {
+      await cleanupInactiveWarps();
+
+      const metrics = await (await server.request('/metrics')).text();
+
+      assert.match(metrics, /^gendj_cleanup_duration_seconds_count 1$/m);
+      assert.match(
+        metrics,
+        /^gendj_cleanup_duration_seconds_bucket\{le="\+Inf"\} 1$/m,
+      );
+      const [, lastSuccess] = metrics.match(
+        /^gendj_cleanup_last_success_timestamp_seconds (\S+)$/m,
+      );
+      assert.ok(Math.abs(Number(lastSuccess) - Date.now() / 1000) < 60);
+    });
+
+    it('requires METRICS_TOKEN when it is set', async () => {
+      process.env.METRICS_TOKEN = 'metrics_secret';
+
+      const missing = await server.request('/metrics');
+      const wrong = await server.request('/metrics', {
+        headers: { Authorization: 'Bearer wrong' },
+      });
+      const valid = await server.request('/metrics', {
+        headers: { Authorization: 'Bearer metrics_secret' },
+      });
+
+      assert.equal(missing.status, 401);
+      assert.equal(wrong.status, 401);
+      assert.equal(valid.status, 200);
+    });
+  });
+});
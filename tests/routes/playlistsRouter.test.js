@@ -0,0 +1,286 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { getMockJob } from '#root/utils/computeProviders/mockProvider.js';
+import {
+  createTestUser,
+  resetTestState,
+  startTestServer,
+} from '#root/tests/helpers.js';
+
+describe('playlistsRouter', () => {
+  let server;
+  let prompts;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser();
+    await createTestUser({ id: 'user_other' });
+
+    const createPrompt = data =>
+      appPrismaClient.prompt.create({
+        data: { createdById: 'user_test', ...data },
+      });
+    prompts = {
+      intro: await createPrompt({ title: 'Intro', prompt: 'fog' }),
+      drop: await createPrompt({ title: 'Drop', prompt: 'lasers' }),
+      othersPublic: await createPrompt({
+        createdById: 'user_other',
+        title: 'Public',
+        prompt: 'stars',
+        visibility: 'PUBLIC',
+      }),
+      othersPrivate: await createPrompt({
+        createdById: 'user_other',
+        title: 'Private',
+        prompt: 'secret',
+      }),
+    };
+  });
+
+  const createPlaylist = async (body, userId = 'user_test') => {
+    const res = await server.request('/v1/playlists', {
+      method: 'POST',
+      userId,
+      body,
+    });
+    return { res, body: await res.json() };
+  };
+
+  it('creates a playlist with its entries in order', async () => {
+    const { res, body } = await createPlaylist({
+      name: 'Friday set',
+      bpm: 128,
+      entries: [
+        { promptId: prompts.intro.id, durationSeconds: 90 },
+        { promptId: prompts.othersPublic.id, cueBeats: 64 },
+        { promptId: prompts.drop.id },
+      ],
+    });
+
+    assert.equal(res.status, 200);
+    const [playlist] = body.entities.playlists;
+    assert.equal(playlist.bpm, 128);
+    assert.deepEqual(
+      playlist.entries.map(entry => [
+        entry.position,
+        entry.savedPrompt.title,
+        entry.durationSeconds,
+        entry.cueBeats,
+      ]),
+      [
+        [0, 'Intro', 90, null],
+        [1, 'Public', null, 64],
+        [2, 'Drop', null, null],
+      ],
+    );
+  });
+
+  it("rejects another user's private prompts", async () => {
+    const { res } = await createPlaylist({
+      name: 'Borrowed',
+      entries: [{ promptId: prompts.othersPrivate.id }],
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(await appPrismaClient.playlist.count(), 0);
+  });
+
+  it('leaves out prompts made private or deleted after they were added', async () => {
+    const { body } = await createPlaylist({
+      name: 'Borrowed',
+      entries: [
+        { promptId: prompts.othersPublic.id },
+        { promptId: prompts.intro.id },
+        { promptId: prompts.drop.id },
+      ],
+    });
+    const [playlist] = body.entities.playlists;
+    await appPrismaClient.prompt.update({
+      where: { id: prompts.othersPublic.id },
+      data: { visibility: 'PRIVATE' },
+    });
+    await appPrismaClient.prompt.update({
+      where: { id: prompts.drop.id },
+      data: { deletedAt: new Date() },
+    });
+
+    const res = await server.request(`/v1/playlists/${playlist.id}`, {
+      userId: 'user_test',
+    });
+    const [fetched] = (await res.json()).entities.playlists;
+    const warpRes = await server.request('/v1/warps', {
+      method: 'POST',
+      userId: 'user_test',
+      body: { playlistId: playlist.id },
+    });
+    const [warp] = (await warpRes.json()).entities.warps;
+
+    assert.deepEqual(
+      fetched.entries.map(entry => entry.savedPrompt.prompt),
+      ['fog'],
+    );
+    assert.deepEqual(
+      getMockJob(warp.jobId).input.playlist.entries.map(entry => entry.prompt),
+      ['fog'],
+    );
+  });
+
+  it('rejects entries with both a duration and a cue', async () => {
+    const { res } = await createPlaylist({
+      name: 'Confused',
+      entries: [
+        { promptId: prompts.intro.id, durationSeconds: 30, cueBeats: 16 },
+      ],
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects names that are not non-empty strings', async () => {
+    for (const name of [undefined, '', '   ', 42, ['Set']]) {
+      const { res } = await createPlaylist({ name });
+      assert.equal(res.status, 400);
+    }
+    assert.equal(await appPrismaClient.playlist.count(), 0);
+
+    const { body } = await createPlaylist({ name: 'Set' });
+    const [playlist] = body.entities.playlists;
+    for (const name of [null, '', '   ', 42, { en: 'Set' }]) {
+      const res = await server.request(`/v1/playlists/${playlist.id}`, {
+        method: 'PUT',
+        userId: 'user_test',
+        body: { name },
+      });
+      assert.equal(res.status, 400);
+    }
+    const unchanged = await appPrismaClient.playlist.findUnique({
+      where: { id: playlist.id },
+    });
+    assert.equal(unchanged.name, 'Set');
+  });
+
+  it('reorders entries by replacing them', async () => {
+    const { body } = await createPlaylist({
+      name: 'Set',
+      entries: [{ promptId: prompts.intro.id }, { promptId: prompts.drop.id }],
+    });
+    const [playlist] = body.entities.playlists;
+
+    const res = await server.request(`/v1/playlists/${playlist.id}`, {
+      method: 'PUT',
+      userId: 'user_test',
+      body: {
+        entries: [
+          { promptId: prompts.drop.id },
+          { promptId: prompts.intro.id },
+        ],
+      },
+    });
+    const [updated] = (await res.json()).entities.playlists;
+
+    assert.equal(updated.name, 'Set');
+    assert.deepEqual(
+      updated.entries.map(entry => entry.savedPrompt.title),
+      ['Drop', 'Intro'],
+    );
+  });
+
+  it("hides and protects other users' playlists", async () => {
+    const { body } = await createPlaylist({ name: 'Mine' }, 'user_other');
+    const [playlist] = body.entities.playlists;
+
+    const get = await server.request(`/v1/playlists/${playlist.id}`, {
+      userId: 'user_test',
+    });
+    const remove = await server.request(`/v1/playlists/${playlist.id}`, {
+      method: 'DELETE',
+      userId: 'user_test',
+    });
+
+    assert.equal(get.status, 404);
+    assert.equal(remove.status, 404);
+  });
+
+  it('deletes a playlist', async () => {
+    const { body } = await createPlaylist({ name: 'Old set' });
+    const [playlist] = body.entities.playlists;
+
+    await server.request(`/v1/playlists/${playlist.id}`, {
+      method: 'DELETE',
+      userId: 'user_test',
+    });
+    const list = await server.request('/v1/playlists', {
+      userId: 'user_test',
+    });
+
+    assert.deepEqual((await list.json()).entities.playlists, []);
+  });
+
+  describe('starting a warp with a playlist', () => {
+    it('passes the playlist to the worker in the job input', async () => {
+      const { body } = await createPlaylist({
+        name: 'Friday set',
+        bpm: 120,
+        entries: [
+          { promptId: prompts.intro.id, durationSeconds: 60 },
+          { promptId: prompts.drop.id, cueBeats: 32 },
+        ],
+      });
+      const [playlist] = body.entities.playlists;
+
+      const res = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+        body: { playlistId: playlist.id },
+      });
+      const [warp] = (await res.json()).entities.warps;
+
+      assert.equal(warp.playlistId, playlist.id);
+      const { input } = getMockJob(warp.jobId);
+      assert.deepEqual(input.playlist, {
+        id: playlist.id,
+        name: 'Friday set',
+        bpm: 120,
+        entries: [
+          {
+            title: 'Intro',
+            prompt: 'fog',
+            postText: null,
+            durationSeconds: 60,
+            cueBeats: null,
+          },
+          {
+            title: 'Drop',
+            prompt: 'lasers',
+            postText: null,
+            durationSeconds: null,
+            cueBeats: 32,
+          },
+        ],
+      });
+    });
+
+    it("refuses another user's playlist", async () => {
+      const { body } = await createPlaylist({ name: 'Theirs' }, 'user_other');
+      const [playlist] = body.entities.playlists;
+
+      const res = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+        body: { playlistId: playlist.id },
+      });
+
+      assert.equal(res.status, 404);
+      assert.equal(await appPrismaClient.warp.count(), 0);
+    });
+  });
+});
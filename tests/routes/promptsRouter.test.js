@@ -0,0 +1,498 @@
+import assert from 'node:assert/strict';
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import {
+  createTestUser,
+  resetTestState,
+  startTestServer,
+} from '#root/tests/helpers.js';
+import { getPromptGenerationRateLimitUserCount } from '#root/utils/promptGenerationUtils.js';
+import mockModerationProvider, {
+  MOCK_FLAGGED_TERM,
+} from '#root/utils/moderationProviders/mockModerationProvider.js';
+
+describe('promptsRouter', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser();
+    await createTestUser({ id: 'user_other' });
+  });
+
+  const createPrompt = async (body, userId = 'user_other') => {
+    const res = await server.request('/v1/prompts', {
+      method: 'POST',
+      userId,
+      body: { title: 'Neon city', prompt: 'neon city at night', ...body },
+    });
+    return (await res.json()).entities.prompts[0];
+  };
+
+  describe('POST /v1/prompts', () => {
+    it('creates private prompts without a share link by default', async () => {
+      const prompt = await createPrompt();
+
+      assert.equal(prompt.visibility, 'PRIVATE');
+      assert.equal(prompt.shareToken, null);
+    });
+
+    it('rejects unknown visibilities', async () => {
+      const res = await server.request('/v1/prompts', {
+        method: 'POST',
+        userId: 'user_test',
+        body: { title: 't', prompt: 'p', visibility: 'friends' },
+      });
+
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects prompt text that is not a string', async () => {
+      const create = body =>
+        server.request('/v1/prompts', {
+          method: 'POST',
+          userId: 'user_test',
+          body: { title: 't', prompt: 'p', ...body },
+        });
+
+      assert.equal((await create({ title: { en: 't' } })).status, 400);
+      assert.equal((await create({ prompt: ['p'] })).status, 400);
+      assert.equal((await create({ prompt: '  ' })).status, 400);
+      assert.equal((await create({ postText: 42 })).status, 400);
+      assert.equal(await appPrismaClient.prompt.count(), 0);
+    });
+  });
+
+  describe('GET /v1/prompts/public', () => {
+    it('lists public prompts without the creator or share link', async () => {
+      const listed = await createPrompt({ visibility: 'public' });
+      await createPrompt({ visibility: 'unlisted' });
+      await createPrompt();
+
+      const res = await server.request('/v1/prompts/public');
+      const { entities } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        entities.prompts.map(prompt => prompt.id),
+        [listed.id],
+      );
+      assert.equal(entities.prompts[0].createdById, undefined);
+      assert.equal(entities.prompts[0].shareToken, undefined);
+    });
+
+    it('searches titles and prompt text', async () => {
+      const byTitle = await createPrompt({
+        visibility: 'public',
+        title: 'Underwater rave',
+        prompt: 'coral reef',
+      });
+      const byText = await createPrompt({
+        visibility: 'public',
+        title: 'Deep',
+        prompt: 'an UNDERWATER cave',
+      });
+      await createPrompt({ visibility: 'public' });
+
+      const res = await server.request('/v1/prompts/public?q=underwater');
+      const { entities } = await res.json();
+
+      assert.deepEqual(
+        entities.prompts.map(prompt => prompt.id).sort(),
+        [byTitle.id, byText.id].sort(),
+      );
+    });
+
+    it('pages through results', async () => {
+      for (let i = 0; i < 3; i++) {
+        await createPrompt({ visibility: 'public', title: `Prompt ${i}` });
+      }
+
+      const first = await (
+        await server.request('/v1/prompts/public?limit=2')
+      ).json();
+      const second = await (
+        await server.request(
+          `/v1/prompts/public?limit=2&cursor=${first.nextCursor}`,
+        )
+      ).json();
+
+      assert.equal(first.entities.prompts.length, 2);
+      assert.equal(second.entities.prompts.length, 1);
+      assert.equal(second.nextCursor, null);
+    });
+  });
+
+  describe('sharing', () => {
+    const setVisibility = (promptId, visibility, userId = 'user_other') =>
+      server.request(`/v1/prompts/${promptId}/visibility`, {
+        method: 'PUT',
+        userId,
+        body: { visibility },
+      });
+
+    it('opens unlisted prompts by their share link only', async () => {
+      const prompt = await createPrompt();
+      const res = await setVisibility(prompt.id, 'unlisted');
+      const [unlisted] = (await res.json()).entities.prompts;
+
+      assert.equal(unlisted.visibility, 'UNLISTED');
+      const shared = await server.request(
+        `/v1/prompts/shared/${unlisted.shareToken}`,
+      );
+      assert.equal(shared.status, 200);
+      assert.equal((await shared.json()).entities.prompts[0].id, prompt.id);
+
+      await setVisibility(prompt.id, 'private');
+      const revoked = await server.request(
+        `/v1/prompts/shared/${unlisted.shareToken}`,
+      );
+      assert.equal(revoked.status, 404);
+    });
+
+    it("does not change another user's prompt", async () => {
+      const prompt = await createPrompt();
+
+      const res = await setVisibility(prompt.id, 'public', 'user_test');
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('moderation', () => {
+    // MODERATION_BLOCKLIST is 'gore, blocked phrase' in tests
+    const setVisibility = (promptId, visibility) =>
+      server.request(`/v1/prompts/${promptId}/visibility`, {
+        method: 'PUT',
+        userId: 'user_other',
+        body: { visibility },
+      });
+
+    const listGallery = async () => {
+      const res = await server.request('/v1/prompts/public');
+      return (await res.json()).entities.prompts;
+    };
+
+    it('holds flagged prompts out of the gallery', async () => {
+      const prompt = await createPrompt({
+        prompt: 'neon GORE at night',
+        visibility: 'public',
+      });
+
+      assert.equal(prompt.moderationStatus, 'HELD');
+      assert.equal(prompt.moderationReason, 'Flagged for blocklist');
+      assert.deepEqual(await listGallery(), []);
+    });
+
+    it('matches blocklist terms as whole words only', async () => {
+      const prompt = await createPrompt({ prompt: 'gorey gorge, blocked' });
+
+      assert.equal(prompt.moderationStatus, 'APPROVED');
+    });
+
+    it('checks prompts with the moderation provider', async () => {
+      const prompt = await createPrompt({ title: MOCK_FLAGGED_TERM });
+
+      assert.equal(prompt.moderationStatus, 'HELD');
+      assert.equal(prompt.moderationReason, 'Flagged for mock');
+    });
+
+    it('uses the blocklist alone when the moderation provider fails', async () => {
+      mock.method(
+        mockModerationProvider,
+        'moderate',
+        async () => {
+          throw new Error('Moderation API is down');
+        },
+        { times: 1 },
+      );
+
+      const prompt = await createPrompt({ title: MOCK_FLAGGED_TERM });
+
+      assert.equal(prompt.moderationStatus, 'APPROVED');
+    });
+
+    it('checks prompts again when they are published', async () => {
+      const prompt = await createPrompt();
+      await appPrismaClient.prompt.update({
+        where: { id: prompt.id },
+        data: { postText: 'a blocked phrase' },
+      });
+
+      const res = await setVisibility(prompt.id, 'public');
+      const [published] = (await res.json()).entities.prompts;
+
+      assert.equal(published.visibility, 'PUBLIC');
+      assert.equal(published.moderationStatus, 'HELD');
+      assert.deepEqual(await listGallery(), []);
+    });
+
+    it('holds edits to held prompts until they are reviewed', async () => {
+      const prompt = await createPrompt({ prompt: 'gore' });
+
+      const res = await server.request(`/v1/prompts/${prompt.id}`, {
+        method: 'PATCH',
+        userId: 'user_other',
+        body: { prompt: 'neon city' },
+      });
+      const [edited] = (await res.json()).entities.prompts;
+
+      assert.equal(edited.moderationStatus, 'HELD');
+    });
+
+    it('does not publish rejected prompts', async () => {
+      const prompt = await createPrompt();
+      await appPrismaClient.prompt.update({
+        where: { id: prompt.id },
+        data: { moderationStatus: 'REJECTED', moderationReason: 'Spam' },
+      });
+
+      const res = await setVisibility(prompt.id, 'unlisted');
+
+      assert.equal(res.status, 403);
+      assert.equal((await res.json()).reason, 'Spam');
+    });
+  });
+
+  describe('POST /v1/prompts/generate', () => {
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    const generate = (body, userId = 'user_test') =>
+      server.request('/v1/prompts/generate', {
+        method: 'POST',
+        userId,
+        body,
+      });
+
+    it('expands a theme into prompts ready to save', async () => {
+      const res = await generate({ theme: 'neon cyberpunk, 128bpm', count: 3 });
+      const { entities } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(entities.generatedPrompts.length, 3);
+      for (const generated of entities.generatedPrompts) {
+        assert.match(generated.prompt, /^neon cyberpunk, 128bpm, /);
+        assert.ok(generated.title && generated.postText);
+      }
+
+      const saved = await server.request('/v1/prompts', {
+        method: 'POST',
+        userId: 'user_test',
+        body: entities.generatedPrompts[0],
+      });
+      assert.equal(saved.status, 200);
+    });
+
+    it('rejects themes flagged by moderation', async () => {
+      const res = await generate({ theme: `${MOCK_FLAGGED_TERM} rave` });
+      const body = await res.json();
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(body.categories, ['mock']);
+    });
+
+    it('validates the theme and count', async () => {
+      assert.equal((await generate({ theme: '  ' })).status, 400);
+      assert.equal((await generate({ theme: 'x'.repeat(201) })).status, 400);
+      assert.equal((await generate({ theme: 'rave', count: 50 })).status, 400);
+    });
+
+    it('limits how often a user can generate', async () => {
+      // PROMPT_GENERATION_RATE_LIMIT is 3 in tests
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await generate({ theme: 'rave' })).status, 200);
+      }
+
+      const limited = await generate({ theme: 'rave' });
+
+      assert.equal(limited.status, 429);
+      assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    });
+
+    it('forgets users once their generations are out of the window', async () => {
+      mock.timers.enable({
+        apis: ['Date'],
+        now: new Date('2026-01-01T12:00:00Z'),
+      });
+      await generate({ theme: 'rave' });
+      await generate({ theme: 'rave' }, 'user_other');
+      assert.equal(getPromptGenerationRateLimitUserCount(), 2);
+
+      mock.timers.tick(60 * 60 * 1000 + 1);
+      await generate({ theme: 'rave' }, 'user_other');
+
+      assert.equal(getPromptGenerationRateLimitUserCount(), 1);
+    });
+  });
+
+  describe('editing and revisions', () => {
+    beforeEach(() => {
+      mock.timers.enable({
+        apis: ['Date'],
+        now: new Date('2026-01-01T12:00:00Z'),
+      });
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    const edit = (promptId, body, userId = 'user_other') =>
+      server.request(`/v1/prompts/${promptId}`, {
+        method: 'PATCH',
+        userId,
+        body,
+      });
+
+    const getRevisions = async promptId => {
+      const res = await server.request(`/v1/prompts/${promptId}/revisions`, {
+        userId: 'user_other',
+      });
+      return (await res.json()).entities.promptRevisions;
+    };
+
+    it('keeps the previous version of each edit', async () => {
+      const prompt = await createPrompt({ title: 'Neon ctiy' });
+      mock.timers.tick(1000);
+      await edit(prompt.id, { title: 'Neon city' });
+      mock.timers.tick(1000);
+      const res = await edit(prompt.id, { prompt: 'neon city at dawn' });
+      const [edited] = (await res.json()).entities.prompts;
+
+      assert.equal(res.status, 200);
+      assert.equal(edited.id, prompt.id);
+      assert.equal(edited.title, 'Neon city');
+      assert.equal(edited.prompt, 'neon city at dawn');
+
+      const revisions = await getRevisions(prompt.id);
+      assert.deepEqual(
+        revisions.map(({ title, prompt }) => [title, prompt]),
+        [
+          ['Neon city', 'neon city at night'],
+          ['Neon ctiy', 'neon city at night'],
+        ],
+      );
+    });
+
+    it('does not add a revision when nothing changed', async () => {
+      const prompt = await createPrompt();
+
+      await edit(prompt.id, { title: prompt.title });
+
+      assert.equal((await getRevisions(prompt.id)).length, 0);
+    });
+
+    it('rejects empty titles and prompts', async () => {
+      const prompt = await createPrompt();
+
+      assert.equal((await edit(prompt.id, { prompt: '' })).status, 400);
+      assert.equal((await edit(prompt.id, {})).status, 400);
+    });
+
+    it('rejects prompt text that is not a string', async () => {
+      const prompt = await createPrompt();
+
+      assert.equal((await edit(prompt.id, { title: 42 })).status, 400);
+      assert.equal((await edit(prompt.id, { prompt: null })).status, 400);
+      assert.equal((await edit(prompt.id, { postText: {} })).status, 400);
+      assert.equal((await getRevisions(prompt.id)).length, 0);
+    });
+
+    it('clears postText when it is set to null', async () => {
+      const prompt = await createPrompt({ postText: 'by night' });
+
+      const res = await edit(prompt.id, { postText: null });
+
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).entities.prompts[0].postText, null);
+    });
+
+    it("does not edit another user's prompt", async () => {
+      const prompt = await createPrompt();
+
+      const res = await edit(prompt.id, { title: 'Mine now' }, 'user_test');
+
+      assert.equal(res.status, 403);
+    });
+
+    it('restores an earlier version', async () => {
+      const prompt = await createPrompt();
+      mock.timers.tick(1000);
+      await edit(prompt.id, { title: 'Changed', postText: 'notes' });
+      const [original] = await getRevisions(prompt.id);
+      mock.timers.tick(1000);
+
+      const res = await server.request(
+        `/v1/prompts/${prompt.id}/revisions/${original.id}/restore`,
+        { method: 'POST', userId: 'user_other' },
+      );
+      const [restored] = (await res.json()).entities.prompts;
+
+      assert.equal(res.status, 200);
+      assert.equal(restored.title, 'Neon city');
+      assert.equal(restored.postText, null);
+
+      const [replaced] = await getRevisions(prompt.id);
+      assert.equal(replaced.title, 'Changed');
+      assert.equal(replaced.postText, 'notes');
+    });
+  });
+
+  describe('POST /v1/prompts/:promptId/fork', () => {
+    const fork = promptId =>
+      server.request(`/v1/prompts/${promptId}/fork`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+
+    it("copies a public prompt into the caller's prompts", async () => {
+      const original = await createPrompt({
+        visibility: 'public',
+        postText: 'by someone else',
+      });
+
+      const res = await fork(original.id);
+      const [copy] = (await res.json()).entities.prompts;
+
+      assert.equal(res.status, 200);
+      assert.equal(copy.createdById, 'user_test');
+      assert.equal(copy.forkedFromId, original.id);
+      assert.equal(copy.visibility, 'PRIVATE');
+      assert.equal(copy.prompt, original.prompt);
+      assert.equal(copy.postText, 'by someone else');
+
+      const gallery = await (await server.request('/v1/prompts/public')).json();
+      assert.equal(gallery.entities.prompts[0]._count.forks, 1);
+    });
+
+    it('does not fork prompts that are not public', async () => {
+      const unlisted = await createPrompt({ visibility: 'unlisted' });
+
+      assert.equal((await fork(unlisted.id)).status, 404);
+      assert.equal(
+        await appPrismaClient.prompt.count({
+          where: { createdById: 'user_test' },
+        }),
+        0,
+      );
+    });
+  });
+});
@@ -0,0 +1,340 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { recordTimeLedgerEntry } from '#root/utils/ledgerUtils.js';
+import { stripeMock } from '#root/tests/mocks/stripe.js';
+import { sentEmails } from '#root/tests/mocks/sendgrid.js';
+import {
+  createTestUser,
+  resetTestState,
+  startTestServer,
+  stripeWebhookHeaders,
+} from '#root/tests/helpers.js';
+
+const HOUR = 3600;
+
+describe('stripeRouter webhook', () => {
+  let server;
+  let eventCount = 0;
+
+  const sendEvent = (
+    type,
+    object,
+    { id = `evt_test_${++eventCount}`, headers = {} } = {},
+  ) => {
+    const payload = JSON.stringify({ id, type, data: { object } });
+    return server.request('/stripe/webhook', {
+      method: 'POST',
+      body: payload,
+      headers: { ...stripeWebhookHeaders(payload), ...headers },
+    });
+  };
+
+  const getUser = () =>
+    appPrismaClient.user.findUnique({ where: { id: 'user_test' } });
+
+  const getLedger = () =>
+    appPrismaClient.timeLedgerEntry.findMany({
+      where: { userId: 'user_test' },
+      orderBy: { createdAt: 'asc' },
+    });
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser({ timeBalance: 0, stripeCustomerId: 'cus_test' });
+    await appPrismaClient.creditPackage.create({
+      data: {
+        id: 'pack_1_hour',
+        name: '1 hour',
+        priceCents: 500,
+        seconds: HOUR,
+      },
+    });
+    stripeMock.paymentIntents.set('pi_test', {
+      id: 'pi_test',
+      latest_charge: { receipt_url: 'https://pay.stripe.test/receipt' },
+    });
+  });
+
+  const checkoutSession = overrides => ({
+    id: 'cs_test',
+    mode: 'payment',
+    customer: 'cus_test',
+    amount_total: 500,
+    payment_intent: 'pi_test',
+    metadata: {
+      productId: process.env.STRIPE_PRODUCT_ID,
+      creditPackageId: 'pack_1_hour',
+    },
+    ...overrides,
+  });
+
+  it('rejects events without a valid signature', async () => {
+    const res = await server.request('/stripe/webhook', {
+      method: 'POST',
+      body: JSON.stringify({
+        id: 'evt_forged',
+        type: 'checkout.session.completed',
+      }),
+      headers: { 'Stripe-Signature': 't=1,v1=forged' },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal((await getUser()).timeBalance, 0);
+  });
+
+  describe('checkout.session.completed', () => {
+    it('credits the package and records the purchase', async () => {
+      const res = await sendEvent(
+        'checkout.session.completed',
+        checkoutSession(),
+      );
+
+      assert.equal(res.status, 200);
+      assert.equal((await getUser()).timeBalance, HOUR);
+
+      const purchase = await appPrismaClient.purchase.findUnique({
+        where: { stripeCheckoutSessionId: 'cs_test' },
+      });
+      assert.equal(purchase.secondsGranted, HOUR);
+      assert.equal(purchase.receiptUrl, 'https://pay.stripe.test/receipt');
+
+      const [entry] = await getLedger();
+      assert.equal(entry.type, 'PURCHASE');
+      assert.equal(entry.amount, HOUR);
+      assert.equal(entry.stripeSessionId, 'cs_test');
+    });
+
+    it('records an audit event tagged with the request ID', async () => {
+      await sendEvent('checkout.session.completed', checkoutSession(), {
+        headers: { 'X-Request-Id': 'req_checkout' },
+      });
+
+      const [event] = await appPrismaClient.auditEvent.findMany();
+      assert.equal(event.action, 'stripe.purchase_credited');
+      assert.equal(event.actorId, null);
+      assert.equal(event.targetId, 'user_test');
+      assert.deepEqual(event.before, { timeBalance: 0 });
+      assert.deepEqual(event.after, { timeBalance: HOUR });
+      assert.equal(event.requestId, 'req_checkout');
+    });
+
+    it('credits a session only once however often it is delivered', async () => {
+      await sendEvent('checkout.session.completed', checkoutSession(), {
+        id: 'evt_checkout',
+      });
+      await sendEvent('checkout.session.completed', checkoutSession(), {
+        id: 'evt_checkout',
+      });
+      const duplicate = await sendEvent(
+        'checkout.session.completed',
+        checkoutSession(),
+      );
+
+      assert.equal(duplicate.status, 200);
+      assert.equal((await getUser()).timeBalance, HOUR);
+      assert.equal((await getLedger()).length, 1);
+    });
+
+    it('ignores sessions for other products', async () => {
+      await sendEvent(
+        'checkout.session.completed',
+        checkoutSession({ metadata: { productId: 'prod_other' } }),
+      );
+
+      assert.equal((await getUser()).timeBalance, 0);
+    });
+  });
+
+  describe('refunds and disputes', () => {
+    beforeEach(async () => {
+      await sendEvent('checkout.session.completed', checkoutSession());
+    });
+
+    it('debits refunded time in proportion to the amount', async () => {
+      await sendEvent('charge.refunded', {
+        id: 'ch_test',
+        payment_intent: 'pi_test',
+        amount_refunded: 250,
+      });
+      assert.equal((await getUser()).timeBalance, HOUR / 2);
+
+      // amount_refunded is cumulative
+      await sendEvent('charge.refunded', {
+        id: 'ch_test',
+        payment_intent: 'pi_test',
+        amount_refunded: 500,
+      });
+      assert.equal((await getUser()).timeBalance, 0);
+
+      const refunds = (await getLedger()).filter(e => e.type === 'REFUND');
+      assert.deepEqual(
+        refunds.map(e => e.amount),
+        [-HOUR / 2, -HOUR / 2],
+      );
+      assert.ok(sentEmails.some(email => email.subject.includes('refund')));
+    });
+
+    it('debits a dispute and restores the time when it is won', async () => {
+      const dispute = {
+        id: 'dp_test',
+        charge: 'ch_test',
+        payment_intent: 'pi_test',
+        amount: 500,
+        reason: 'fraudulent',
+      };
+
+      await sendEvent('charge.dispute.created', dispute);
+      assert.equal((await getUser()).timeBalance, 0);
+
+      await sendEvent('charge.dispute.closed', { ...dispute, status: 'won' });
+      assert.equal((await getUser()).timeBalance, HOUR);
+
+      const purchase = await appPrismaClient.purchase.findUnique({
+        where: { stripePaymentIntentId: 'pi_test' },
+      });
+      assert.equal(purchase.disputedCents, 0);
+    });
+
+    it('keeps the debit when a dispute is lost', async () => {
+      const dispute = {
+        id: 'dp_test',
+        charge: 'ch_test',
+        payment_intent: 'pi_test',
+        amount: 500,
+        reason: 'fraudulent',
+      };
+
+      await sendEvent('charge.dispute.created', dispute);
+      await sendEvent('charge.dispute.closed', { ...dispute, status: 'lost' });
+
+      assert.equal((await getUser()).timeBalance, 0);
+    });
+  });
+
+  describe('subscriptions', () => {
+    const PERIOD_END = Date.UTC(2026, 1, 1) / 1000;
+
+    beforeEach(async () => {
+      await appPrismaClient.subscriptionPlan.create({
+        data: {
+          id: 'plan_pro',
+          name: 'Pro',
+          stripePriceId: 'price_pro',
+          priceCents: 2000,
+          secondsPerCycle: 10 * HOUR,
+          rolloverCapSeconds: 2 * HOUR,
+        },
+      });
+      stripeMock.subscriptions.set('sub_test', {
+        id: 'sub_test',
+        status: 'active',
+        current_period_end: PERIOD_END,
+        metadata: { subscriptionPlanId: 'plan_pro' },
+        items: { data: [{ price: { id: 'price_pro' } }] },
+      });
+    });
+
+    const invoice = id => ({
+      id,
+      subscription: 'sub_test',
+      customer: 'cus_test',
+      amount_paid: 2000,
+      payment_intent: `pi_${id}`,
+      hosted_invoice_url: `https://invoice.stripe.test/${id}`,
+    });
+
+    it('grants the plan allowance when an invoice is paid', async () => {
+      await sendEvent('invoice.paid', invoice('in_first'));
+
+      const user = await getUser();
+      assert.equal(user.timeBalance, 10 * HOUR);
+      assert.equal(user.stripeSubscriptionId, 'sub_test');
+      assert.equal(user.subscriptionPlanId, 'plan_pro');
+      assert.equal(user.subscriptionAllowanceSeconds, 10 * HOUR);
+      assert.equal(
+        user.subscriptionCurrentPeriodEnd.getTime(),
+        PERIOD_END * 1000,
+      );
+    });
+
+    it('rolls over unused allowance up to the cap on renewal', async () => {
+      await sendEvent('invoice.paid', invoice('in_first'));
+      await sendEvent('invoice.paid', invoice('in_renewal'));
+
+      const user = await getUser();
+      assert.equal(user.timeBalance, 12 * HOUR);
+      assert.equal(user.subscriptionAllowanceSeconds, 12 * HOUR);
+
+      const expiry = (await getLedger()).find(
+        e => e.type === 'SUBSCRIPTION_EXPIRY',
+      );
+      assert.equal(expiry.amount, -8 * HOUR);
+    });
+
+    it('only expires allowance left after usage, never purchased time', async () => {
+      await appPrismaClient.subscriptionPlan.update({
+        where: { id: 'plan_pro' },
+        data: { rolloverCapSeconds: 0 },
+      });
+      await recordTimeLedgerEntry({
+        userId: 'user_test',
+        type: 'PURCHASE',
+        amount: 20 * HOUR,
+      });
+      await sendEvent('invoice.paid', invoice('in_first'));
+      await recordTimeLedgerEntry({
+        userId: 'user_test',
+        type: 'WARP_USAGE',
+        amount: -2 * HOUR,
+      });
+
+      assert.equal((await getUser()).subscriptionAllowanceSeconds, 8 * HOUR);
+
+      await sendEvent('invoice.paid', invoice('in_renewal'));
+
+      const user = await getUser();
+      // 20h purchased + 10h allowance - 2h used - 8h expired + 10h renewal
+      assert.equal(user.timeBalance, 30 * HOUR);
+      assert.equal(user.subscriptionAllowanceSeconds, 10 * HOUR);
+
+      const expiry = (await getLedger()).find(
+        e => e.type === 'SUBSCRIPTION_EXPIRY',
+      );
+      assert.equal(expiry.amount, -8 * HOUR);
+    });
+
+    it('clears the subscription when it is deleted', async () => {
+      await sendEvent('invoice.paid', invoice('in_first'));
+      await sendEvent('customer.subscription.deleted', {
+        id: 'sub_test',
+        status: 'canceled',
+      });
+
+      const user = await getUser();
+      assert.equal(user.stripeSubscriptionId, null);
+      assert.equal(user.subscriptionStatus, 'canceled');
+      assert.equal(user.subscriptionAllowanceSeconds, 0);
+      // The paid-for cycle stays in the balance
+      assert.equal(user.timeBalance, 10 * HOUR);
+
+      const actions = (
+        await appPrismaClient.auditEvent.findMany({
+          orderBy: { createdAt: 'asc' },
+        })
+      ).map(event => event.action);
+      assert.deepEqual(actions, [
+        'stripe.subscription_granted',
+        'stripe.subscription_ended',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import {
+  createTestUser,
+  resetTestState,
+  startTestServer,
+} from '#root/tests/helpers.js';
+
+describe('usersRouter', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser();
+  });
+
+  describe('GET /v1/users/:userId/usage', () => {
+    const getUsage = async (query, userId = 'user_test') => {
+      const res = await server.request(
+        `/v1/users/user_test/usage?${new URLSearchParams(query)}`,
+        { userId },
+      );
+      return { res, body: await res.json() };
+    };
+
+    const createWarp = ({ requestedAt, queueSeconds, ...data }) =>
+      appPrismaClient.warp.create({
+        data: {
+          createdById: 'user_test',
+          jobStatus: 'COMPLETED',
+          jobRequestedAt: new Date(requestedAt),
+          jobStartedAt:
+            queueSeconds == null
+              ? null
+              : new Date(new Date(requestedAt).getTime() + queueSeconds * 1000),
+          ...data,
+        },
+      });
+
+    const billWarp = (warpId, seconds, createdAt) =>
+      appPrismaClient.timeLedgerEntry.create({
+        data: {
+          userId: 'user_test',
+          type: 'WARP_USAGE',
+          amount: -seconds,
+          balanceAfter: 0,
+          warpId,
+          createdAt: new Date(createdAt),
+        },
+      });
+
+    beforeEach(async () => {
+      const first = await createWarp({
+        requestedAt: '2026-03-02T10:00:00Z',
+        queueSeconds: 10,
+        config: { startingPrompt: 'fog', promptId: 'prompt_fog' },
+      });
+      await billWarp(first.id, 600, '2026-03-02T10:20:00Z');
+      await appPrismaClient.warpControlMessage.create({
+        data: {
+          warpId: first.id,
+          type: 'prompt',
+          payload: { prompt: 'lasers', promptId: null },
+        },
+      });
+
+      const second = await createWarp({
+        requestedAt: '2026-03-03T22:00:00Z',
+        queueSeconds: 30,
+        config: { startingPrompt: 'fog', promptId: 'prompt_fog' },
+      });
+      await billWarp(second.id, 300, '2026-03-03T22:10:00Z');
+
+      await createWarp({
+        requestedAt: '2026-03-10T09:00:00Z',
+        jobStatus: 'FAILED',
+      });
+    });
+
+    it('sums usage per bucket and in total', async () => {
+      const { res, body } = await getUsage({
+        from: '2026-03-01T00:00:00Z',
+        to: '2026-03-15T00:00:00Z',
+        bucket: 'week',
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(body.totals, {
+        warpedSeconds: 900,
+        sessions: 3,
+        failedSessions: 1,
+        averageQueueWaitSeconds: 20,
+      });
+      // Weeks start on Monday, so March 1st (a Sunday) is in the week before
+      assert.deepEqual(
+        body.buckets.map(bucket => [
+          bucket.start,
+          bucket.warpedSeconds,
+          bucket.sessions,
+          bucket.failedSessions,
+          bucket.averageQueueWaitSeconds,
+        ]),
+        [
+          ['2026-02-23T00:00:00.000Z', 0, 0, 0, null],
+          ['2026-03-02T00:00:00.000Z', 900, 2, 0, 20],
+          ['2026-03-09T00:00:00.000Z', 0, 1, 1, null],
+        ],
+      );
+    });
+
+    it('lists the prompts used most', async () => {
+      const { body } = await getUsage({
+        from: '2026-03-01T00:00:00Z',
+        to: '2026-03-15T00:00:00Z',
+      });
+
+      assert.deepEqual(body.topPrompts, [
+        { promptId: 'prompt_fog', prompt: 'fog', uses: 2 },
+        { promptId: null, prompt: 'lasers', uses: 1 },
+      ]);
+    });
+
+    it('only counts the requested range', async () => {
+      const { body } = await getUsage({
+        from: '2026-03-03T00:00:00Z',
+        to: '2026-03-04T00:00:00Z',
+      });
+
+      assert.equal(body.totals.sessions, 1);
+      assert.equal(body.totals.warpedSeconds, 300);
+      assert.equal(body.buckets.length, 1);
+    });
+
+    it('validates the range and bucket', async () => {
+      for (const query of [
+        { bucket: 'year' },
+        { from: 'yesterday' },
+        { from: '2026-03-02', to: '2026-03-01' },
+        { from: '2024-01-01', to: '2026-01-01' },
+      ]) {
+        const { res } = await getUsage(query);
+        assert.equal(res.status, 400, JSON.stringify(query));
+      }
+    });
+
+    it("does not show another user's usage", async () => {
+      const { res } = await getUsage({}, 'user_other');
+
+      assert.equal(res.status, 401);
+    });
+  });
+});
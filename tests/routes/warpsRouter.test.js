@@ -0,0 +1,672 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import mockProvider, {
+  getMockJob,
+} from '#root/utils/computeProviders/mockProvider.js';
+import { getWarpEventSubscriberCount } from '#root/utils/warpEventUtils.js';
+import { takeWarpControlMessages } from '#root/utils/warpControlUtils.js';
+import {
+  createRunningWarp,
+  createTestUser,
+  resetTestState,
+  startTestServer,
+} from '#root/tests/helpers.js';
+
+describe('warpsRouter', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser({ timeBalance: 1000 });
+  });
+
+  describe('POST /v1/warps', () => {
+    it('requires authentication', async () => {
+      const res = await server.request('/v1/warps', { method: 'POST' });
+
+      assert.equal(res.status, 401);
+    });
+
+    it('starts a job on the configured compute provider', async () => {
+      const res = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+      });
+      const { entities } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(entities.warps.length, 1);
+
+      const [warp] = entities.warps;
+      assert.equal(warp.computeProvider, 'mock');
+      assert.equal(warp.jobStatus, 'IN_QUEUE');
+      assert.match(warp.jobId, /^mock-/);
+      // The mock provider has no webhooks to register
+      assert.equal(warp.callbackToken, null);
+    });
+
+    it('returns the active warp instead of starting another', async () => {
+      const first = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+      });
+      const second = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+      });
+
+      const [firstWarp] = (await first.json()).entities.warps;
+      const body = await second.json();
+
+      assert.equal(body.entities.warps[0].id, firstWarp.id);
+      assert.equal(body.estimatedUserTimeBalance, 1000);
+      assert.equal(await appPrismaClient.warp.count(), 1);
+    });
+
+    it('refuses to start while the balance is negative', async () => {
+      await createTestUser({ id: 'user_in_debt', timeBalance: -10 });
+
+      const res = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_in_debt',
+      });
+
+      assert.equal(res.status, 402);
+      assert.equal((await res.json()).timeBalance, -10);
+      assert.equal(await appPrismaClient.warp.count(), 0);
+    });
+
+    describe('over the concurrency limit', () => {
+      beforeEach(async () => {
+        process.env.WARP_CONCURRENCY_LIMIT = '1';
+        await createTestUser({ id: 'user_other' });
+        await createRunningWarp({ userId: 'user_other' });
+      });
+
+      afterEach(() => {
+        delete process.env.WARP_CONCURRENCY_LIMIT;
+      });
+
+      it('queues the request and shows its position', async () => {
+        const res = await server.request('/v1/warps', {
+          method: 'POST',
+          userId: 'user_test',
+        });
+        const body = await res.json();
+
+        assert.equal(res.status, 202);
+        assert.equal(body.queuePosition, 1);
+        assert.equal(body.entities.warpQueueEntries[0].status, 'WAITING');
+        assert.equal(await appPrismaClient.warp.count(), 1);
+      });
+
+      it('leaves the queue', async () => {
+        await server.request('/v1/warps', {
+          method: 'POST',
+          userId: 'user_test',
+        });
+
+        const left = await server.request('/v1/warps/queue', {
+          method: 'DELETE',
+          userId: 'user_test',
+        });
+        const again = await server.request('/v1/warps/queue', {
+          method: 'DELETE',
+          userId: 'user_test',
+        });
+
+        assert.equal(left.status, 200);
+        assert.equal(again.status, 404);
+      });
+    });
+
+    describe('with a config', () => {
+      const startWarp = config =>
+        server.request('/v1/warps', {
+          method: 'POST',
+          userId: 'user_test',
+          body: { config },
+        });
+
+      it('sends the config to the worker and keeps it on the warp', async () => {
+        const res = await startWarp({ startingPrompt: 'neon city', seed: 42 });
+        const [warp] = (await res.json()).entities.warps;
+
+        const expected = {
+          startingPrompt: 'neon city',
+          promptId: null,
+          resolution: '512x512',
+          fps: 15,
+          modelVariant: 'turbo',
+          seed: 42,
+        };
+        assert.equal(res.status, 200);
+        assert.deepEqual(warp.config, expected);
+        assert.deepEqual(getMockJob(warp.jobId).input.config, expected);
+      });
+
+      it('picks a seed so the warp can be reproduced', async () => {
+        const res = await startWarp(undefined);
+        const [warp] = (await res.json()).entities.warps;
+
+        assert.ok(Number.isInteger(warp.config.seed));
+      });
+
+      it('starts with a saved prompt', async () => {
+        const prompt = await appPrismaClient.prompt.create({
+          data: {
+            createdById: 'user_test',
+            title: 'Fog',
+            prompt: 'foggy pier',
+          },
+        });
+
+        const res = await startWarp({ promptId: prompt.id });
+        const [warp] = (await res.json()).entities.warps;
+
+        assert.equal(warp.config.startingPrompt, 'foggy pier');
+        assert.equal(warp.config.promptId, prompt.id);
+      });
+
+      it('refuses a starting prompt flagged by moderation', async () => {
+        const res = await startWarp({ startingPrompt: 'gore at dawn' });
+
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /flagged by moderation/);
+        assert.equal(await appPrismaClient.warp.count(), 0);
+      });
+
+      it('only allows the options of the user tier', async () => {
+        const free = await startWarp({ resolution: '1024x576' });
+        assert.equal(free.status, 400);
+
+        await appPrismaClient.user.update({
+          where: { id: 'user_test' },
+          data: { subscriptionPlanId: 'plan', subscriptionStatus: 'active' },
+        });
+        const subscriber = await startWarp({ resolution: '1024x576', fps: 30 });
+        const [warp] = (await subscriber.json()).entities.warps;
+
+        assert.equal(subscriber.status, 200);
+        assert.equal(warp.config.resolution, '1024x576');
+        assert.equal(warp.tier, 'subscriber');
+      });
+
+      it('rejects invalid configs', async () => {
+        for (const config of [
+          { fps: 0 },
+          { seed: -1 },
+          { modelVariant: 'huge' },
+          { startingPrompt: 'a', promptId: 'b' },
+          { steps: 20 },
+          'fast',
+        ]) {
+          const res = await startWarp(config);
+          assert.equal(res.status, 400, JSON.stringify(config));
+        }
+        assert.equal((await startWarp({ promptId: 'missing' })).status, 404);
+        assert.equal(await appPrismaClient.warp.count(), 0);
+      });
+    });
+  });
+
+  describe('GET /v1/warps', () => {
+    it("lists only the user's own warps", async () => {
+      await createTestUser({ id: 'user_other' });
+      const own = await createRunningWarp();
+      await createRunningWarp({ userId: 'user_other' });
+      await createRunningWarp({ deletedAt: new Date() });
+
+      const res = await server.request('/v1/warps', { userId: 'user_test' });
+      const { entities } = await res.json();
+
+      assert.deepEqual(
+        entities.warps.map(warp => warp.id),
+        [own.id],
+      );
+    });
+  });
+
+  describe('GET /v1/warps/:warpId', () => {
+    it("does not return another user's warp", async () => {
+      await createTestUser({ id: 'user_other' });
+      const warp = await createRunningWarp({ userId: 'user_other' });
+
+      const res = await server.request(`/v1/warps/${warp.id}`, {
+        userId: 'user_test',
+      });
+
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /v1/warps/:warpId/events', () => {
+    let warp;
+
+    beforeEach(async () => {
+      warp = await createRunningWarp({ runningSeconds: 10 });
+      // Past the mock queue delay, so syncing keeps the job IN_PROGRESS
+      getMockJob(warp.jobId).startedAt -= 10 * 1000;
+    });
+
+    // Polls run every WARP_EVENTS_POLL_INTERVAL_MS (20ms in tests)
+    const openEventStream = async (warpId, userId = 'user_test') => {
+      const controller = new AbortController();
+      const res = await server.request(`/v1/warps/${warpId}/events`, {
+        userId,
+        signal: controller.signal,
+      });
+      const events = [];
+      let buffer = '';
+      let reader;
+
+      // Reads events until `predicate` holds for those so far, or the stream ends
+      const readUntil = async predicate => {
+        reader ??= res.body.pipeThrough(new TextDecoderStream()).getReader();
+        while (!predicate(events)) {
+          const { value, done } = await reader.read();
+          if (done) {
+            return { events, ended: true };
+          }
+          buffer += value;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          for (const block of blocks) {
+            const event = block.match(/^event: (.+)$/m)?.[1];
+            if (event) {
+              const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+              events.push({ event, data });
+            }
+          }
+        }
+        return { events, ended: false };
+      };
+
+      return { res, readUntil, close: () => controller.abort() };
+    };
+
+    const countEvents = (events, name) =>
+      events.filter(({ event }) => event === name).length;
+
+    const waitForSubscriberCount = async (warpId, count) => {
+      for (let i = 0; i < 100; i++) {
+        if (getWarpEventSubscriberCount(warpId) === count) {
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      assert.equal(getWarpEventSubscriberCount(warpId), count);
+    };
+
+    it("requires authentication and refuses another user's warp", async () => {
+      await createTestUser({ id: 'user_other' });
+
+      const anonymous = await server.request(`/v1/warps/${warp.id}/events`);
+      const other = await server.request(`/v1/warps/${warp.id}/events`, {
+        userId: 'user_other',
+      });
+
+      assert.equal(anonymous.status, 401);
+      assert.equal(other.status, 404);
+      assert.equal(getWarpEventSubscriberCount(warp.id), 0);
+    });
+
+    it('streams the status and worker, then ends with the warp', async () => {
+      const stream = await openEventStream(warp.id);
+      assert.equal(stream.res.status, 200);
+      assert.match(
+        stream.res.headers.get('Content-Type'),
+        /text\/event-stream/,
+      );
+
+      const { events } = await stream.readUntil(
+        events => countEvents(events, 'balance') > 0,
+      );
+      const status = events.find(({ event }) => event === 'status');
+      assert.equal(status.data.jobStatus, 'IN_PROGRESS');
+      assert.equal(status.data.previousJobStatus, null);
+      assert.match(
+        events.find(({ event }) => event === 'worker').data.workerId,
+        /^mock-worker-/,
+      );
+
+      await mockProvider.cancelJob(warp.jobId);
+      const { ended } = await stream.readUntil(() => false);
+
+      assert.equal(ended, true);
+      assert.deepEqual(events.at(-1), {
+        event: 'end',
+        data: { warpId: warp.id, jobStatus: 'CANCELLED' },
+      });
+      assert.equal(getWarpEventSubscriberCount(warp.id), 0);
+    });
+
+    it('warns about a low balance once', async () => {
+      await appPrismaClient.user.update({
+        where: { id: 'user_test' },
+        data: { timeBalance: 100 },
+      });
+
+      const stream = await openEventStream(warp.id);
+      const { events } = await stream.readUntil(
+        events => countEvents(events, 'balance') >= 3,
+      );
+      stream.close();
+
+      const warnings = events.filter(({ event }) => event === 'low-balance');
+      assert.equal(warnings.length, 1);
+      assert.ok(warnings[0].data.estimatedUserTimeBalance <= 100);
+      assert.equal(warnings[0].data.thresholdSeconds, 300);
+    });
+
+    it('stops polling once the last subscriber disconnects', async () => {
+      const first = await openEventStream(warp.id);
+      const second = await openEventStream(warp.id);
+      await first.readUntil(events => countEvents(events, 'status') > 0);
+      await second.readUntil(events => countEvents(events, 'status') > 0);
+      await waitForSubscriberCount(warp.id, 2);
+
+      first.close();
+      await waitForSubscriberCount(warp.id, 1);
+      second.close();
+      await waitForSubscriberCount(warp.id, 0);
+    });
+  });
+
+  describe('POST /v1/warps/:warpId/heartbeat', () => {
+    it('returns the estimated balance for a running warp', async () => {
+      const warp = await createRunningWarp({ runningSeconds: 100 });
+
+      const res = await server.request(`/v1/warps/${warp.id}/heartbeat`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.ok(
+        body.estimatedUserTimeBalance <= 900 &&
+          body.estimatedUserTimeBalance > 895,
+        `got ${body.estimatedUserTimeBalance}`,
+      );
+    });
+
+    it('rejects warps that are not running', async () => {
+      const warp = await createRunningWarp({
+        jobStatus: 'IN_QUEUE',
+        jobStartedAt: null,
+      });
+
+      const res = await server.request(`/v1/warps/${warp.id}/heartbeat`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+
+      assert.equal(res.status, 400);
+    });
+
+    it('ends the warp and bills it once the balance runs out', async () => {
+      const warp = await createRunningWarp({ runningSeconds: 1200 });
+
+      const res = await server.request(`/v1/warps/${warp.id}/heartbeat`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+      const body = await res.json();
+
+      assert.equal(res.status, 402);
+      assert.equal(body.entities.warps[0].jobStatus, 'CANCELLED');
+      assert.ok(body.entities.users[0].timeBalance <= -200);
+
+      const entries = await appPrismaClient.timeLedgerEntry.findMany({
+        where: { warpId: warp.id },
+      });
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].type, 'WARP_USAGE');
+    });
+  });
+
+  describe('POST /v1/warps/:warpId/pause and /resume', () => {
+    const pause = warpId =>
+      server.request(`/v1/warps/${warpId}/pause`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+    const resume = warpId =>
+      server.request(`/v1/warps/${warpId}/resume`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+
+    it('pauses a running warp and resumes it', async () => {
+      const warp = await createRunningWarp({ runningSeconds: 100 });
+
+      const paused = await pause(warp.id);
+      const pausedBody = await paused.json();
+
+      assert.equal(paused.status, 200);
+      assert.equal(pausedBody.entities.warps[0].jobStatus, 'PAUSED');
+      assert.ok(pausedBody.entities.warps[0].pausedAt);
+
+      const resumed = await resume(warp.id);
+      const resumedBody = await resumed.json();
+
+      assert.equal(resumed.status, 200);
+      assert.equal(resumedBody.entities.warps[0].jobStatus, 'IN_PROGRESS');
+      assert.equal(resumedBody.entities.warps[0].pausedAt, null);
+
+      const intervals = await appPrismaClient.warpActiveInterval.findMany({
+        where: { warpId: warp.id },
+        orderBy: { startedAt: 'asc' },
+      });
+      assert.equal(intervals.length, 2);
+      assert.ok(intervals[0].endedAt);
+      assert.equal(intervals[1].endedAt, null);
+    });
+
+    it('only pauses running warps and only resumes paused ones', async () => {
+      const queued = await createRunningWarp({
+        jobStatus: 'IN_QUEUE',
+        jobStartedAt: null,
+      });
+
+      assert.equal((await pause(queued.id)).status, 400);
+      assert.equal((await resume(queued.id)).status, 400);
+    });
+
+    it('does not resume once the balance has run out', async () => {
+      const warp = await createRunningWarp({ runningSeconds: 1200 });
+      await pause(warp.id);
+
+      const res = await resume(warp.id);
+
+      assert.equal(res.status, 402);
+      const unchanged = await appPrismaClient.warp.findUnique({
+        where: { id: warp.id },
+      });
+      assert.equal(unchanged.jobStatus, 'PAUSED');
+    });
+
+    it("does not pause another user's warp", async () => {
+      await createTestUser({ id: 'user_other' });
+      const warp = await createRunningWarp({ userId: 'user_other' });
+
+      assert.equal((await pause(warp.id)).status, 404);
+    });
+  });
+
+  describe('POST /v1/warps/:warpId/prompt', () => {
+    let warp;
+    let controlPath;
+
+    beforeEach(async () => {
+      const res = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+      });
+      const [started] = (await res.json()).entities.warps;
+      warp = await appPrismaClient.warp.update({
+        where: { id: started.id },
+        data: { jobStatus: 'IN_PROGRESS', jobStartedAt: new Date() },
+      });
+      const { url } = getMockJob(warp.jobId).input.control;
+      controlPath = url.replace(process.env.WEBHOOK_URL_BASE, '');
+    });
+
+    const changePrompt = (body, userId = 'user_test') =>
+      server.request(`/v1/warps/${warp.id}/prompt`, {
+        method: 'POST',
+        userId,
+        body,
+      });
+
+    it('relays prompt changes to the worker once each', async () => {
+      const prompt = await appPrismaClient.prompt.create({
+        data: { createdById: 'user_test', title: 'Fog', prompt: 'foggy pier' },
+      });
+
+      assert.equal((await changePrompt({ prompt: 'neon city' })).status, 200);
+      assert.equal((await changePrompt({ promptId: prompt.id })).status, 200);
+
+      const first = await (await server.request(controlPath)).json();
+      const second = await (await server.request(controlPath)).json();
+
+      assert.equal(first.ended, false);
+      assert.deepEqual(
+        first.controlMessages.map(message => [message.type, message.payload]),
+        [
+          ['prompt', { prompt: 'neon city', promptId: null }],
+          ['prompt', { prompt: 'foggy pier', promptId: prompt.id }],
+        ],
+      );
+      assert.deepEqual(second.controlMessages, []);
+    });
+
+    it('delivers a prompt change to one of concurrent fetches', async () => {
+      await changePrompt({ prompt: 'neon city' });
+
+      const fetches = await Promise.all([
+        takeWarpControlMessages(warp.controlToken),
+        takeWarpControlMessages(warp.controlToken),
+      ]);
+
+      assert.deepEqual(
+        fetches.flatMap(({ messages }) =>
+          messages.map(message => message.payload.prompt),
+        ),
+        ['neon city'],
+      );
+    });
+
+    it('keeps a timeline of the prompt changes', async () => {
+      await changePrompt({ prompt: 'first' });
+      await changePrompt({ prompt: 'second' });
+
+      const res = await server.request(`/v1/warps/${warp.id}/prompts`, {
+        userId: 'user_test',
+      });
+      const { entities } = await res.json();
+
+      assert.deepEqual(
+        entities.warpControlMessages.map(message => message.payload.prompt),
+        ['first', 'second'],
+      );
+    });
+
+    it('only changes running warps of the user', async () => {
+      await createTestUser({ id: 'user_other' });
+      assert.equal(
+        (await changePrompt({ prompt: 'mine' }, 'user_other')).status,
+        404,
+      );
+
+      await appPrismaClient.warp.update({
+        where: { id: warp.id },
+        data: { jobStatus: 'PAUSED' },
+      });
+      assert.equal((await changePrompt({ prompt: 'later' })).status, 400);
+      assert.equal(await appPrismaClient.warpControlMessage.count(), 0);
+    });
+
+    it('validates the prompt', async () => {
+      assert.equal((await changePrompt({})).status, 400);
+      assert.equal((await changePrompt({ prompt: '  ' })).status, 400);
+      assert.equal((await changePrompt({ promptId: 'missing' })).status, 404);
+    });
+
+    it('refuses prompt text flagged by moderation', async () => {
+      // MODERATION_BLOCKLIST is 'gore, blocked phrase' in tests
+      const res = await changePrompt({ prompt: 'a blocked phrase' });
+
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, /flagged by moderation/);
+      assert.equal(await appPrismaClient.warpControlMessage.count(), 0);
+    });
+
+    it('refuses warps started without a control channel', async () => {
+      warp = await createRunningWarp();
+
+      assert.equal((await changePrompt({ prompt: 'neon' })).status, 409);
+    });
+  });
+
+  describe('POST /v1/warps/:warpId/end', () => {
+    it('cancels the job and bills the time used', async () => {
+      const started = await server.request('/v1/warps', {
+        method: 'POST',
+        userId: 'user_test',
+      });
+      const [warp] = (await started.json()).entities.warps;
+      await appPrismaClient.warp.update({
+        where: { id: warp.id },
+        data: {
+          jobStatus: 'IN_PROGRESS',
+          jobStartedAt: new Date(Date.now() - 300 * 1000),
+        },
+      });
+
+      const res = await server.request(`/v1/warps/${warp.id}/end`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+      const { entities } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(entities.warps[0].jobStatus, 'CANCELLED');
+      assert.equal(entities.users[0].timeBalance, 700);
+
+      const events = await appPrismaClient.auditEvent.findMany({
+        where: { targetId: warp.id },
+      });
+      assert.equal(events.length, 1);
+      assert.equal(events[0].action, 'warp.cancelled');
+      assert.equal(events[0].actorId, 'user_test');
+      assert.deepEqual(events[0].after, { jobStatus: 'CANCELLED' });
+    });
+
+    it("refuses to end another user's warp", async () => {
+      await createTestUser({ id: 'user_other' });
+      const warp = await createRunningWarp({ userId: 'user_other' });
+
+      const res = await server.request(`/v1/warps/${warp.id}/end`, {
+        method: 'POST',
+        userId: 'user_test',
+      });
+
+      assert.equal(res.status, 403);
+      const unchanged = await appPrismaClient.warp.findUnique({
+        where: { id: warp.id },
+      });
+      assert.equal(unchanged.jobStatus, 'IN_PROGRESS');
+    });
+  });
+});
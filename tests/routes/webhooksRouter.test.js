@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { createRunpodJobCallback } from '#root/utils/runpodWebhookUtils.js';
+import { SIGNUP_BONUS_SECONDS } from '#root/utils/constants.js';
+import {
+  clerkWebhookHeaders,
+  createRunningWarp,
+  createTestUser,
+  resetTestState,
+  startTestServer,
+} from '#root/tests/helpers.js';
+
+describe('webhooksRouter', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    resetTestState();
+  });
+
+  describe('Clerk user events', () => {
+    const sendClerkEvent = (type, data, headers) => {
+      const payload = JSON.stringify({ type, object: 'event', data });
+      return server.request('/v1/webhooks', {
+        method: 'POST',
+        body: payload,
+        headers: headers || clerkWebhookHeaders(payload),
+      });
+    };
+
+    it('creates the user with the signup bonus in their ledger', async () => {
+      const res = await sendClerkEvent('user.created', { id: 'user_new' });
+
+      assert.equal(res.status, 200);
+      const user = await appPrismaClient.user.findUnique({
+        where: { id: 'user_new' },
+        include: { timeLedgerEntries: true },
+      });
+      assert.equal(user.timeBalance, SIGNUP_BONUS_SECONDS);
+      assert.deepEqual(user.meta, { id: 'user_new' });
+      assert.equal(user.timeLedgerEntries.length, 1);
+      assert.equal(user.timeLedgerEntries[0].type, 'SIGNUP_BONUS');
+    });
+
+    it('does not grant the bonus again for an existing user', async () => {
+      await sendClerkEvent('user.created', { id: 'user_new' });
+      await sendClerkEvent('user.created', { id: 'user_new', username: 'dj' });
+
+      const user = await appPrismaClient.user.findUnique({
+        where: { id: 'user_new' },
+      });
+      assert.equal(user.timeBalance, SIGNUP_BONUS_SECONDS);
+      assert.equal(user.meta.username, 'dj');
+    });
+
+    it('soft deletes the user', async () => {
+      await createTestUser({ id: 'user_gone' });
+
+      await sendClerkEvent('user.deleted', { id: 'user_gone' });
+
+      const user = await appPrismaClient.user.findUnique({
+        where: { id: 'user_gone' },
+      });
+      assert.ok(user.deletedAt instanceof Date);
+    });
+
+    it('rejects events with an invalid signature', async () => {
+      const payload = JSON.stringify({
+        type: 'user.created',
+        data: { id: 'user_x' },
+      });
+      const headers = clerkWebhookHeaders(payload);
+
+      const res = await sendClerkEvent(
+        'user.created',
+        { id: 'user_forged' },
+        headers,
+      );
+
+      assert.equal(res.status, 400);
+      assert.equal(await appPrismaClient.user.count(), 0);
+    });
+  });
+
+  describe('RunPod job callbacks', () => {
+    let callback;
+    let warp;
+
+    beforeEach(async () => {
+      await createTestUser({ timeBalance: 1000 });
+      callback = createRunpodJobCallback();
+      warp = await createRunningWarp({
+        runningSeconds: 300,
+        callbackToken: callback.callbackToken,
+      });
+    });
+
+    // The callback URL points at the deployed API; send it to the test server
+    const callbackPath = () => {
+      const { pathname, search } = new URL(callback.url);
+      return `${pathname}${search}`;
+    };
+
+    it('finalizes the warp and bills the execution time', async () => {
+      const res = await server.request(callbackPath(), {
+        method: 'POST',
+        body: { id: warp.jobId, status: 'COMPLETED', executionTime: 240 },
+      });
+
+      assert.equal(res.status, 200);
+      const updated = await appPrismaClient.warp.findUnique({
+        where: { id: warp.id },
+      });
+      assert.equal(updated.jobStatus, 'COMPLETED');
+      assert.equal(updated.runpodConfirmedTerminal, true);
+
+      const user = await appPrismaClient.user.findUnique({
+        where: { id: 'user_test' },
+      });
+      assert.equal(user.timeBalance, 760);
+    });
+
+    it('bills a job whose first callback is its end', async () => {
+      const requestedAt = new Date(Date.now() - 10 * 60 * 1000);
+      warp = await appPrismaClient.warp.update({
+        where: { id: warp.id },
+        data: {
+          jobStatus: 'IN_QUEUE',
+          jobRequestedAt: requestedAt,
+          jobStartedAt: null,
+        },
+      });
+
+      const res = await server.request(callbackPath(), {
+        method: 'POST',
+        body: {
+          id: warp.jobId,
+          status: 'COMPLETED',
+          delayTime: 60000,
+          executionTime: 240,
+        },
+      });
+
+      assert.equal(res.status, 200);
+      const updated = await appPrismaClient.warp.findUnique({
+        where: { id: warp.id },
+      });
+      assert.equal(updated.jobStatus, 'COMPLETED');
+      assert.equal(
+        updated.jobStartedAt.getTime(),
+        requestedAt.getTime() + 60000,
+      );
+
+      const user = await appPrismaClient.user.findUnique({
+        where: { id: 'user_test' },
+      });
+      assert.equal(user.timeBalance, 760);
+    });
+
+    it('rejects callbacks with a bad signature', async () => {
+      const res = await server.request(
+        `/v1/webhooks/runpod/${callback.callbackToken}?signature=${'0'.repeat(64)}`,
+        {
+          method: 'POST',
+          body: { id: warp.jobId, status: 'COMPLETED', executionTime: 1 },
+        },
+      );
+
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects callbacks for a different job', async () => {
+      const res = await server.request(callbackPath(), {
+        method: 'POST',
+        body: { id: 'job_other', status: 'COMPLETED', executionTime: 1 },
+      });
+
+      assert.equal(res.status, 400);
+      const unchanged = await appPrismaClient.warp.findUnique({
+        where: { id: warp.id },
+      });
+      assert.equal(unchanged.jobStatus, 'IN_PROGRESS');
+    });
+  });
+});
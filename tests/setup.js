@@ -0,0 +1,26 @@
+import { register } from 'module';
+
+// Loaded with --import before every test file. Provides the settings the app
+// reads at import time and swaps external services for the fakes in ./mocks.
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  CORS_ORIGIN: 'http://localhost:3000',
+  FE_DOMAIN: 'http://localhost:3000',
+  SENDGRID_API_KEY: 'SG.test',
+  EMAIL_FROM: 'from@gendj.test',
+  EMAIL_TO: 'admin@gendj.test',
+  STRIPE_SECRET_KEY: 'sk_test_gendj',
+  STRIPE_ENDPOINT_SECRET: 'whsec_stripe_test',
+  STRIPE_PRODUCT_ID: 'prod_test_time',
+  WEBHOOK_SECRET: `whsec_${Buffer.from('clerk-webhook-test-secret').toString('base64')}`,
+  WEBHOOK_URL_BASE: 'http://api.gendj.test',
+  READY_WEBHOOK_SECRET_KEY: 'runpod-callback-test-secret',
+  COMPUTE_PROVIDER: 'mock',
+  PROMPT_GENERATOR: 'mock',
+  MODERATION_PROVIDER: 'mock',
+  MODERATION_BLOCKLIST: 'gore, blocked phrase',
+  PROMPT_GENERATION_RATE_LIMIT: '3',
+  WARP_EVENTS_POLL_INTERVAL_MS: '20',
+});
+
+register('./mocks/hooks.js', import.meta.url);
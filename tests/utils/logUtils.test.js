@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import { createLogger, redact } from '#root/utils/logUtils.js';
+import { runWithRequestId } from '#root/utils/requestContextUtils.js';
+import { startTestServer } from '#root/tests/helpers.js';
+
+describe('logger', () => {
+  let lines;
+
+  const captureOutput = () => {
+    lines = [];
+    for (const stream of [process.stdout, process.stderr]) {
+      mock.method(stream, 'write', chunk => {
+        lines.push(JSON.parse(chunk));
+        return true;
+      });
+    }
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('writes one JSON entry per line with its level and fields', () => {
+    const logger = createLogger({ component: 'Test' });
+
+    captureOutput();
+    logger.info('Billed warp', { warpId: 'warp_1', amount: -60 });
+    logger.debug('Dropped below LOG_LEVEL');
+    mock.restoreAll();
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].component, 'Test');
+    assert.equal(lines[0].msg, 'Billed warp');
+    assert.equal(lines[0].warpId, 'warp_1');
+    assert.equal(lines[0].amount, -60);
+    assert.ok(lines[0].time);
+  });
+
+  it('tags entries with the current request ID', () => {
+    const logger = createLogger();
+
+    captureOutput();
+    runWithRequestId(() => logger.warn('Inside'), 'req_cron');
+    logger.warn('Outside');
+    mock.restoreAll();
+
+    assert.equal(lines[0].requestId, 'req_cron');
+    assert.equal(lines[1].requestId, undefined);
+  });
+
+  it('logs errors with their message and stack', () => {
+    const logger = createLogger();
+
+    captureOutput();
+    logger.error('Failed', { error: new Error('RunPod is down') });
+    mock.restoreAll();
+
+    assert.equal(lines[0].error.message, 'RunPod is down');
+    assert.match(lines[0].error.stack, /RunPod is down/);
+  });
+});
+
+describe('redact', () => {
+  it('redacts API keys in URLs and authorization headers', () => {
+    assert.equal(
+      redact('https://api.runpod.io/graphql?api_key=rp_live_secret'),
+      'https://api.runpod.io/graphql?api_key=[REDACTED]',
+    );
+    assert.equal(
+      redact('Authorization: Bearer rp_live_secret'),
+      'Authorization: Bearer [REDACTED]',
+    );
+  });
+
+  it('redacts tokens in webhook URLs', () => {
+    assert.equal(
+      redact('/v1/webhooks/runpod/abc123?signature=def456'),
+      '/v1/webhooks/runpod/[REDACTED]?signature=[REDACTED]',
+    );
+    assert.equal(
+      redact('/v1/webhooks/warps/control/abc123'),
+      '/v1/webhooks/warps/control/[REDACTED]',
+    );
+  });
+
+  it('redacts secret settings wherever they appear', () => {
+    assert.equal(
+      redact(`Invalid key ${process.env.STRIPE_SECRET_KEY}`),
+      'Invalid key [REDACTED]',
+    );
+  });
+
+  it('redacts fields named like secrets, at any depth', () => {
+    assert.deepEqual(
+      redact({
+        warp: { id: 'warp_1', controlToken: 'abc123' },
+        headers: { Authorization: 'Bearer abc123' },
+        apiKey: 'abc123',
+      }),
+      {
+        warp: { id: 'warp_1', controlToken: '[REDACTED]' },
+        headers: { Authorization: '[REDACTED]' },
+        apiKey: '[REDACTED]',
+      },
+    );
+  });
+});
+
+describe('request IDs', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('returns a new request ID in the response', async () => {
+    const res = await server.request('/alivecheck');
+
+    assert.match(res.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('keeps the request ID sent by the client', async () => {
+    const res = await server.request('/alivecheck', {
+      headers: { 'X-Request-Id': 'req_from_proxy' },
+    });
+    const invalid = await server.request('/alivecheck', {
+      headers: { 'X-Request-Id': 'not an id' },
+    });
+
+    assert.equal(res.headers.get('X-Request-Id'), 'req_from_proxy');
+    assert.notEqual(invalid.headers.get('X-Request-Id'), 'not an id');
+  });
+});
@@ -0,0 +1,214 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import mockProvider from '#root/utils/computeProviders/mockProvider.js';
+import { cancelWarpAndUpdateUserTimeBalance } from '#root/utils/warpUtils.js';
+import {
+  leaveWarpQueue,
+  promoteQueuedWarps,
+  requestWarp,
+} from '#root/utils/warpQueueUtils.js';
+import {
+  createRunningWarp,
+  createTestUser,
+  resetTestState,
+} from '#root/tests/helpers.js';
+
+const LIMIT_ENV_VARS = [
+  'WARP_CONCURRENCY_LIMIT',
+  'WARP_CONCURRENCY_LIMIT_FREE',
+  'WARP_CONCURRENCY_LIMIT_SUBSCRIBER',
+];
+
+describe('warp queue', () => {
+  beforeEach(async () => {
+    resetTestState();
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2026-01-01T12:00:00Z'),
+    });
+    for (const id of ['user_a', 'user_b', 'user_c']) {
+      await createTestUser({ id });
+    }
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    for (const name of LIMIT_ENV_VARS) {
+      delete process.env[name];
+    }
+  });
+
+  const getEntry = userId =>
+    appPrismaClient.warpQueueEntry.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+  it('starts the warp right away while under the limits', async () => {
+    const { warp, queueEntry } = await requestWarp({
+      userId: 'user_a',
+      tier: 'free',
+    });
+
+    assert.equal(queueEntry, undefined);
+    assert.equal(warp.tier, 'free');
+    assert.equal(warp.jobStatus, 'IN_QUEUE');
+    assert.equal((await getEntry('user_a')).status, 'PROMOTED');
+  });
+
+  it('queues requests over the global limit in order', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '1';
+    await requestWarp({ userId: 'user_a', tier: 'free' });
+
+    mock.timers.tick(1000);
+    const second = await requestWarp({ userId: 'user_b', tier: 'free' });
+    mock.timers.tick(1000);
+    const third = await requestWarp({ userId: 'user_c', tier: 'subscriber' });
+
+    assert.equal(second.warp, undefined);
+    assert.equal(second.position, 1);
+    assert.equal(third.position, 2);
+
+    // Asking again keeps the user's place
+    const again = await requestWarp({ userId: 'user_b', tier: 'free' });
+    assert.equal(again.queueEntry.id, second.queueEntry.id);
+    assert.equal(again.position, 1);
+  });
+
+  it('promotes the next request when a warp ends', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '1';
+    const { warp } = await requestWarp({ userId: 'user_a', tier: 'free' });
+    mock.timers.tick(1000);
+    await requestWarp({ userId: 'user_b', tier: 'free' });
+
+    await cancelWarpAndUpdateUserTimeBalance({
+      userId: 'user_a',
+      warpId: warp.id,
+    });
+
+    const entry = await getEntry('user_b');
+    assert.equal(entry.status, 'PROMOTED');
+    const promotedWarp = await appPrismaClient.warp.findUnique({
+      where: { id: entry.warpId },
+    });
+    assert.equal(promotedWarp.createdById, 'user_b');
+  });
+
+  it('lets another tier start while one tier is full', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT_FREE = '1';
+    await createRunningWarp({ userId: 'user_a', tier: 'free' });
+
+    const free = await requestWarp({ userId: 'user_b', tier: 'free' });
+    const subscriber = await requestWarp({
+      userId: 'user_c',
+      tier: 'subscriber',
+    });
+
+    assert.equal(free.position, 1);
+    assert.equal(subscriber.warp.tier, 'subscriber');
+  });
+
+  it('expires requests nobody has asked about for a while', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '0';
+    await requestWarp({ userId: 'user_a', tier: 'free' });
+    mock.timers.tick(3 * 60 * 1000);
+    delete process.env.WARP_CONCURRENCY_LIMIT;
+
+    await promoteQueuedWarps();
+
+    assert.equal((await getEntry('user_a')).status, 'EXPIRED');
+    assert.equal(await appPrismaClient.warp.count(), 0);
+  });
+
+  it('drops requests of users whose balance went negative', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '0';
+    await requestWarp({ userId: 'user_a', tier: 'free' });
+    await appPrismaClient.user.update({
+      where: { id: 'user_a' },
+      data: { timeBalance: -60 },
+    });
+    delete process.env.WARP_CONCURRENCY_LIMIT;
+
+    await promoteQueuedWarps();
+
+    assert.equal((await getEntry('user_a')).status, 'CANCELLED');
+    assert.equal(await appPrismaClient.warp.count(), 0);
+  });
+
+  const failNextJobStart = () =>
+    mock.method(
+      mockProvider,
+      'startJob',
+      async () => {
+        throw new Error('No capacity');
+      },
+      { times: 1 },
+    );
+
+  it('fails only the entry whose warp could not be started', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '0';
+    await requestWarp({ userId: 'user_a', tier: 'free' });
+    mock.timers.tick(1000);
+    await requestWarp({ userId: 'user_b', tier: 'free' });
+    delete process.env.WARP_CONCURRENCY_LIMIT;
+    failNextJobStart();
+
+    const { warp } = await requestWarp({ userId: 'user_b', tier: 'free' });
+
+    assert.equal((await getEntry('user_a')).status, 'FAILED');
+    assert.equal(warp.createdById, 'user_b');
+  });
+
+  it("rejects when the user's own warp could not be started", async () => {
+    failNextJobStart();
+
+    await assert.rejects(requestWarp({ userId: 'user_a', tier: 'free' }));
+    assert.equal((await getEntry('user_a')).status, 'FAILED');
+
+    const { warp } = await requestWarp({ userId: 'user_a', tier: 'free' });
+    assert.equal(warp.createdById, 'user_a');
+  });
+
+  it('joins the waiting entry a concurrent request created', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '0';
+    const { queueEntry } = await requestWarp({
+      userId: 'user_a',
+      tier: 'free',
+    });
+    // The concurrent request's entry wasn't there yet when this one looked,
+    // so creating a second one hits the unique waitingUserId
+    mock.method(appPrismaClient.warpQueueEntry, 'findFirst', async () => null, {
+      times: 1,
+    });
+
+    const again = await requestWarp({ userId: 'user_a', tier: 'free' });
+
+    assert.equal(again.queueEntry.id, queueEntry.id);
+    assert.equal(await appPrismaClient.warpQueueEntry.count(), 1);
+  });
+
+  it('takes a user out of the queue', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '0';
+    await requestWarp({ userId: 'user_a', tier: 'free' });
+
+    assert.equal(await leaveWarpQueue('user_a'), true);
+    assert.equal(await leaveWarpQueue('user_a'), false);
+    assert.equal((await getEntry('user_a')).status, 'CANCELLED');
+  });
+
+  it('lets a user queue again after leaving', async () => {
+    process.env.WARP_CONCURRENCY_LIMIT = '0';
+    const { queueEntry } = await requestWarp({
+      userId: 'user_a',
+      tier: 'free',
+    });
+    await leaveWarpQueue('user_a');
+
+    const again = await requestWarp({ userId: 'user_a', tier: 'free' });
+
+    assert.notEqual(again.queueEntry.id, queueEntry.id);
+    assert.equal(again.queueEntry.status, 'WAITING');
+  });
+});
@@ -0,0 +1,403 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import mockProvider from '#root/utils/computeProviders/mockProvider.js';
+import {
+  calculateUserTimeBalanceAfterWarp,
+  cancelWarpAndUpdateUserTimeBalance,
+  cleanupInactiveWarps,
+  pauseWarp,
+  resumeWarp,
+  syncWarpJobStatus,
+} from '#root/utils/warpUtils.js';
+import {
+  createRunningWarp,
+  createTestUser,
+  resetTestState,
+} from '#root/tests/helpers.js';
+
+// Mock provider timings (defaults of MOCK_PROVIDER_*_MS)
+const QUEUE_DELAY_MS = 3000;
+const RUN_DURATION_MS = 60000;
+
+const MINUTE_MS = 60 * 1000;
+
+const startMockWarp = async ({ scenario = 'run', ...data } = {}) => {
+  const job = await mockProvider.startJob({
+    input: { mockScenario: scenario },
+  });
+
+  return appPrismaClient.warp.create({
+    data: {
+      createdById: 'user_test',
+      jobId: job.id,
+      jobStatus: job.status,
+      computeProvider: 'mock',
+      ...data,
+    },
+  });
+};
+
+const getUsageEntries = warpId =>
+  appPrismaClient.timeLedgerEntry.findMany({
+    where: { warpId, type: 'WARP_USAGE' },
+  });
+
+describe('calculateUserTimeBalanceAfterWarp', () => {
+  beforeEach(async () => {
+    resetTestState();
+    await createTestUser({ timeBalance: 1000 });
+  });
+
+  it('returns the stored balance while the job has not started', async () => {
+    const warp = await startMockWarp();
+
+    const balance = await calculateUserTimeBalanceAfterWarp({
+      userId: 'user_test',
+      warpId: warp.id,
+    });
+
+    assert.equal(balance, 1000);
+  });
+
+  it('deducts the time the job has been running', async () => {
+    const warp = await createRunningWarp({ runningSeconds: 120 });
+
+    const balance = await calculateUserTimeBalanceAfterWarp({
+      userId: 'user_test',
+      warpId: warp.id,
+    });
+
+    assert.ok(balance <= 880 && balance > 875, `got ${balance}`);
+  });
+
+  it('deducts the full duration of an ended job', async () => {
+    const jobStartedAt = new Date('2026-01-01T12:00:00Z');
+    const warp = await createRunningWarp({
+      jobStatus: 'COMPLETED',
+      jobStartedAt,
+      jobEndedAt: new Date(jobStartedAt.getTime() + 300 * 1000),
+    });
+
+    const balance = await calculateUserTimeBalanceAfterWarp({
+      userId: 'user_test',
+      warpId: warp.id,
+    });
+
+    assert.equal(balance, 700);
+  });
+
+  it('throws for an unknown warp', async () => {
+    await assert.rejects(
+      calculateUserTimeBalanceAfterWarp({
+        userId: 'user_test',
+        warpId: 'nope',
+      }),
+      /Warp with ID nope not found/,
+    );
+  });
+});
+
+describe('syncWarpJobStatus', () => {
+  beforeEach(async () => {
+    resetTestState();
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2026-01-01T12:00:00Z'),
+    });
+    await createTestUser({ timeBalance: 1000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('leaves a queued job unchanged', async () => {
+    const warp = await startMockWarp();
+
+    const synced = await syncWarpJobStatus(warp.id);
+
+    assert.equal(synced.jobStatus, 'IN_QUEUE');
+    assert.equal(synced.jobStartedAt, null);
+  });
+
+  it('records the start time and worker once the job runs', async () => {
+    const warp = await startMockWarp();
+    mock.timers.tick(QUEUE_DELAY_MS + 1000);
+
+    const synced = await syncWarpJobStatus(warp.id);
+
+    assert.equal(synced.jobStatus, 'IN_PROGRESS');
+    assert.match(synced.workerId, /^mock-worker-/);
+    assert.equal(synced.jobStartedAt.getTime(), Date.now() - QUEUE_DELAY_MS);
+    assert.equal(synced.runpodConfirmedTerminal, false);
+  });
+
+  it('bills the execution time once when the job ends', async () => {
+    const warp = await startMockWarp({ scenario: 'fail' });
+    mock.timers.tick(QUEUE_DELAY_MS);
+    const running = await syncWarpJobStatus(warp.id);
+    mock.timers.tick(RUN_DURATION_MS + 5000);
+
+    const ended = await syncWarpJobStatus(warp.id);
+    await syncWarpJobStatus(warp.id);
+
+    assert.equal(ended.jobStatus, 'FAILED');
+    assert.equal(ended.runpodConfirmedTerminal, true);
+    assert.equal(
+      ended.jobEndedAt.getTime(),
+      running.jobStartedAt.getTime() + RUN_DURATION_MS,
+    );
+
+    const user = await appPrismaClient.user.findUnique({
+      where: { id: 'user_test' },
+    });
+    assert.equal(user.timeBalance, 1000 - RUN_DURATION_MS / 1000);
+    assert.equal((await getUsageEntries(warp.id)).length, 1);
+  });
+
+  it('bills once when the end is synced by concurrent callers', async () => {
+    const warp = await startMockWarp({ scenario: 'fail' });
+    mock.timers.tick(QUEUE_DELAY_MS);
+    await syncWarpJobStatus(warp.id);
+    mock.timers.tick(RUN_DURATION_MS + 5000);
+
+    // e.g. the job callback and the cleanup cron, both reading it running
+    const [first, second] = await Promise.all([
+      syncWarpJobStatus(warp.id),
+      syncWarpJobStatus(warp.id),
+    ]);
+
+    assert.equal(first.jobStatus, 'FAILED');
+    assert.equal(second.jobStatus, 'FAILED');
+    assert.equal((await getUsageEntries(warp.id)).length, 1);
+  });
+
+  it('bills once when a cancel and a sync end the warp together', async () => {
+    const warp = await startMockWarp();
+    mock.timers.tick(QUEUE_DELAY_MS);
+    await syncWarpJobStatus(warp.id);
+    mock.timers.tick(30 * 1000);
+    await mockProvider.cancelJob(warp.jobId);
+
+    await Promise.all([
+      cancelWarpAndUpdateUserTimeBalance({
+        userId: 'user_test',
+        warpId: warp.id,
+      }),
+      syncWarpJobStatus(warp.id),
+    ]);
+
+    assert.equal((await getUsageEntries(warp.id)).length, 1);
+  });
+
+  it('does not bill again when a cancelled job is confirmed', async () => {
+    const warp = await startMockWarp();
+    mock.timers.tick(QUEUE_DELAY_MS);
+    await syncWarpJobStatus(warp.id);
+    mock.timers.tick(30 * 1000);
+
+    await cancelWarpAndUpdateUserTimeBalance({
+      userId: 'user_test',
+      warpId: warp.id,
+    });
+    const confirmed = await syncWarpJobStatus(warp.id);
+
+    assert.equal(confirmed.jobStatus, 'CANCELLED');
+    assert.equal(confirmed.runpodConfirmedTerminal, true);
+    assert.equal(confirmed.jobEndedAt.getTime(), Date.now());
+
+    const usage = await getUsageEntries(warp.id);
+    assert.equal(usage.length, 1);
+    assert.equal(
+      usage[0].amount,
+      -(confirmed.jobEndedAt - confirmed.jobStartedAt) / 1000,
+    );
+  });
+
+  it('confirms a terminal warp whose job the provider no longer knows', async () => {
+    const warp = await createRunningWarp({
+      jobId: 'mock-purged',
+      jobStatus: 'COMPLETED',
+      jobEndedAt: new Date(),
+    });
+
+    const synced = await syncWarpJobStatus(warp.id);
+
+    assert.equal(synced.runpodConfirmedTerminal, true);
+  });
+
+  it('returns null when the provider cannot be reached for an active warp', async () => {
+    const warp = await createRunningWarp({ jobId: 'mock-missing' });
+
+    assert.equal(await syncWarpJobStatus(warp.id), null);
+  });
+});
+
+describe('pausing and resuming', () => {
+  beforeEach(async () => {
+    resetTestState();
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2026-01-01T12:00:00Z'),
+    });
+    await createTestUser({ timeBalance: 1000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  // Billing starts QUEUE_DELAY_MS before the sync that sees the job running
+  const BILLED_QUEUE_SECONDS = QUEUE_DELAY_MS / 1000;
+
+  const startRunningMockWarp = async () => {
+    const warp = await startMockWarp();
+    mock.timers.tick(QUEUE_DELAY_MS);
+    return syncWarpJobStatus(warp.id);
+  };
+
+  it('does not bill the time spent paused', async () => {
+    const warp = await startRunningMockWarp();
+    mock.timers.tick(100 * 1000);
+    await pauseWarp(warp);
+    mock.timers.tick(600 * 1000);
+    await resumeWarp(warp);
+    mock.timers.tick(50 * 1000);
+
+    const balance = await calculateUserTimeBalanceAfterWarp({
+      userId: 'user_test',
+      warpId: warp.id,
+    });
+    assert.equal(balance, 1000 - BILLED_QUEUE_SECONDS - 150);
+
+    await cancelWarpAndUpdateUserTimeBalance({
+      userId: 'user_test',
+      warpId: warp.id,
+    });
+    const user = await appPrismaClient.user.findUnique({
+      where: { id: 'user_test' },
+    });
+    assert.equal(user.timeBalance, 1000 - BILLED_QUEUE_SECONDS - 150);
+  });
+
+  it('bills nothing further for a warp ended while paused', async () => {
+    const warp = await startRunningMockWarp();
+    mock.timers.tick(100 * 1000);
+    await pauseWarp(warp);
+    mock.timers.tick(300 * 1000);
+
+    await cancelWarpAndUpdateUserTimeBalance({
+      userId: 'user_test',
+      warpId: warp.id,
+    });
+
+    const [usage] = await getUsageEntries(warp.id);
+    assert.equal(usage.amount, -(BILLED_QUEUE_SECONDS + 100));
+  });
+
+  it('stays PAUSED while the provider reports the job running', async () => {
+    const warp = await startRunningMockWarp();
+    const paused = await pauseWarp(warp);
+    mock.timers.tick(10 * 1000);
+
+    const synced = await syncWarpJobStatus(warp.id);
+
+    assert.equal(synced.jobStatus, 'PAUSED');
+    assert.equal(synced.pausedAt.getTime(), paused.pausedAt.getTime());
+  });
+
+  it('ends warps paused for longer than the pause timeout', async () => {
+    const warp = await startRunningMockWarp();
+    mock.timers.tick(60 * 1000);
+    await pauseWarp(warp);
+    mock.timers.tick(10 * MINUTE_MS);
+
+    await cleanupInactiveWarps();
+    assert.equal(
+      (await appPrismaClient.warp.findUnique({ where: { id: warp.id } }))
+        .jobStatus,
+      'PAUSED',
+    );
+
+    mock.timers.tick(6 * MINUTE_MS);
+    await cleanupInactiveWarps();
+
+    const ended = await appPrismaClient.warp.findUnique({
+      where: { id: warp.id },
+    });
+    assert.equal(ended.jobStatus, 'CANCELLED');
+    const [usage] = await getUsageEntries(warp.id);
+    assert.equal(usage.amount, -(BILLED_QUEUE_SECONDS + 60));
+  });
+});
+
+describe('cleanupInactiveWarps', () => {
+  beforeEach(async () => {
+    resetTestState();
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2026-01-01T12:00:00Z'),
+    });
+    await createTestUser({ timeBalance: 10000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  const getWarp = id => appPrismaClient.warp.findUnique({ where: { id } });
+
+  it('cancels jobs stuck in the queue for over 20 minutes', async () => {
+    const stuckWarp = await startMockWarp({ scenario: 'stuck' });
+    mock.timers.tick(10 * MINUTE_MS);
+    const recentWarp = await startMockWarp({ scenario: 'stuck' });
+    mock.timers.tick(11 * MINUTE_MS);
+
+    await cleanupInactiveWarps();
+
+    assert.equal((await getWarp(stuckWarp.id)).jobStatus, 'CANCELLED');
+    assert.equal((await getWarp(recentWarp.id)).jobStatus, 'IN_QUEUE');
+  });
+
+  it('cancels and bills running jobs without a heartbeat for over 2 minutes', async () => {
+    const staleWarp = await startMockWarp();
+    mock.timers.tick(QUEUE_DELAY_MS);
+    await syncWarpJobStatus(staleWarp.id);
+    mock.timers.tick(90 * 1000);
+
+    const liveWarp = await startMockWarp();
+    mock.timers.tick(QUEUE_DELAY_MS);
+    await syncWarpJobStatus(liveWarp.id);
+    mock.timers.tick(40 * 1000);
+
+    await cleanupInactiveWarps();
+
+    const stale = await getWarp(staleWarp.id);
+    assert.equal(stale.jobStatus, 'CANCELLED');
+    assert.equal(stale.jobEndedAt.getTime(), Date.now());
+
+    const usage = await getUsageEntries(staleWarp.id);
+    assert.equal(usage.length, 1);
+    assert.equal(
+      usage[0].amount,
+      -(stale.jobEndedAt - stale.jobStartedAt) / 1000,
+    );
+
+    assert.equal((await getWarp(liveWarp.id)).jobStatus, 'IN_PROGRESS');
+  });
+
+  it('confirms jobs that ended on the provider side', async () => {
+    const warp = await startMockWarp({ scenario: 'timeout' });
+    mock.timers.tick(QUEUE_DELAY_MS);
+    await syncWarpJobStatus(warp.id);
+    mock.timers.tick(RUN_DURATION_MS);
+
+    await cleanupInactiveWarps();
+
+    const ended = await getWarp(warp.id);
+    assert.equal(ended.jobStatus, 'TIMED_OUT');
+    assert.equal(ended.runpodConfirmedTerminal, true);
+    assert.equal((await getUsageEntries(warp.id)).length, 1);
+  });
+});
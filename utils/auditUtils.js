@@ -0,0 +1,77 @@
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { getRequestId } from '#root/utils/requestContextUtils.js';
+
+/**
+ * Appends an AuditEvent, tagged with the ID of the request being handled.
+ * Pass the transaction client when recording a change made in a transaction,
+ * so the event is only kept if the change is.
+ *
+ * @param {Object} options
+ * @param {*=} [options.tx] Prisma transaction client
+ * @param {?string=} [options.actorId=null] User who acted, null for the system
+ * @param {string} options.action One of AUDIT_ACTION
+ * @param {string} options.targetType Model name of the target, e.g. 'User'
+ * @param {string} options.targetId
+ * @param {object=} [options.before] Changed fields before the action
+ * @param {object=} [options.after] Changed fields after the action
+ * @param {?string=} [options.reason=null]
+ * @returns {Promise<object>} The AuditEvent
+ */
+export async function recordAuditEvent({
+  tx = appPrismaClient,
+  actorId = null,
+  action,
+  targetType,
+  targetId,
+  before,
+  after,
+  reason = null,
+}) {
+  if (!action || !targetType || !targetId) {
+    throw new Error('Audit events need an action and a target');
+  }
+
+  return tx.auditEvent.create({
+    data: {
+      actorId,
+      action,
+      targetType,
+      targetId,
+      before,
+      after,
+      reason,
+      requestId: getRequestId(),
+    },
+  });
+}
+
+/**
+ * Records a change to a user's time balance as an AuditEvent on the user.
+ * @param {Object} options
+ * @param {*=} [options.tx] Prisma transaction client
+ * @param {?string=} [options.actorId=null]
+ * @param {string} options.action One of AUDIT_ACTION
+ * @param {{id: string, timeBalance: number}} options.user The user after the change, as returned by recordTimeLedgerEntry
+ * @param {number} options.amount Signed change in seconds
+ * @param {?string=} [options.reason=null]
+ * @returns {Promise<object>} The AuditEvent
+ */
+export function recordBalanceAuditEvent({
+  tx,
+  actorId,
+  action,
+  user,
+  amount,
+  reason,
+}) {
+  return recordAuditEvent({
+    tx,
+    actorId,
+    action,
+    targetType: 'User',
+    targetId: user.id,
+    before: { timeBalance: user.timeBalance - amount },
+    after: { timeBalance: user.timeBalance },
+    reason,
+  });
+}
@@ -1,3 +1,25 @@
 import { clerkClient } from '@clerk/clerk-sdk-node';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
 
-export { clerkClient };
+/**
+ * Middleware for admin routes, after ClerkExpressRequireAuth(). Only lets
+ * users with isSuperUser through.
+ */
+async function requireSuperUser(req, res, next) {
+  try {
+    const user = await appPrismaClient.user.findUnique({
+      where: { id: req.auth.userId },
+      select: { isSuperUser: true },
+    });
+
+    if (!user?.isSuperUser) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export { clerkClient, requireSuperUser };
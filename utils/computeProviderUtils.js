@@ -0,0 +1,51 @@
+/**
+ * @typedef {Object} ComputeProvider
+ * @property {string} name Stored on each warp so it is always managed by the provider that started it
+ * @property {{webhooks: boolean}} capabilities webhooks: reports job completion to the URL given to startJob
+ * @property {function({input?: object, webhookUrl?: string}=): Promise<{id: string, status: string}>} startJob
+ * @property {function(string): Promise<{status: string, workerId?: string, delayTime?: number, executionTime?: number}>} getJobStatus
+ *   Same shape as RunPod's /status response
+ * @property {function(string): Promise<object>} cancelJob
+ * @property {function(): Promise<object>} getHealth Fails when the provider can't be reached
+ */
+
+// Loaded on first use so that e.g. the mock provider runs without RunPod config
+const computeProviderLoaders = {
+  runpod: () =>
+    import('#root/utils/computeProviders/runpodServerlessProvider.js'),
+  mock: () => import('#root/utils/computeProviders/mockProvider.js'),
+};
+
+// Provider for new warps. Warps created before providers were tracked are RunPod ones.
+const DEFAULT_COMPUTE_PROVIDER = process.env.COMPUTE_PROVIDER || 'runpod';
+const LEGACY_COMPUTE_PROVIDER = 'runpod';
+
+if (!computeProviderLoaders[DEFAULT_COMPUTE_PROVIDER]) {
+  throw new Error(
+    `Unknown COMPUTE_PROVIDER "${DEFAULT_COMPUTE_PROVIDER}", expected one of ${Object.keys(computeProviderLoaders).join(', ')}`,
+  );
+}
+
+/**
+ * @param {string=} [name] Defaults to the provider new warps should use (COMPUTE_PROVIDER)
+ * @returns {Promise<ComputeProvider>}
+ */
+export async function getComputeProvider(name = DEFAULT_COMPUTE_PROVIDER) {
+  const loadProvider = computeProviderLoaders[name];
+
+  if (!loadProvider) {
+    throw new Error(`Unknown compute provider "${name}"`);
+  }
+
+  const { default: provider } = await loadProvider();
+  return provider;
+}
+
+/**
+ * The provider that started a warp, which is the only one that knows its job.
+ * @param {{computeProvider: ?string}} warp
+ * @returns {Promise<ComputeProvider>}
+ */
+export async function getWarpComputeProvider(warp) {
+  return getComputeProvider(warp.computeProvider || LEGACY_COMPUTE_PROVIDER);
+}
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'MockProvider' });
+
+// In-process stand-in for RunPod so warps can be run locally and in tests
+// without a GPU account. Jobs live in memory and derive their status from how
+// long ago they were started, following one of these scenarios:
+//   run     - queues, then stays IN_PROGRESS until cancelled (a normal session)
+//   fail    - queues, runs, then FAILED
+//   timeout - queues, runs, then TIMED_OUT
+//   stuck   - never leaves IN_QUEUE
+// The scenario comes from input.mockScenario, falling back to MOCK_PROVIDER_SCENARIO.
+const SCENARIOS = ['run', 'fail', 'timeout', 'stuck'];
+
+const DEFAULT_SCENARIO = SCENARIOS.includes(process.env.MOCK_PROVIDER_SCENARIO)
+  ? process.env.MOCK_PROVIDER_SCENARIO
+  : 'run';
+const QUEUE_DELAY_MS =
+  parseInt(process.env.MOCK_PROVIDER_QUEUE_DELAY_MS, 10) || 3000;
+const RUN_DURATION_MS =
+  parseInt(process.env.MOCK_PROVIDER_RUN_DURATION_MS, 10) || 60000;
+
+const mockJobs = new Map();
+
+const getStatusAt = (job, now) => {
+  if (job.cancelledAt) {
+    return 'CANCELLED';
+  }
+
+  const elapsed = now - job.startedAt;
+  if (job.scenario === 'stuck' || elapsed < QUEUE_DELAY_MS) {
+    return 'IN_QUEUE';
+  }
+
+  if (job.scenario === 'run' || elapsed < QUEUE_DELAY_MS + RUN_DURATION_MS) {
+    return 'IN_PROGRESS';
+  }
+
+  return job.scenario === 'fail' ? 'FAILED' : 'TIMED_OUT';
+};
+
+/** @type {import('#root/utils/computeProviderUtils.js').ComputeProvider} */
+const mockProvider = {
+  name: 'mock',
+  capabilities: {
+    webhooks: false,
+  },
+
+  async startJob({ input = {} } = {}) {
+    const scenario = SCENARIOS.includes(input.mockScenario)
+      ? input.mockScenario
+      : DEFAULT_SCENARIO;
+
+    const job = {
+      id: `mock-${crypto.randomUUID()}`,
+      scenario,
+      input,
+      startedAt: Date.now(),
+      cancelledAt: null,
+    };
+    mockJobs.set(job.id, job);
+
+    logger.info('Started job', { jobId: job.id, scenario });
+    return { id: job.id, status: 'IN_QUEUE' };
+  },
+
+  // Mirrors the shape of RunPod's /status response
+  async getJobStatus(jobId) {
+    const job = mockJobs.get(jobId);
+    if (!job) {
+      throw new Error(`Mock job Not Found - request does not exist: ${jobId}`);
+    }
+
+    const now = Date.now();
+    const status = getStatusAt(job, now);
+    const result = { id: job.id, status };
+
+    if (status !== 'IN_QUEUE') {
+      result.workerId = `mock-worker-${job.id.slice(-6)}`;
+      result.delayTime = QUEUE_DELAY_MS;
+    }
+
+    if (['FAILED', 'TIMED_OUT', 'CANCELLED'].includes(status)) {
+      const endedAt =
+        job.cancelledAt || job.startedAt + QUEUE_DELAY_MS + RUN_DURATION_MS;
+      result.executionTime = Math.max(
+        0,
+        (endedAt - job.startedAt - QUEUE_DELAY_MS) / 1000,
+      );
+    }
+
+    return result;
+  },
+
+  async cancelJob(jobId) {
+    const job = mockJobs.get(jobId);
+    if (!job) {
+      throw new Error(`Mock job Not Found - request does not exist: ${jobId}`);
+    }
+
+    if (!job.cancelledAt) {
+      job.cancelledAt = Date.now();
+    }
+
+    logger.info('Cancelled job', { jobId });
+    return { id: jobId, status: 'CANCELLED' };
+  },
+
+  // Mirrors the shape of RunPod's /health response
+  async getHealth() {
+    const now = Date.now();
+    const statuses = [...mockJobs.values()].map(job => getStatusAt(job, now));
+    return {
+      jobs: {
+        inQueue: statuses.filter(status => status === 'IN_QUEUE').length,
+        inProgress: statuses.filter(status => status === 'IN_PROGRESS').length,
+      },
+    };
+  },
+};
+
+/**
+ * A job started on the mock provider, e.g. to check the input it was given.
+ * @param {string} jobId
+ * @returns {{id: string, scenario: string, input: object}|undefined}
+ */
+export function getMockJob(jobId) {
+  return mockJobs.get(jobId);
+}
+
+/**
+ * Forgets every mock job. Meant for tests.
+ */
+export function resetMockProvider() {
+  mockJobs.clear();
+}
+
+export default mockProvider;
@@ -0,0 +1,21 @@
+import {
+  cancelRunpodServerlessJob,
+  getRunpodServerlessEndpointHealth,
+  getRunpodServerlessJobStatus,
+  startRunpodServerlessJob,
+} from '#root/utils/graphqlUtils.js';
+
+/** @type {import('#root/utils/computeProviderUtils.js').ComputeProvider} */
+const runpodServerlessProvider = {
+  name: 'runpod',
+  capabilities: {
+    webhooks: true,
+  },
+  startJob: ({ input, webhookUrl } = {}) =>
+    startRunpodServerlessJob({ input, webhookUrl }),
+  getJobStatus: jobId => getRunpodServerlessJobStatus(jobId),
+  cancelJob: jobId => cancelRunpodServerlessJob(jobId),
+  getHealth: () => getRunpodServerlessEndpointHealth(),
+};
+
+export default runpodServerlessProvider;
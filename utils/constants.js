@@ -3,7 +3,6 @@ import { getSecret } from '#root/utils/secretUtils.js';
 let CORS_ORIGIN = await getSecret('CORS_ORIGIN');
 
 if (process.env.NODE_ENV === 'development') {
-  console.log('isdev1212');
   CORS_ORIGIN = 'http://localhost:5173';
 }
 
@@ -19,4 +18,98 @@ const POD_STATUS = {
   TERMINATED: 'TERMINATED',
 };
 
-export { CORS_ORIGIN, API_BASE, POD_STATUS };
+// RunPod serverless job statuses after which a warp is over
+const TERMINAL_JOB_STATUSES = [
+  'COMPLETED',
+  'FAILED',
+  'CANCELLED',
+  'TIMED_OUT',
+  'ENDED', // legacy pod-based warps
+];
+
+// Job statuses of a warp that holds (or is waiting for) a worker
+const ACTIVE_JOB_STATUSES = ['IN_QUEUE', 'PENDING', 'IN_PROGRESS', 'PAUSED'];
+
+// Mirrors the TimeLedgerEntryType enum in prisma/schema.prisma
+const TIME_LEDGER_ENTRY_TYPE = {
+  SIGNUP_BONUS: 'SIGNUP_BONUS',
+  PURCHASE: 'PURCHASE',
+  WARP_USAGE: 'WARP_USAGE',
+  REFUND: 'REFUND',
+  ADMIN_GRANT: 'ADMIN_GRANT',
+  ADJUSTMENT: 'ADJUSTMENT',
+  CHARGEBACK: 'CHARGEBACK',
+  SUBSCRIPTION_GRANT: 'SUBSCRIPTION_GRANT',
+  SUBSCRIPTION_EXPIRY: 'SUBSCRIPTION_EXPIRY',
+};
+
+// Mirrors the WarpQueueEntryStatus enum in prisma/schema.prisma
+const WARP_QUEUE_ENTRY_STATUS = {
+  WAITING: 'WAITING',
+  PROMOTED: 'PROMOTED',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'FAILED',
+};
+
+// Mirrors the PromptVisibility enum in prisma/schema.prisma
+const PROMPT_VISIBILITY = {
+  PRIVATE: 'PRIVATE',
+  UNLISTED: 'UNLISTED',
+  PUBLIC: 'PUBLIC',
+};
+
+// Mirrors the PromptModerationStatus enum in prisma/schema.prisma
+const PROMPT_MODERATION_STATUS = {
+  APPROVED: 'APPROVED',
+  HELD: 'HELD',
+  REJECTED: 'REJECTED',
+};
+
+// Types of WarpControlMessage, see warpControlUtils
+const WARP_CONTROL_MESSAGE_TYPE = {
+  PROMPT: 'prompt',
+};
+
+// AuditEvent actions, see auditUtils
+const AUDIT_ACTION = {
+  USER_CREATED: 'user.created',
+  USER_DELETED: 'user.deleted',
+  USER_RESTORED: 'user.restored',
+  TIME_GRANTED: 'user.time_granted',
+  TIME_REVOKED: 'user.time_revoked',
+  WARP_CANCELLED: 'warp.cancelled',
+  WARP_BILLED: 'warp.billed',
+  PURCHASE_CREDITED: 'stripe.purchase_credited',
+  REFUND_DEBITED: 'stripe.refund_debited',
+  DISPUTE_DEBITED: 'stripe.dispute_debited',
+  DISPUTE_CREDITED: 'stripe.dispute_credited',
+  SUBSCRIPTION_GRANTED: 'stripe.subscription_granted',
+  SUBSCRIPTION_ENDED: 'stripe.subscription_ended',
+  PROMPT_REVIEWED: 'prompt.reviewed',
+};
+
+// Users are limited by tier, see tierUtils
+const USER_TIER = {
+  FREE: 'free',
+  SUBSCRIBER: 'subscriber',
+};
+
+// free time granted to every new user, in seconds
+const SIGNUP_BONUS_SECONDS = 600;
+
+export {
+  CORS_ORIGIN,
+  API_BASE,
+  POD_STATUS,
+  TERMINAL_JOB_STATUSES,
+  ACTIVE_JOB_STATUSES,
+  TIME_LEDGER_ENTRY_TYPE,
+  WARP_QUEUE_ENTRY_STATUS,
+  PROMPT_VISIBILITY,
+  PROMPT_MODERATION_STATUS,
+  WARP_CONTROL_MESSAGE_TYPE,
+  AUDIT_ACTION,
+  USER_TIER,
+  SIGNUP_BONUS_SECONDS,
+};
@@ -1,7 +1,10 @@
 import { isProd } from '#root/utils/envUtils.js';
 import { getSecret } from '#root/utils/secretUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
 import sgMail from '@sendgrid/mail';
 
+const logger = createLogger({ component: 'Email' });
+
 const SENDGRID_API_KEY = await getSecret('SENDGRID_API_KEY');
 sgMail.setApiKey(SENDGRID_API_KEY);
 
@@ -15,7 +18,6 @@ export async function sendSendGridEmail({
   from = EMAIL_FROM,
   force = false,
 }) {
-  console.log('fromemail1212', from);
   if (!isProd && !force) {
     return;
   }
@@ -31,9 +33,13 @@ export async function sendSendGridEmail({
 
     const sgSendResp = await sgMail.send(msg);
 
-    console.log('Email sent successfully', sgSendResp);
+    logger.info('Email sent', {
+      subject,
+      to,
+      statusCode: sgSendResp[0]?.statusCode,
+    });
   } catch (err) {
-    console.error('SendGrid error:', err);
+    logger.error('SendGrid error', { subject, to, error: err });
     throw new Error('Sendgrid error');
   }
 }
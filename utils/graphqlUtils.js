@@ -1,5 +1,12 @@
 import fetch from 'node-fetch';
 import { getSecret } from '#root/utils/secretUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+import {
+  runpodRequestDurationSeconds,
+  runpodRequestErrorsTotal,
+} from '#root/utils/metricsUtils.js';
+
+const logger = createLogger({ component: 'RunPod' });
 
 const NETWORK_VOLUMES = JSON.parse(getSecret('NETWORK_VOLUMES'));
 const sortedVolumes = NETWORK_VOLUMES.sort((a, b) => a.priority - b.priority);
@@ -9,6 +16,7 @@ const PREFERRED_GPUS = getSecret('PREFERRED_GPUS').split(',');
 const RUNPOD_TEMPLATE_ID = getSecret('RUNPOD_TEMPLATE_ID');
 
 const runpodApiKey = process.env.RUNPOD_API_KEY;
+// Holds the API key, which the logger redacts should the URL end up in a log
 const runpodApiEndpoint = `https://api.runpod.io/graphql${
   runpodApiKey ? `?api_key=${runpodApiKey}` : ''
 }`;
@@ -22,7 +30,7 @@ const OPENAI_API_KEY = await getSecret('OPENAI_API_KEY');
 const RUNPOD_ENDPOINT_ID = process.env.RUNPOD_ENDPOINT_ID;
 
 if (!RUNPOD_ENDPOINT_ID) {
-  console.error('Missing required environment variable: RUNPOD_ENDPOINT_ID');
+  logger.error('Missing required environment variable: RUNPOD_ENDPOINT_ID');
   // Optionally, throw an error or exit if this is critical at startup
   // throw new Error('Missing required RunPod environment variable');
 }
@@ -45,15 +53,24 @@ async function runpodRequest(url, method = 'GET', body = null) {
     headers['Content-Type'] = 'application/json';
   }
 
+  // run, status, cancel or health
+  const operation = url.slice(RUNPOD_V2_API_BASE.length + 1).split('/')[0];
+  const startedAt = Date.now();
+  let response = null;
   try {
-    const response = await fetch(url, options);
+    response = await fetch(url, options);
+    const durationMs = Date.now() - startedAt;
+    runpodRequestDurationSeconds.observe({ operation }, durationMs / 1000);
 
     if (!response.ok) {
       const errorBody = await response.text();
-      console.error(`RunPod API Error (${response.status}): ${errorBody}`);
+      runpodRequestErrorsTotal.inc({ operation, status: response.status });
+      logger.error('RunPod API error', { method, url, status: response.status, durationMs, errorBody });
       throw new Error(`RunPod API request failed: ${response.statusText} - ${errorBody}`);
     }
 
+    logger.debug('RunPod API request', { method, url, status: response.status, durationMs });
+
     // Handle cases where Runpod might return empty body on success (like cancel)
     const contentType = response.headers.get("content-type");
     if (contentType && contentType.indexOf("application/json") !== -1) {
@@ -64,7 +81,12 @@ async function runpodRequest(url, method = 'GET', body = null) {
     }
 
   } catch (error) {
-    console.error(`Error during RunPod API request to ${url}:`, error);
+    // No response at all, e.g. a timeout
+    if (!response) {
+      runpodRequestDurationSeconds.observe({ operation }, (Date.now() - startedAt) / 1000);
+      runpodRequestErrorsTotal.inc({ operation, status: 'network' });
+    }
+    logger.error('Error during RunPod API request', { method, url, error });
     // Re-throw the error to be handled by the caller
     throw error;
   }
@@ -72,10 +94,13 @@ async function runpodRequest(url, method = 'GET', body = null) {
 
 /**
  * Starts a new serverless job.
+ * @param {Object} [options]
+ * @param {object} [options.input] Extra fields for the job input, read by the worker
+ * @param {string} [options.webhookUrl] URL RunPod calls with the job result when it finishes
  * @returns {Promise<object>} The job object containing the job ID.
  * Example return: { "id": "job_id_string", "status": "IN_QUEUE" }
  */
-export async function startRunpodServerlessJob() {
+export async function startRunpodServerlessJob({ input = {}, webhookUrl } = {}) {
   const url = `${RUNPOD_V2_API_BASE}/run`;
   // Pass necessary environment variables to the worker if needed
   const payload = {
@@ -85,14 +110,17 @@ export async function startRunpodServerlessJob() {
       env: {
         // OPENAI_API_KEY: OPENAI_API_KEY, // Example
       },
+      ...input,
     },
-    // Optionally add webhook URLs here if your endpoint supports them
-    // webhook: "YOUR_WEBHOOK_URL_HERE",
   };
 
-  console.log(`Starting RunPod serverless job on endpoint ${RUNPOD_ENDPOINT_ID}...`);
+  if (webhookUrl) {
+    payload.webhook = webhookUrl;
+  }
+
+  logger.info('Starting RunPod serverless job', { endpointId: RUNPOD_ENDPOINT_ID });
   const result = await runpodRequest(url, 'POST', payload);
-  console.log('RunPod serverless job started:', result);
+  logger.info('RunPod serverless job started', { jobId: result.id, status: result.status });
   return result; // Should contain { id: "...", status: "..." }
 }
 
@@ -106,9 +134,7 @@ export async function startRunpodServerlessJob() {
 export async function getRunpodServerlessJobStatus(jobId) {
   if (!jobId) throw new Error("jobId is required to get status.");
   const url = `${RUNPOD_V2_API_BASE}/status/${jobId}`;
-  // console.log(`Checking status for job ${jobId}...`); // Optional: can be noisy
   const result = await runpodRequest(url, 'POST');
-  // console.log(`Status for job ${jobId}:`, result.status); // Optional: can be noisy
   return result;
 }
 
@@ -121,12 +147,22 @@ export async function getRunpodServerlessJobStatus(jobId) {
 export async function cancelRunpodServerlessJob(jobId) {
   if (!jobId) throw new Error("jobId is required to cancel.");
   const url = `${RUNPOD_V2_API_BASE}/cancel/${jobId}`;
-  console.log(`Requesting cancellation for job ${jobId}...`);
+  logger.info('Requesting cancellation for job', { jobId });
   const result = await runpodRequest(url, 'POST');
-  console.log(`Cancellation requested for job ${jobId}, result:`, result);
+  logger.info('Cancellation requested for job', { jobId, result });
   return result;
 }
 
+/**
+ * Worker and job counts of the serverless endpoint, which also confirms RunPod
+ * is reachable with our API key.
+ * @returns {Promise<object>} e.g. { "jobs": { "inQueue": 0, ... }, "workers": { "idle": 1, ... } }
+ */
+export async function getRunpodServerlessEndpointHealth() {
+  const url = `${RUNPOD_V2_API_BASE}/health`;
+  return runpodRequest(url, 'GET');
+}
+
 export async function selectBestGpuVolumeAndDataCenter() {
   const dataCentersAndAvailability =
     await getRunpodDataCentersAndGpuAvailability();
@@ -177,13 +213,7 @@ async function runGraphQLQuery({ query, variables = {} }) {
   // console.dir(result, { depth: null, colors: true });
 
   if (result.errors) {
-    console.error(
-      'GraphQL error:',
-      result.errors,
-      result.errors?.[0]?.message || 'graphql error',
-      result.errors?.[0]?.locations?.[0],
-      result.errors?.[0]?.extensions,
-    );
+    logger.error('GraphQL error', { errors: result.errors });
     throw new Error(result.errors?.[0]?.message || 'graphql error');
   }
 
@@ -211,7 +241,7 @@ export async function getGpuTypes() {
   return data.gpuTypes.filter(gpu => gpu.secureCloud);
 }
 export async function createRunpodPod({ gpuType, volumeId, dataCenterId }) {
-  console.log('createRunpodPod1212', 'gpuType', gpuType, 'volumeId', volumeId);
+  logger.info('Creating RunPod pod', { gpuType, volumeId, dataCenterId });
   const query = `
     mutation PodCreate($input: PodFindAndDeployOnDemandInput!) {
       podFindAndDeployOnDemand(input: $input) {
@@ -264,7 +294,7 @@ export async function createRunpodPod({ gpuType, volumeId, dataCenterId }) {
 }
 
 export async function getRunpodPod(podId) {
-  console.log('Getting RunPod pod:', podId);
+  logger.info('Getting RunPod pod', { podId });
   const query = `
   query GetPod($input: PodFilter) {
     pod(input: $input) {
@@ -299,16 +329,16 @@ export async function getRunpodPod(podId) {
 
   try {
     const data = await runGraphQLQuery({ query, variables });
-    console.log('Pod get result:', data);
+    logger.debug('Pod get result', { data });
     return data.pod;
   } catch (error) {
-    console.error('Error getting pod:', error);
+    logger.error('Error getting pod', { podId, error });
     throw error;
   }
 }
 
 export async function endRunpodPod(podId) {
-  console.log('Ending RunPod pod:', podId);
+  logger.info('Ending RunPod pod', { podId });
   const query = `
     mutation PodTerminate($input: PodTerminateInput!) {
       podTerminate(input: $input)
@@ -324,10 +354,10 @@ export async function endRunpodPod(podId) {
   try {
     const data = await runGraphQLQuery({ query, variables });
     // data will always be null
-    console.log('Pod end result:', data);
+    logger.debug('Pod end result', { data });
     return data;
   } catch (error) {
-    console.error('Error ending pod:', error);
+    logger.error('Error ending pod', { podId, error });
     throw error;
   }
 }
@@ -0,0 +1,135 @@
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { getComputeProvider } from '#root/utils/computeProviderUtils.js';
+import { getLastCleanupSuccessAt } from '#root/utils/warpUtils.js';
+
+// Checks slower than this count as failed, so /readyz answers before the
+// orchestrator's probe times out
+const CHECK_TIMEOUT_MS = 3000;
+
+// cleanupInactiveWarps runs every 5 minutes; a few missed runs mean the cron
+// has stopped or keeps failing
+const CLEANUP_MAX_AGE_SECONDS = 15 * 60;
+
+// Settings each service needs, by service. RunPod ones only matter when it is
+// the compute provider.
+const REQUIRED_CONFIG = {
+  runpod: [
+    'RUNPOD_API_KEY',
+    'RUNPOD_ENDPOINT_ID',
+    'WEBHOOK_URL_BASE',
+    'READY_WEBHOOK_SECRET_KEY',
+  ],
+  stripe: ['STRIPE_SECRET_KEY', 'STRIPE_ENDPOINT_SECRET', 'STRIPE_PRODUCT_ID'],
+  sendgrid: ['SENDGRID_API_KEY', 'EMAIL_FROM', 'EMAIL_TO'],
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Runs a check, turning errors and timeouts into a failed result
+async function runCheck(check) {
+  const startedAt = Date.now();
+  try {
+    const result = await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { durationMs: Date.now() - startedAt, ...result };
+  } catch (error) {
+    return {
+      status: 'error',
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+    };
+  }
+}
+
+async function checkDatabase() {
+  await appPrismaClient.$queryRaw`SELECT 1`;
+  return { status: 'ok' };
+}
+
+async function checkConfig() {
+  const { name: computeProvider } = await getComputeProvider();
+  const services = Object.fromEntries(
+    Object.entries(REQUIRED_CONFIG).map(([service, names]) => {
+      if (service === 'runpod' && computeProvider !== 'runpod') {
+        return [service, { status: 'skipped' }];
+      }
+      // Only the names of missing settings are shown, never values
+      const missing = names.filter(name => !process.env[name]);
+      return [
+        service,
+        missing.length > 0 ? { status: 'error', missing } : { status: 'ok' },
+      ];
+    }),
+  );
+
+  return {
+    status: Object.values(services).some(({ status }) => status === 'error')
+      ? 'error'
+      : 'ok',
+    services,
+  };
+}
+
+async function checkCleanup() {
+  const lastSuccessAt = getLastCleanupSuccessAt();
+
+  // The first run happens within 5 minutes of starting
+  if (!lastSuccessAt) {
+    return {
+      status: process.uptime() > CLEANUP_MAX_AGE_SECONDS ? 'error' : 'pending',
+      lastSuccessAt: null,
+    };
+  }
+
+  const ageSeconds = Math.round((Date.now() - lastSuccessAt.getTime()) / 1000);
+  return {
+    status: ageSeconds > CLEANUP_MAX_AGE_SECONDS ? 'error' : 'ok',
+    lastSuccessAt,
+    ageSeconds,
+  };
+}
+
+async function checkComputeProvider() {
+  const provider = await getComputeProvider();
+  const health = await provider.getHealth();
+  return { status: 'ok', name: provider.name, health };
+}
+
+/**
+ * Whether the API can serve traffic, with the result of each check.
+ * A check is ok, error, or pending/skipped (which don't make it degraded).
+ * @param {Object} [options]
+ * @param {boolean} [options.checkComputeProvider] Also call the compute provider, which costs an API request
+ * @returns {Promise<{status: 'ok'|'degraded', checks: Object<string, {status: string}>}>}
+ */
+export async function getReadiness({
+  checkComputeProvider: checkProvider,
+} = {}) {
+  const checks = {
+    database: checkDatabase,
+    config: checkConfig,
+    cleanup: checkCleanup,
+    ...(checkProvider ? { computeProvider: checkComputeProvider } : {}),
+  };
+
+  const results = Object.fromEntries(
+    await Promise.all(
+      Object.entries(checks).map(async ([name, check]) => [
+        name,
+        await runCheck(check),
+      ]),
+    ),
+  );
+
+  return {
+    status: Object.values(results).some(({ status }) => status === 'error')
+      ? 'degraded'
+      : 'ok',
+    checks: results,
+  };
+}
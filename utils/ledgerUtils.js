@@ -0,0 +1,142 @@
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { TIME_LEDGER_ENTRY_TYPE } from '#root/utils/constants.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Ledger' });
+
+/**
+ * Applies a signed change to a user's time balance and appends the matching
+ * TimeLedgerEntry. User.timeBalance must only ever change through here so the
+ * ledger always explains how a balance was reached.
+ *
+ * @param {Object} options
+ * @param {*=} [options.tx=null] Prisma transaction client; one is opened if omitted
+ * @param {string} options.userId
+ * @param {string} options.type One of TIME_LEDGER_ENTRY_TYPE
+ * @param {number} options.amount Signed change in whole seconds
+ * @param {string=} [options.warpId=null] Originating warp, if any
+ * @param {string=} [options.stripeSessionId=null] Originating Stripe checkout session, if any
+ * @param {string=} [options.note=null]
+ * @returns {Promise<{entry: object, user: object}>}
+ */
+export async function recordTimeLedgerEntry({
+  tx = null,
+  userId,
+  type,
+  amount,
+  warpId = null,
+  stripeSessionId = null,
+  note = null,
+}) {
+  if (!tx) {
+    // Balance update and ledger row must land together
+    return appPrismaClient.$transaction(tx =>
+      recordTimeLedgerEntry({
+        tx,
+        userId,
+        type,
+        amount,
+        warpId,
+        stripeSessionId,
+        note,
+      }),
+    );
+  }
+
+  if (!userId || !type) {
+    throw new Error('User ID and ledger entry type are required');
+  }
+
+  if (!Number.isInteger(amount)) {
+    throw new Error(
+      `Ledger amount must be a whole number of seconds, got ${amount}`,
+    );
+  }
+
+  const data = { timeBalance: { increment: amount } };
+
+  // Warps spend what is left of the subscription allowance before purchased
+  // time, so renewals only expire allowance that was really unused
+  if (type === TIME_LEDGER_ENTRY_TYPE.WARP_USAGE && amount < 0) {
+    const current = await tx.user.findUnique({
+      where: { id: userId },
+      select: { subscriptionAllowanceSeconds: true },
+    });
+    const allowanceSpent = Math.min(
+      current?.subscriptionAllowanceSeconds ?? 0,
+      -amount,
+    );
+    if (allowanceSpent > 0) {
+      data.subscriptionAllowanceSeconds = { decrement: allowanceSpent };
+    }
+  }
+
+  // Increment rather than read-modify-write so concurrent entries can't clobber each other
+  const user = await tx.user.update({
+    where: { id: userId },
+    data,
+  });
+
+  const entry = await tx.timeLedgerEntry.create({
+    data: {
+      userId,
+      type,
+      amount,
+      balanceAfter: user.timeBalance,
+      warpId,
+      stripeSessionId,
+      note,
+    },
+  });
+
+  logger.info('Recorded ledger entry', {
+    type,
+    amount,
+    userId,
+    timeBalance: user.timeBalance,
+    entryId: entry.id,
+  });
+
+  return { entry, user };
+}
+
+/**
+ * Compares User.timeBalance with the sum of the user's ledger entries.
+ * A non-zero discrepancy means the balance was changed outside the ledger.
+ *
+ * @param {Object} options
+ * @param {*=} [options.tx=null]
+ * @param {string} options.userId
+ * @returns {Promise<{timeBalance: number, ledgerBalance: number, discrepancy: number}>}
+ */
+export async function reconcileUserTimeBalance({ tx = null, userId }) {
+  const prisma = tx || appPrismaClient;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, timeBalance: true },
+  });
+
+  if (!user) {
+    throw new Error(`User with ID ${userId} not found`);
+  }
+
+  const { _sum } = await prisma.timeLedgerEntry.aggregate({
+    where: { userId },
+    _sum: { amount: true },
+  });
+
+  const ledgerBalance = _sum.amount || 0;
+  const discrepancy = user.timeBalance - ledgerBalance;
+
+  if (discrepancy !== 0) {
+    logger.warn('User balance does not match ledger', {
+      userId,
+      timeBalance: user.timeBalance,
+      ledgerBalance,
+      discrepancy,
+    });
+  }
+
+  return { timeBalance: user.timeBalance, ledgerBalance, discrepancy };
+}
@@ -0,0 +1,158 @@
+import { getRequestId } from '#root/utils/requestContextUtils.js';
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
+
+// Fields whose values are never logged
+const SECRET_KEY_PATTERN =
+  /pass(word)?|secret|token|api_?key|authorization|cookie/i;
+
+// Credentials that end up inside strings, such as the RunPod API key in the
+// GraphQL endpoint's query string and the tokens in webhook URLs
+const SECRET_STRING_PATTERNS = [
+  [/([?&](?:api_?key|key|token|signature)=)[^&\s"']+/gi, '$1[REDACTED]'],
+  [/(Bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]'],
+  [/(\/webhooks\/(?:runpod|warps\/control)\/)[^/?\s"']+/g, '$1[REDACTED]'],
+];
+
+// Settings whose values are redacted wherever they appear
+const SECRET_ENV_VARS = [
+  'RUNPOD_API_KEY',
+  'STRIPE_SECRET_KEY',
+  'STRIPE_ENDPOINT_SECRET',
+  'SENDGRID_API_KEY',
+  'OPENAI_API_KEY',
+  'WEBHOOK_SECRET',
+  'READY_WEBHOOK_SECRET_KEY',
+  'METRICS_TOKEN',
+];
+
+const MAX_DEPTH = 6;
+
+const redactString = value => {
+  let redacted = value;
+  for (const [pattern, replacement] of SECRET_STRING_PATTERNS) {
+    redacted = redacted.replace(pattern, replacement);
+  }
+  for (const name of SECRET_ENV_VARS) {
+    const secret = process.env[name];
+    // Short values would redact ordinary words
+    if (secret && secret.length >= 8) {
+      redacted = redacted.split(secret).join('[REDACTED]');
+    }
+  }
+  return redacted;
+};
+
+/**
+ * Copy of a value that is safe to log: secrets are redacted, and errors and
+ * dates are turned into plain JSON.
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.status ? { status: value.status } : {}),
+        stack: value.stack,
+      },
+      depth + 1,
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, fieldValue]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) && fieldValue != null
+        ? '[REDACTED]'
+        : redact(fieldValue, depth + 1),
+    ]),
+  );
+}
+
+function writeLogEntry(level, bindings, message, fields) {
+  if (LOG_LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date(),
+    level,
+    ...bindings,
+    msg: message,
+    requestId: getRequestId() ?? undefined,
+    ...fields,
+  });
+  const stream =
+    LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Creates a logger writing one JSON object per line, tagged with the ID of
+ * the request (or cron run) being handled. Levels below LOG_LEVEL (info by
+ * default) are dropped.
+ * @param {object} [bindings] Fields added to every entry, e.g. { component: 'Cleanup' }
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ *   Each level takes a message and an optional object of fields. Errors in
+ *   the fields are logged with their stack.
+ */
+export function createLogger(bindings = {}) {
+  const log = level => (message, fields) =>
+    writeLogEntry(level, bindings, message, fields);
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: childBindings => createLogger({ ...bindings, ...childBindings }),
+  };
+}
+
+export const logger = createLogger();
+
+/**
+ * Express middleware logging each request once it has been answered,
+ * in place of morgan.
+ */
+export function requestLogMiddleware(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const level =
+      res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    // 'finish' can fire outside the request's context, so the ID is passed
+    logger[level]('Request handled', {
+      component: 'Http',
+      requestId: req.requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs:
+        Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      userId: req.auth?.userId,
+    });
+  });
+
+  next();
+}
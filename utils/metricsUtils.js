@@ -0,0 +1,117 @@
+import client from 'prom-client';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+
+// Metrics are kept in memory per process and served by GET /metrics. They
+// live in their own registry rather than prom-client's global one.
+const registry = new client.Registry();
+
+// Seconds; queue waits run from seconds to many minutes, API calls are faster
+const QUEUE_WAIT_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+const REQUEST_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const CLEANUP_DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Content-Type of renderMetrics' output
+export const metricsContentType = registry.contentType;
+
+/**
+ * All metrics in the Prometheus text exposition format.
+ * @returns {Promise<string>}
+ */
+export function renderMetrics() {
+  return registry.metrics();
+}
+
+// Clears every recorded value, for tests
+export function resetMetrics() {
+  registry.resetMetrics();
+}
+
+export const warpsStartedTotal = new client.Counter({
+  name: 'gendj_warps_started_total',
+  help: 'Warps whose compute job was started.',
+  registers: [registry],
+  labelNames: ['tier'],
+});
+
+export const warpStartFailuresTotal = new client.Counter({
+  name: 'gendj_warp_start_failures_total',
+  help: 'Warps whose compute job could not be started.',
+  registers: [registry],
+});
+
+export const warpsEndedTotal = new client.Counter({
+  name: 'gendj_warps_ended_total',
+  help: 'Warps that reached a terminal job status. FAILED and TIMED_OUT are failures.',
+  registers: [registry],
+  labelNames: ['status'],
+});
+
+export const warpQueueWaitSeconds = new client.Histogram({
+  name: 'gendj_warp_queue_wait_seconds',
+  help: 'Time from requesting a warp job (jobRequestedAt) to it running (jobStartedAt).',
+  registers: [registry],
+  buckets: QUEUE_WAIT_BUCKETS,
+});
+
+export const runpodRequestDurationSeconds = new client.Histogram({
+  name: 'gendj_runpod_request_duration_seconds',
+  help: 'RunPod serverless API call latency.',
+  registers: [registry],
+  labelNames: ['operation'],
+  buckets: REQUEST_DURATION_BUCKETS,
+});
+
+export const runpodRequestErrorsTotal = new client.Counter({
+  name: 'gendj_runpod_request_errors_total',
+  help: 'RunPod serverless API calls that failed, by HTTP status or "network".',
+  registers: [registry],
+  labelNames: ['operation', 'status'],
+});
+
+export const cleanupDurationSeconds = new client.Histogram({
+  name: 'gendj_cleanup_duration_seconds',
+  help: 'Duration of cleanupInactiveWarps runs.',
+  registers: [registry],
+  buckets: CLEANUP_DURATION_BUCKETS,
+});
+
+export const cleanupCancellationsTotal = new client.Counter({
+  name: 'gendj_cleanup_cancellations_total',
+  help: 'Warps cancelled by cleanupInactiveWarps, by reason.',
+  registers: [registry],
+  labelNames: ['reason'],
+});
+
+export const cleanupLastSuccessTimestampSeconds = new client.Gauge({
+  name: 'gendj_cleanup_last_success_timestamp_seconds',
+  help: 'Unix time the last cleanupInactiveWarps run finished without error.',
+  registers: [registry],
+});
+
+export const stripeCreditsTotal = new client.Counter({
+  name: 'gendj_stripe_credits_total',
+  help: 'Time credits applied from Stripe events, by type.',
+  registers: [registry],
+  labelNames: ['type'],
+});
+
+export const stripeCreditedSecondsTotal = new client.Counter({
+  name: 'gendj_stripe_credited_seconds_total',
+  help: 'Seconds of time credited from Stripe events, by type.',
+  registers: [registry],
+  labelNames: ['type'],
+});
+
+export const outstandingTimeBalanceSeconds = new client.Gauge({
+  name: 'gendj_outstanding_time_balance_seconds',
+  help: 'Unused time across all users, in seconds.',
+  registers: [registry],
+  // Computed on every scrape
+  async collect() {
+    const { _sum } = await appPrismaClient.user.aggregate({
+      where: { deletedAt: null, timeBalance: { gt: 0 } },
+      _sum: { timeBalance: true },
+    });
+    this.set(_sum.timeBalance || 0);
+  },
+});
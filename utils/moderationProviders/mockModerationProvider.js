@@ -0,0 +1,18 @@
+// Stand-in for a moderation API in local development and tests: flags any
+// text containing MOCK_FLAGGED_TERM.
+export const MOCK_FLAGGED_TERM = 'mock-flagged';
+
+/** @type {import('#root/utils/moderationUtils.js').ModerationProvider} */
+const mockModerationProvider = {
+  name: 'mock',
+
+  async moderate(texts) {
+    return texts.map(text =>
+      text.toLowerCase().includes(MOCK_FLAGGED_TERM)
+        ? { flagged: true, categories: ['mock'] }
+        : { flagged: false, categories: [] },
+    );
+  },
+};
+
+export default mockModerationProvider;
@@ -0,0 +1,21 @@
+import { getOpenAIClient } from '#root/utils/openaiUtils.js';
+
+/** @type {import('#root/utils/moderationUtils.js').ModerationProvider} */
+const openaiModerationProvider = {
+  name: 'openai',
+
+  async moderate(texts) {
+    const { results } = await getOpenAIClient().moderations.create({
+      input: texts,
+    });
+
+    return results.map(result => ({
+      flagged: result.flagged,
+      categories: Object.entries(result.categories)
+        .filter(([, isFlagged]) => isFlagged)
+        .map(([category]) => category),
+    }));
+  },
+};
+
+export default openaiModerationProvider;
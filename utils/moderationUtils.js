@@ -0,0 +1,120 @@
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'Moderation' });
+
+/**
+ * @typedef {Object} ModerationResult
+ * @property {boolean} flagged
+ * @property {string[]} categories Why the text was flagged, empty if it wasn't
+ */
+
+/**
+ * @typedef {Object} ModerationProvider
+ * @property {string} name
+ * @property {function(string[]): Promise<ModerationResult[]>} moderate One result per text, in order
+ */
+
+// Loaded on first use so that e.g. the mock provider runs without an OpenAI key
+const moderationProviderLoaders = {
+  openai: () =>
+    import('#root/utils/moderationProviders/openaiModerationProvider.js'),
+  mock: () =>
+    import('#root/utils/moderationProviders/mockModerationProvider.js'),
+};
+
+// Texts are always checked against the blocklist, then the moderation API if
+// one is chosen. `none`, the default, uses the blocklist only.
+const MODERATION_PROVIDER = process.env.MODERATION_PROVIDER || 'none';
+
+if (
+  MODERATION_PROVIDER !== 'none' &&
+  !moderationProviderLoaders[MODERATION_PROVIDER]
+) {
+  throw new Error(
+    `Unknown MODERATION_PROVIDER "${MODERATION_PROVIDER}", expected none or one of ${Object.keys(moderationProviderLoaders).join(', ')}`,
+  );
+}
+
+// Comma separated words and phrases, matched as whole words in any case
+const BLOCKLIST_TERMS = (process.env.MODERATION_BLOCKLIST || '')
+  .split(',')
+  .map(term => term.trim())
+  .filter(Boolean);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const blocklistPattern = BLOCKLIST_TERMS.length
+  ? new RegExp(`\\b(${BLOCKLIST_TERMS.map(escapeRegExp).join('|')})\\b`, 'i')
+  : null;
+
+// What to do with prompts that are flagged: hold them for review by an admin,
+// or reject them outright
+const PROMPT_MODERATION_ACTION =
+  process.env.PROMPT_MODERATION_ACTION === 'reject' ? 'reject' : 'hold';
+
+/**
+ * Checks texts against the blocklist (MODERATION_BLOCKLIST), then with the
+ * moderation provider (MODERATION_PROVIDER) if one is configured. When the
+ * provider fails, the blocklist results are used so that saving prompts
+ * doesn't depend on the moderation API being up.
+ * @param {string[]} texts
+ * @returns {Promise<ModerationResult[]>} One result per text, in order
+ */
+export async function moderateTexts(texts) {
+  const results = texts.map(text =>
+    blocklistPattern?.test(text)
+      ? { flagged: true, categories: ['blocklist'] }
+      : { flagged: false, categories: [] },
+  );
+
+  const uncheckedIndexes = results
+    .map((result, i) => (result.flagged ? null : i))
+    .filter(i => i !== null);
+
+  if (MODERATION_PROVIDER === 'none' || uncheckedIndexes.length === 0) {
+    return results;
+  }
+
+  let providerResults;
+  try {
+    const { default: provider } =
+      await moderationProviderLoaders[MODERATION_PROVIDER]();
+    providerResults = await provider.moderate(
+      uncheckedIndexes.map(i => texts[i]),
+    );
+  } catch (error) {
+    logger.error('Moderation provider failed, using the blocklist only', {
+      provider: MODERATION_PROVIDER,
+      error,
+    });
+    return results;
+  }
+
+  uncheckedIndexes.forEach((textIndex, i) => {
+    results[textIndex] = providerResults[i];
+  });
+
+  return results;
+}
+
+/**
+ * Moderates the text of a prompt that is being saved or published.
+ * @param {{title: string, prompt: string, postText?: ?string}} prompt
+ * @returns {Promise<{flagged: false}|{flagged: true, action: 'hold'|'reject', reason: string}>}
+ *   For flagged prompts, whether to hold or reject them (PROMPT_MODERATION_ACTION) and why
+ */
+export async function moderatePrompt({ title, prompt, postText }) {
+  const [result] = await moderateTexts([
+    [title, prompt, postText].filter(Boolean).join('\n'),
+  ]);
+
+  if (!result.flagged) {
+    return { flagged: false };
+  }
+
+  return {
+    flagged: true,
+    action: PROMPT_MODERATION_ACTION,
+    reason: `Flagged for ${result.categories.join(', ')}`,
+  };
+}
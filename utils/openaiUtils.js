@@ -0,0 +1,16 @@
+import OpenAI from 'openai';
+import { getSecret } from '#root/utils/secretUtils.js';
+
+let openaiClient = null;
+
+/**
+ * Shared OpenAI client, created on first use so that OPENAI_API_KEY is only
+ * required when an OpenAI backend is actually used.
+ * @returns {OpenAI}
+ */
+export function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: getSecret('OPENAI_API_KEY') });
+  }
+  return openaiClient;
+}
@@ -0,0 +1,119 @@
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import {
+  PROMPT_MODERATION_STATUS,
+  PROMPT_VISIBILITY,
+} from '#root/utils/constants.js';
+
+// Prompts a user's playlists can play: their own and public ones that have
+// passed moderation. Checked again on every read, as prompts can be deleted,
+// held or made private after they were added.
+const getUsablePromptWhere = userId => ({
+  moderationStatus: PROMPT_MODERATION_STATUS.APPROVED,
+  deletedAt: null,
+  OR: [{ createdById: userId }, { visibility: PROMPT_VISIBILITY.PUBLIC }],
+});
+
+/**
+ * Include for a playlist's entries, in set order with the prompt they play.
+ * Entries whose prompt the owner can no longer use are left out.
+ * @param {string} ownerId The playlist's creator
+ * @returns {object}
+ */
+export const getPlaylistInclude = ownerId => ({
+  entries: {
+    where: { savedPrompt: getUsablePromptWhere(ownerId) },
+    orderBy: { position: 'asc' },
+    include: {
+      savedPrompt: {
+        select: { id: true, title: true, prompt: true, postText: true },
+      },
+    },
+  },
+});
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Checks playlist entries sent by a user and turns them into PlaylistEntry
+ * data. Entries can use the user's own prompts and public ones that have
+ * passed moderation.
+ * @param {Object} options
+ * @param {Array<{promptId: string, durationSeconds?: number, cueBeats?: number}>} options.entries
+ * @param {string} options.userId
+ * @returns {Promise<{entries: object[]}|{error: string}>}
+ */
+export async function parsePlaylistEntries({ entries, userId }) {
+  if (!Array.isArray(entries)) {
+    return { error: 'entries must be an array' };
+  }
+
+  for (const entry of entries) {
+    if (!entry?.promptId) {
+      return { error: 'Each entry needs a promptId' };
+    }
+
+    const { durationSeconds, cueBeats } = entry;
+    if (durationSeconds != null && !isPositiveInteger(durationSeconds)) {
+      return { error: 'durationSeconds must be a positive integer' };
+    }
+    if (cueBeats != null && !isPositiveInteger(cueBeats)) {
+      return { error: 'cueBeats must be a positive integer' };
+    }
+    if (durationSeconds != null && cueBeats != null) {
+      return { error: 'An entry has either durationSeconds or cueBeats' };
+    }
+  }
+
+  const promptIds = [...new Set(entries.map(entry => entry.promptId))];
+  const usablePromptCount = await appPrismaClient.prompt.count({
+    where: {
+      id: { in: promptIds },
+      ...getUsablePromptWhere(userId),
+    },
+  });
+
+  if (usablePromptCount !== promptIds.length) {
+    return { error: 'Prompt not found' };
+  }
+
+  return {
+    entries: entries.map((entry, position) => ({
+      position,
+      savedPromptId: entry.promptId,
+      durationSeconds: entry.durationSeconds ?? null,
+      cueBeats: entry.cueBeats ?? null,
+    })),
+  };
+}
+
+/**
+ * The playlist as the worker steps through it, sent in the compute job input.
+ * Prompts deleted, held, rejected or made private since they were added are
+ * left out.
+ * @param {string} playlistId
+ * @param {string} userId The playlist's creator, who is starting the warp
+ * @returns {Promise<object|null>} null if the playlist was deleted
+ */
+export async function getPlaylistJobInput(playlistId, userId) {
+  const playlist = await appPrismaClient.playlist.findFirst({
+    where: { id: playlistId, createdById: userId, deletedAt: null },
+    include: getPlaylistInclude(userId),
+  });
+
+  if (!playlist) {
+    return null;
+  }
+
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    bpm: playlist.bpm,
+    entries: playlist.entries.map(entry => ({
+      title: entry.savedPrompt.title,
+      prompt: entry.savedPrompt.prompt,
+      postText: entry.savedPrompt.postText,
+      durationSeconds: entry.durationSeconds,
+      cueBeats: entry.cueBeats,
+    })),
+  };
+}
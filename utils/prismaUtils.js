@@ -1,5 +1,10 @@
-import { PrismaClient } from "@prisma/client";
+import { PrismaClient, Prisma } from "@prisma/client";
 
 const appPrismaClient = new PrismaClient();
 
-export { appPrismaClient };
+// true when a write failed because it would violate a @unique constraint
+const isUniqueConstraintError = error =>
+  error instanceof Prisma.PrismaClientKnownRequestError &&
+  error.code === "P2002";
+
+export { appPrismaClient, isUniqueConstraintError };
@@ -0,0 +1,140 @@
+import { moderateTexts } from '#root/utils/moderationUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'PromptGeneration' });
+
+/**
+ * @typedef {Object} GeneratedPrompt
+ * @property {string} title
+ * @property {string} prompt
+ * @property {string} postText
+ */
+
+/**
+ * @typedef {Object} PromptGenerator
+ * @property {string} name
+ * @property {function({theme: string, count: number}): Promise<GeneratedPrompt[]>} generatePrompts
+ *   Up to `count` prompts for the theme
+ */
+
+// Loaded on first use so that e.g. the mock generator runs without an OpenAI key
+const promptGeneratorLoaders = {
+  openai: () => import('#root/utils/promptGenerators/openaiPromptGenerator.js'),
+  mock: () => import('#root/utils/promptGenerators/mockPromptGenerator.js'),
+};
+
+const PROMPT_GENERATOR = process.env.PROMPT_GENERATOR || 'openai';
+
+if (!promptGeneratorLoaders[PROMPT_GENERATOR]) {
+  throw new Error(
+    `Unknown PROMPT_GENERATOR "${PROMPT_GENERATOR}", expected one of ${Object.keys(promptGeneratorLoaders).join(', ')}`,
+  );
+}
+
+// Generations per user per window. Counted in memory, which is enough for the
+// single API process; a restart resets the counts.
+const PROMPT_GENERATION_RATE_LIMIT =
+  parseInt(process.env.PROMPT_GENERATION_RATE_LIMIT, 10) || 20;
+const PROMPT_GENERATION_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+const generationTimesByUser = new Map();
+let lastSweepAt = 0;
+
+// Forgets users with no generations left in the window, at most once per
+// window, so users who don't come back don't stay in memory
+function sweepGenerationTimes(now) {
+  if (now - lastSweepAt < PROMPT_GENERATION_RATE_WINDOW_MS) {
+    return;
+  }
+
+  lastSweepAt = now;
+  const windowStart = now - PROMPT_GENERATION_RATE_WINDOW_MS;
+  for (const [userId, times] of generationTimesByUser) {
+    if (times[times.length - 1] <= windowStart) {
+      generationTimesByUser.delete(userId);
+    }
+  }
+}
+
+/**
+ * Counts a generation against the user's rate limit.
+ * @param {string} userId
+ * @returns {{allowed: boolean, retryAfterSeconds: number}}
+ *   retryAfterSeconds is when the next generation is allowed if this one isn't
+ */
+export function takePromptGenerationRateLimit(userId) {
+  const now = Date.now();
+  sweepGenerationTimes(now);
+  const windowStart = now - PROMPT_GENERATION_RATE_WINDOW_MS;
+  const recentTimes = (generationTimesByUser.get(userId) || []).filter(
+    time => time > windowStart,
+  );
+
+  if (recentTimes.length >= PROMPT_GENERATION_RATE_LIMIT) {
+    generationTimesByUser.set(userId, recentTimes);
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((recentTimes[0] - windowStart) / 1000),
+    };
+  }
+
+  recentTimes.push(now);
+  generationTimesByUser.set(userId, recentTimes);
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+/**
+ * Forgets all rate limit counts. Meant for tests.
+ */
+export function resetPromptGenerationRateLimits() {
+  generationTimesByUser.clear();
+  lastSweepAt = 0;
+}
+
+/**
+ * Number of users with generations counted against their rate limit.
+ * @returns {number}
+ */
+export function getPromptGenerationRateLimitUserCount() {
+  return generationTimesByUser.size;
+}
+
+/**
+ * Expands a short theme into prompts with the configured generator
+ * (PROMPT_GENERATOR). The theme and every generated prompt are moderated;
+ * generated prompts that are flagged are left out.
+ * @param {Object} options
+ * @param {string} options.theme e.g. "neon cyberpunk, 128bpm"
+ * @param {number} options.count How many prompts to ask for
+ * @returns {Promise<{prompts: GeneratedPrompt[]}|{flaggedCategories: string[]}>}
+ *   The prompts, or why the theme was flagged
+ */
+export async function generatePrompts({ theme, count }) {
+  const [themeModeration] = await moderateTexts([theme]);
+  if (themeModeration.flagged) {
+    return { flaggedCategories: themeModeration.categories };
+  }
+
+  const { default: generator } =
+    await promptGeneratorLoaders[PROMPT_GENERATOR]();
+  const generated = (await generator.generatePrompts({ theme, count })).slice(
+    0,
+    count,
+  );
+
+  const moderations = await moderateTexts(
+    generated.map(({ title, prompt, postText }) =>
+      [title, prompt, postText].join('\n'),
+    ),
+  );
+  const prompts = generated.filter((_, i) => !moderations[i].flagged);
+
+  if (prompts.length < generated.length) {
+    logger.info('Dropped flagged generated prompts', {
+      droppedCount: generated.length - prompts.length,
+      generator: generator.name,
+    });
+  }
+
+  return { prompts };
+}
@@ -0,0 +1,25 @@
+// Stand-in for a language model in local development and tests. Builds
+// predictable variations of the theme.
+const STYLES = [
+  'wide shot, volumetric light',
+  'close-up, shallow depth of field',
+  'aerial view, long exposure',
+  'macro, film grain',
+  'fisheye, strobe lighting',
+  'silhouette, backlit haze',
+];
+
+/** @type {import('#root/utils/promptGenerationUtils.js').PromptGenerator} */
+const mockPromptGenerator = {
+  name: 'mock',
+
+  async generatePrompts({ theme, count }) {
+    return STYLES.slice(0, count).map((style, i) => ({
+      title: `${theme} ${i + 1}`,
+      prompt: `${theme}, ${style}`,
+      postText: 'highly detailed, vivid colors',
+    }));
+  },
+};
+
+export default mockPromptGenerator;
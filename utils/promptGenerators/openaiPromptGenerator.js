@@ -0,0 +1,51 @@
+import { getOpenAIClient } from '#root/utils/openaiUtils.js';
+
+const PROMPT_GENERATOR_MODEL =
+  process.env.PROMPT_GENERATOR_MODEL || 'gpt-4o-mini';
+
+const getSystemMessage = count =>
+  [
+    'You write prompts for a real-time image-to-image model that restyles a DJ webcam feed.',
+    `Given a short theme, reply with JSON {"prompts": [...]} holding ${count} distinct prompts.`,
+    'Each prompt is an object with "title" (a few words), "prompt" (one vivid visual description',
+    'of the scene, under 60 words) and "postText" (comma separated style and quality keywords',
+    'appended to the prompt). Describe visuals only, no people by name and nothing explicit.',
+  ].join(' ');
+
+const isGeneratedPrompt = value =>
+  typeof value?.title === 'string' &&
+  typeof value?.prompt === 'string' &&
+  typeof value?.postText === 'string';
+
+/** @type {import('#root/utils/promptGenerationUtils.js').PromptGenerator} */
+const openaiPromptGenerator = {
+  name: 'openai',
+
+  async generatePrompts({ theme, count }) {
+    const completion = await getOpenAIClient().chat.completions.create({
+      model: PROMPT_GENERATOR_MODEL,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: getSystemMessage(count) },
+        { role: 'user', content: theme },
+      ],
+    });
+
+    const { prompts } = JSON.parse(completion.choices[0].message.content);
+
+    if (!Array.isArray(prompts)) {
+      throw new Error('Prompt generator returned no prompts');
+    }
+
+    // Anything not in the requested shape is skipped rather than failing the batch
+    return prompts
+      .filter(isGeneratedPrompt)
+      .map(({ title, prompt, postText }) => ({
+        title: title.trim(),
+        prompt: prompt.trim(),
+        postText: postText.trim(),
+      }));
+  },
+};
+
+export default openaiPromptGenerator;
@@ -0,0 +1,45 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+// Holds the ID of the request being handled for everything it calls, so
+// helpers deep in utils can tag what they record without it being passed down
+const requestContext = new AsyncLocalStorage();
+
+// IDs from upstream proxies are kept when they look like IDs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware giving each request an ID, taken from the X-Request-Id
+ * header when there is one. The ID is set on `req.requestId` and returned in
+ * the X-Request-Id response header.
+ */
+export function requestContextMiddleware(req, res, next) {
+  const incomingRequestId = req.get('X-Request-Id');
+  const requestId =
+    incomingRequestId && REQUEST_ID_PATTERN.test(incomingRequestId)
+      ? incomingRequestId
+      : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  requestContext.run({ requestId }, next);
+}
+
+/**
+ * Runs work started outside of a request, such as a cron job, under an ID of
+ * its own so its logs and audit events can be told apart from other runs.
+ * @template T
+ * @param {function(): T} callback
+ * @param {string} [requestId] A new ID by default
+ * @returns {T}
+ */
+export function runWithRequestId(callback, requestId = crypto.randomUUID()) {
+  return requestContext.run({ requestId }, callback);
+}
+
+/**
+ * @returns {?string} ID of the request being handled, null outside of one
+ */
+export function getRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { getSecret } from '#root/utils/secretUtils.js';
+
+const WEBHOOK_URL_BASE = getSecret('WEBHOOK_URL_BASE');
+const READY_WEBHOOK_SECRET_KEY = getSecret('READY_WEBHOOK_SECRET_KEY');
+
+// RunPod can't send custom headers with job webhooks, so each callback URL
+// carries a random token plus an HMAC of it. The token is stored on the warp
+// to tie the callback to exactly one job.
+const signCallbackToken = callbackToken =>
+  crypto
+    .createHmac('sha256', READY_WEBHOOK_SECRET_KEY)
+    .update(callbackToken)
+    .digest('hex');
+
+/**
+ * Creates a signed, single-warp callback URL to register with a RunPod job.
+ * @returns {{callbackToken: string, url: string}}
+ */
+export function createRunpodJobCallback() {
+  const callbackToken = crypto.randomBytes(24).toString('hex');
+  const signature = signCallbackToken(callbackToken);
+
+  return {
+    callbackToken,
+    url: `${WEBHOOK_URL_BASE}/v1/webhooks/runpod/${callbackToken}?signature=${signature}`,
+  };
+}
+
+/**
+ * @param {string} callbackToken
+ * @param {string} signature
+ * @returns {boolean} Whether the signature was produced by createRunpodJobCallback
+ */
+export function isValidRunpodCallbackSignature(callbackToken, signature) {
+  if (!callbackToken || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signCallbackToken(callbackToken), 'hex');
+  const received = Buffer.from(signature, 'hex');
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
@@ -0,0 +1,26 @@
+import { USER_TIER } from '#root/utils/constants.js';
+
+// Stripe subscription statuses that keep a user on the subscriber tier
+const SUBSCRIBER_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+/**
+ * The tier a user's warps are limited by.
+ * @param {{subscriptionPlanId: ?string, subscriptionStatus: ?string}} user
+ * @returns {string} One of USER_TIER
+ */
+export function getUserTier(user) {
+  if (
+    user.subscriptionPlanId &&
+    SUBSCRIBER_SUBSCRIPTION_STATUSES.includes(user.subscriptionStatus)
+  ) {
+    return USER_TIER.SUBSCRIBER;
+  }
+
+  return USER_TIER.FREE;
+}
+
+// Fields of a user needed by getUserTier
+export const USER_TIER_SELECT = {
+  subscriptionPlanId: true,
+  subscriptionStatus: true,
+};
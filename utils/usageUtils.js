@@ -0,0 +1,216 @@
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import {
+  TIME_LEDGER_ENTRY_TYPE,
+  WARP_CONTROL_MESSAGE_TYPE,
+} from '#root/utils/constants.js';
+
+// Job statuses of warps that ended without the user ending them
+const FAILED_JOB_STATUSES = ['FAILED', 'TIMED_OUT'];
+
+const USAGE_BUCKETS = ['day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_USAGE_RANGE_DAYS = 366;
+const TOP_PROMPTS_LIMIT = 10;
+
+/**
+ * Start of the UTC day, ISO week (from Monday) or month that `date` falls in.
+ * @param {Date} date
+ * @param {string} bucket One of USAGE_BUCKETS
+ * @returns {Date}
+ */
+function getBucketStart(date, bucket) {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (bucket === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function getNextBucketStart(start, bucket) {
+  const next = new Date(start);
+  if (bucket === 'day') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (bucket === 'week') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next;
+}
+
+const createUsageTotals = () => ({
+  warpedSeconds: 0,
+  sessions: 0,
+  failedSessions: 0,
+  queueWaitSeconds: 0,
+  queueWaitCount: 0,
+});
+
+// Queue wait is summed while counting and averaged for the response
+const formatUsageTotals = ({
+  queueWaitSeconds,
+  queueWaitCount,
+  ...totals
+}) => ({
+  ...totals,
+  averageQueueWaitSeconds: queueWaitCount
+    ? Math.round(queueWaitSeconds / queueWaitCount)
+    : null,
+});
+
+/**
+ * Prompts a user warped with most: the starting prompt of each warp, and
+ * every prompt change after it. Saved prompts are counted by ID, others by text.
+ * @param {Array<{id: string, config: ?object}>} warps
+ * @returns {Promise<Array<{promptId: ?string, prompt: string, uses: number}>>}
+ */
+async function getTopPrompts(warps) {
+  const promptMessages = await appPrismaClient.warpControlMessage.findMany({
+    where: {
+      warpId: { in: warps.map(warp => warp.id) },
+      type: WARP_CONTROL_MESSAGE_TYPE.PROMPT,
+    },
+    orderBy: { createdAt: 'asc' },
+    select: { payload: true },
+  });
+
+  const usedPrompts = [
+    ...warps
+      .filter(warp => warp.config?.startingPrompt)
+      .map(warp => ({
+        promptId: warp.config.promptId ?? null,
+        prompt: warp.config.startingPrompt,
+      })),
+    ...promptMessages.map(({ payload }) => ({
+      promptId: payload.promptId ?? null,
+      prompt: payload.prompt,
+    })),
+  ];
+
+  const promptUses = new Map();
+  for (const { promptId, prompt } of usedPrompts) {
+    const key = promptId ? `id:${promptId}` : `text:${prompt}`;
+    const uses = promptUses.get(key)?.uses ?? 0;
+    // Saved prompts show their latest text
+    promptUses.set(key, { promptId, prompt, uses: uses + 1 });
+  }
+
+  return [...promptUses.values()]
+    .sort((a, b) => b.uses - a.uses)
+    .slice(0, TOP_PROMPTS_LIMIT);
+}
+
+/**
+ * A user's warp usage between two dates, in total and per day, week or month
+ * (UTC). Warped time is what the ledger billed, sessions and queue waits come
+ * from the warps requested in the range.
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {Date} options.from
+ * @param {Date} options.to Exclusive
+ * @param {string} options.bucket One of USAGE_BUCKETS
+ * @returns {Promise<{totals: object, buckets: object[], topPrompts: object[]}>}
+ */
+export async function getUserUsage({ userId, from, to, bucket }) {
+  const [warps, usageEntries] = await Promise.all([
+    appPrismaClient.warp.findMany({
+      where: {
+        createdById: userId,
+        deletedAt: null,
+        jobRequestedAt: { gte: from, lt: to },
+      },
+      select: {
+        id: true,
+        jobStatus: true,
+        jobRequestedAt: true,
+        jobStartedAt: true,
+        config: true,
+      },
+    }),
+    appPrismaClient.timeLedgerEntry.findMany({
+      where: {
+        userId,
+        type: TIME_LEDGER_ENTRY_TYPE.WARP_USAGE,
+        createdAt: { gte: from, lt: to },
+      },
+      select: { amount: true, createdAt: true },
+    }),
+  ]);
+
+  // Every bucket in the range is listed, including those without usage
+  const buckets = new Map();
+  for (
+    let start = getBucketStart(from, bucket);
+    start < to;
+    start = getNextBucketStart(start, bucket)
+  ) {
+    buckets.set(start.getTime(), createUsageTotals());
+  }
+  const getBucket = date => buckets.get(getBucketStart(date, bucket).getTime());
+  const totals = createUsageTotals();
+
+  for (const entry of usageEntries) {
+    // Usage is billed as negative amounts
+    for (const usage of [totals, getBucket(entry.createdAt)]) {
+      usage.warpedSeconds -= entry.amount;
+    }
+  }
+
+  for (const warp of warps) {
+    for (const usage of [totals, getBucket(warp.jobRequestedAt)]) {
+      usage.sessions++;
+      if (FAILED_JOB_STATUSES.includes(warp.jobStatus)) {
+        usage.failedSessions++;
+      }
+      if (warp.jobStartedAt) {
+        usage.queueWaitSeconds +=
+          (warp.jobStartedAt - warp.jobRequestedAt) / 1000;
+        usage.queueWaitCount++;
+      }
+    }
+  }
+
+  return {
+    totals: formatUsageTotals(totals),
+    buckets: [...buckets].map(([start, usage]) => ({
+      start: new Date(start),
+      ...formatUsageTotals(usage),
+    })),
+    topPrompts: await getTopPrompts(warps),
+  };
+}
+
+/**
+ * Reads the from, to and bucket query parameters of a usage request. The
+ * range defaults to the last 30 days, by day.
+ * @param {{from?: string, to?: string, bucket?: string}} query
+ * @returns {{from: Date, to: Date, bucket: string}|{error: string}}
+ */
+export function parseUsageQuery({ from, to, bucket = 'day' }) {
+  if (!USAGE_BUCKETS.includes(bucket)) {
+    return { error: `bucket must be one of ${USAGE_BUCKETS.join(', ')}` };
+  }
+
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate - 30 * DAY_MS);
+
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    return { error: 'from and to must be dates' };
+  }
+  if (fromDate >= toDate) {
+    return { error: 'from must be before to' };
+  }
+  if (toDate - fromDate > MAX_USAGE_RANGE_DAYS * DAY_MS) {
+    return {
+      error: `The range can be at most ${MAX_USAGE_RANGE_DAYS} days`,
+    };
+  }
+
+  return { from: fromDate, to: toDate, bucket };
+}
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { moderatePrompt } from '#root/utils/moderationUtils.js';
+import {
+  PROMPT_MODERATION_STATUS,
+  PROMPT_VISIBILITY,
+  USER_TIER,
+} from '#root/utils/constants.js';
+
+// What each tier can ask the worker for. The first resolution and model
+// variant, and the highest fps, are used when none is given.
+export const WARP_CONFIG_OPTIONS = {
+  [USER_TIER.FREE]: {
+    resolutions: ['512x512'],
+    maxFps: 15,
+    modelVariants: ['turbo'],
+  },
+  [USER_TIER.SUBSCRIBER]: {
+    resolutions: ['512x512', '768x768', '1024x576'],
+    maxFps: 30,
+    modelVariants: ['turbo', 'quality'],
+  },
+};
+
+const MAX_PROMPT_LENGTH = 1000;
+const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * The prompt text to send to a warp's worker, given as text or as the ID of a
+ * saved prompt. Saved prompts are the user's own or public ones that passed
+ * moderation; text is moderated here and refused when flagged, as there is no
+ * prompt to hold for review.
+ * @param {Object} options
+ * @param {?string=} options.prompt
+ * @param {?string=} options.promptId
+ * @param {string} options.userId
+ * @returns {Promise<{prompt: string, promptId: ?string}|{error: string}|{status: number, error: string}>}
+ */
+export async function resolveWarpPrompt({ prompt, promptId, userId }) {
+  if ((prompt == null) === (promptId == null)) {
+    return { error: 'Send either prompt text or a promptId' };
+  }
+
+  if (promptId == null) {
+    if (
+      typeof prompt !== 'string' ||
+      !prompt.trim() ||
+      prompt.length > MAX_PROMPT_LENGTH
+    ) {
+      return {
+        error: `prompt must be text of up to ${MAX_PROMPT_LENGTH} characters`,
+      };
+    }
+
+    const moderation = await moderatePrompt({ prompt });
+    if (moderation.flagged) {
+      return {
+        error: `Prompt was flagged by moderation: ${moderation.reason}`,
+      };
+    }
+
+    return { prompt: prompt.trim(), promptId: null };
+  }
+
+  const savedPrompt = await appPrismaClient.prompt.findFirst({
+    where: {
+      id: String(promptId),
+      moderationStatus: PROMPT_MODERATION_STATUS.APPROVED,
+      deletedAt: null,
+      OR: [{ createdById: userId }, { visibility: PROMPT_VISIBILITY.PUBLIC }],
+    },
+    select: { id: true, prompt: true },
+  });
+
+  if (!savedPrompt) {
+    return { status: 404, error: 'Prompt not found' };
+  }
+
+  return { prompt: savedPrompt.prompt, promptId: savedPrompt.id };
+}
+
+const CONFIG_FIELDS = [
+  'startingPrompt',
+  'promptId',
+  'resolution',
+  'fps',
+  'modelVariant',
+  'seed',
+];
+
+/**
+ * Checks the config a user sent to start a warp with against the options of
+ * their tier, and fills in the defaults. The config is sent to the worker in
+ * the job input and kept on the warp, so the seed is picked here when none
+ * is given, a startingPrompt is moderated and a promptId is resolved to the
+ * prompt's text (see resolveWarpPrompt).
+ * @param {Object} options
+ * @param {object} [options.config] startingPrompt or promptId, resolution, fps, modelVariant and seed, all optional
+ * @param {string} options.tier
+ * @param {string} options.userId Prompts are the user's own or public ones
+ * @returns {Promise<{config: object}|{error: string}|{status: number, error: string}>}
+ *   The config to start the warp with, or why it can't be used (400 unless a status is given)
+ */
+export async function parseWarpConfig({ config = {}, tier, userId }) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    return { error: 'config must be an object' };
+  }
+
+  const unknownField = Object.keys(config).find(
+    field => !CONFIG_FIELDS.includes(field),
+  );
+  if (unknownField) {
+    return { error: `Unknown config field ${unknownField}` };
+  }
+
+  const options = WARP_CONFIG_OPTIONS[tier];
+  const {
+    startingPrompt,
+    promptId,
+    resolution = options.resolutions[0],
+    fps = options.maxFps,
+    modelVariant = options.modelVariants[0],
+    seed = crypto.randomInt(MAX_SEED),
+  } = config;
+
+  if (!options.resolutions.includes(resolution)) {
+    return {
+      error: `resolution must be one of ${options.resolutions.join(', ')} on the ${tier} tier`,
+    };
+  }
+  if (!Number.isInteger(fps) || fps < 1 || fps > options.maxFps) {
+    return {
+      error: `fps must be a whole number from 1 to ${options.maxFps} on the ${tier} tier`,
+    };
+  }
+  if (!options.modelVariants.includes(modelVariant)) {
+    return {
+      error: `modelVariant must be one of ${options.modelVariants.join(', ')} on the ${tier} tier`,
+    };
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    return { error: `seed must be a whole number from 0 to ${MAX_SEED}` };
+  }
+
+  const startingPromptResult =
+    startingPrompt != null || promptId != null
+      ? await resolveWarpPrompt({ prompt: startingPrompt, promptId, userId })
+      : { prompt: null, promptId: null };
+  if (startingPromptResult.error) {
+    return startingPromptResult;
+  }
+
+  return {
+    config: {
+      startingPrompt: startingPromptResult.prompt,
+      promptId: startingPromptResult.promptId,
+      resolution,
+      fps,
+      modelVariant,
+      seed,
+    },
+  };
+}
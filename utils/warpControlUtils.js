@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { getSecret } from '#root/utils/secretUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const WEBHOOK_URL_BASE = getSecret('WEBHOOK_URL_BASE');
+
+const logger = createLogger({ component: 'WarpControl' });
+
+// Compute providers have no common way to push into a running job, so the
+// worker pulls its control messages from the API instead. Every warp gets a
+// control URL in its job input, which works the same on any provider. The URL
+// is only given to the worker, and its random token is the credential.
+
+/**
+ * Creates the control channel to pass to a new warp's worker.
+ * @returns {{controlToken: string, url: string}} Store the token on the warp
+ *   and send the URL in the job input
+ */
+export function createWarpControlChannel() {
+  const controlToken = crypto.randomBytes(24).toString('hex');
+
+  return {
+    controlToken,
+    url: `${WEBHOOK_URL_BASE}/v1/webhooks/warps/control/${controlToken}`,
+  };
+}
+
+/**
+ * Queues a message for a warp's worker, which picks it up on its next fetch.
+ * @param {Object} options
+ * @param {string} options.warpId
+ * @param {string} options.type One of WARP_CONTROL_MESSAGE_TYPE
+ * @param {object} options.payload
+ * @returns {Promise<object>} The WarpControlMessage
+ */
+export async function sendWarpControlMessage({ warpId, type, payload }) {
+  const message = await appPrismaClient.warpControlMessage.create({
+    data: { warp: { connect: { id: warpId } }, type, payload },
+  });
+
+  logger.info('Queued control message', {
+    type,
+    messageId: message.id,
+    warpId,
+  });
+  return message;
+}
+
+/**
+ * Hands the worker the messages it has not fetched yet, oldest first, and
+ * marks them delivered. A message is claimed by one fetch only, even when the
+ * worker retries a fetch while the first is still running.
+ * @param {string} controlToken
+ * @returns {Promise<{warp: {id: string, jobStatus: ?string}, messages: object[]}|null>}
+ *   null if no warp has this token
+ */
+export async function takeWarpControlMessages(controlToken) {
+  const warp = await appPrismaClient.warp.findUnique({
+    where: { controlToken },
+    select: { id: true, jobStatus: true },
+  });
+
+  if (!warp) {
+    return null;
+  }
+
+  const messages = await appPrismaClient.warpControlMessage.findMany({
+    where: { warpId: warp.id, deliveredAt: null },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  if (messages.length === 0) {
+    return { warp, messages };
+  }
+
+  // Each message is claimed on its own so that the ones a concurrent fetch
+  // delivered first are left out
+  const deliveredAt = new Date();
+  const claimedMessages = await appPrismaClient.$transaction(async tx => {
+    const claimed = [];
+    for (const message of messages) {
+      const { count } = await tx.warpControlMessage.updateMany({
+        where: { id: message.id, deliveredAt: null },
+        data: { deliveredAt },
+      });
+      if (count === 1) {
+        claimed.push({ ...message, deliveredAt });
+      }
+    }
+    return claimed;
+  });
+
+  return { warp, messages: claimedMessages };
+}
@@ -0,0 +1,198 @@
+import {
+  calculateUserTimeBalanceAfterWarp,
+  syncWarpJobStatus,
+} from '#root/utils/warpUtils.js';
+import { TERMINAL_JOB_STATUSES } from '#root/utils/constants.js';
+import { createLogger } from '#root/utils/logUtils.js';
+
+const logger = createLogger({ component: 'WarpEvents' });
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.WARP_EVENTS_POLL_INTERVAL_MS, 10) || 5000;
+const LOW_BALANCE_WARNING_SECONDS =
+  parseInt(process.env.LOW_BALANCE_WARNING_SECONDS, 10) || 300;
+
+// One channel per warp being watched: the warp is polled once per interval no
+// matter how many clients are subscribed, and every event is fanned out to all
+// of them. Channels are created on first subscribe and torn down with the last.
+const warpEventChannels = new Map();
+
+/**
+ * Sends an event to every subscriber of a warp. Other parts of the app can use
+ * this to push changes they already know about without waiting for the next poll.
+ * @param {string} warpId
+ * @param {string} event SSE event name, e.g. 'status', 'worker', 'balance'
+ * @param {object} data JSON-serialisable payload
+ */
+export function publishWarpEvent(warpId, event, data) {
+  const channel = warpEventChannels.get(warpId);
+  if (!channel) {
+    return;
+  }
+
+  for (const subscriber of channel.subscribers) {
+    try {
+      subscriber.send(event, data);
+    } catch (error) {
+      logger.error('Failed to send event', { event, warpId, error });
+    }
+  }
+}
+
+/**
+ * Number of clients subscribed to a warp's events; 0 once nobody watches it
+ * and its polling has stopped.
+ * @param {string} warpId
+ * @returns {number}
+ */
+export function getWarpEventSubscriberCount(warpId) {
+  return warpEventChannels.get(warpId)?.subscribers.size ?? 0;
+}
+
+function closeWarpChannel(warpId) {
+  const channel = warpEventChannels.get(warpId);
+  if (!channel) {
+    return;
+  }
+
+  clearInterval(channel.timer);
+  warpEventChannels.delete(warpId);
+
+  for (const subscriber of channel.subscribers) {
+    subscriber.close();
+  }
+  logger.info('Closed channel', { warpId });
+}
+
+async function pollWarpChannel(channel) {
+  // Skip a tick rather than stacking polls if RunPod is slow to answer
+  if (channel.polling) {
+    return;
+  }
+  channel.polling = true;
+
+  try {
+    const warp = await syncWarpJobStatus(channel.warpId);
+    if (!warp) {
+      return;
+    }
+
+    const previous = channel.lastWarp;
+    channel.lastWarp = warp;
+
+    if (!previous || previous.jobStatus !== warp.jobStatus) {
+      publishWarpEvent(channel.warpId, 'status', {
+        warpId: warp.id,
+        jobStatus: warp.jobStatus,
+        previousJobStatus: previous?.jobStatus ?? null,
+        jobStartedAt: warp.jobStartedAt,
+        jobEndedAt: warp.jobEndedAt,
+      });
+    }
+
+    if (warp.workerId && warp.workerId !== previous?.workerId) {
+      publishWarpEvent(channel.warpId, 'worker', {
+        warpId: warp.id,
+        workerId: warp.workerId,
+      });
+    }
+
+    if (warp.jobStatus === 'IN_PROGRESS') {
+      const estimatedUserTimeBalance = await calculateUserTimeBalanceAfterWarp({
+        userId: warp.createdById,
+        warpId: warp.id,
+        warp,
+      });
+
+      publishWarpEvent(channel.warpId, 'balance', {
+        warpId: warp.id,
+        estimatedUserTimeBalance,
+      });
+
+      // Warn once per channel so clients aren't spammed every tick
+      if (
+        estimatedUserTimeBalance <= LOW_BALANCE_WARNING_SECONDS &&
+        !channel.lowBalanceWarned
+      ) {
+        channel.lowBalanceWarned = true;
+        publishWarpEvent(channel.warpId, 'low-balance', {
+          warpId: warp.id,
+          estimatedUserTimeBalance,
+          thresholdSeconds: LOW_BALANCE_WARNING_SECONDS,
+        });
+      }
+    }
+
+    if (TERMINAL_JOB_STATUSES.includes(warp.jobStatus)) {
+      publishWarpEvent(channel.warpId, 'end', {
+        warpId: warp.id,
+        jobStatus: warp.jobStatus,
+      });
+      closeWarpChannel(channel.warpId);
+    }
+  } catch (error) {
+    logger.error('Error polling warp', { warpId: channel.warpId, error });
+  } finally {
+    channel.polling = false;
+  }
+}
+
+/**
+ * Subscribes to status, worker and balance events for a warp. Starts polling
+ * the warp if this is its first subscriber.
+ * @param {Object} options
+ * @param {string} options.warpId
+ * @param {function(string, object): void} options.send Called with (event, data) for each event
+ * @param {function(): void} options.close Called when the stream ends because the warp did
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToWarpEvents({ warpId, send, close }) {
+  let channel = warpEventChannels.get(warpId);
+  const isNewChannel = !channel;
+
+  if (isNewChannel) {
+    channel = {
+      warpId,
+      subscribers: new Set(),
+      lastWarp: null,
+      lowBalanceWarned: false,
+      polling: false,
+      timer: null,
+    };
+    warpEventChannels.set(warpId, channel);
+    channel.timer = setInterval(
+      () => pollWarpChannel(channel),
+      POLL_INTERVAL_MS,
+    );
+    logger.info('Opened channel', { warpId });
+  } else if (channel.lastWarp) {
+    // Late subscribers start from the latest known state
+    send('status', {
+      warpId,
+      jobStatus: channel.lastWarp.jobStatus,
+      previousJobStatus: null,
+      jobStartedAt: channel.lastWarp.jobStartedAt,
+      jobEndedAt: channel.lastWarp.jobEndedAt,
+    });
+    if (channel.lastWarp.workerId) {
+      send('worker', { warpId, workerId: channel.lastWarp.workerId });
+    }
+  }
+
+  const subscriber = { send, close };
+  channel.subscribers.add(subscriber);
+
+  if (isNewChannel) {
+    pollWarpChannel(channel);
+  }
+
+  return () => {
+    channel.subscribers.delete(subscriber);
+    if (
+      channel.subscribers.size === 0 &&
+      warpEventChannels.get(warpId) === channel
+    ) {
+      closeWarpChannel(warpId);
+    }
+  };
+}
@@ -0,0 +1,342 @@
+import { Prisma } from '@prisma/client';
+import {
+  appPrismaClient,
+  isUniqueConstraintError,
+} from '#root/utils/prismaUtils.js';
+import { getComputeProvider } from '#root/utils/computeProviderUtils.js';
+import { createRunpodJobCallback } from '#root/utils/runpodWebhookUtils.js';
+import { createWarpControlChannel } from '#root/utils/warpControlUtils.js';
+import { getPlaylistJobInput } from '#root/utils/playlistUtils.js';
+import { createLogger } from '#root/utils/logUtils.js';
+import {
+  warpStartFailuresTotal,
+  warpsStartedTotal,
+} from '#root/utils/metricsUtils.js';
+import {
+  ACTIVE_JOB_STATUSES,
+  USER_TIER,
+  WARP_QUEUE_ENTRY_STATUS,
+} from '#root/utils/constants.js';
+
+const logger = createLogger({ component: 'WarpQueue' });
+
+// Limits are read on every pass so they can be changed without touching the queue.
+// An unset limit does not limit.
+const parseConcurrencyLimit = value => {
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) ? Infinity : limit;
+};
+
+function getWarpConcurrencyLimits() {
+  return {
+    global: parseConcurrencyLimit(process.env.WARP_CONCURRENCY_LIMIT),
+    [USER_TIER.FREE]: parseConcurrencyLimit(
+      process.env.WARP_CONCURRENCY_LIMIT_FREE,
+    ),
+    [USER_TIER.SUBSCRIBER]: parseConcurrencyLimit(
+      process.env.WARP_CONCURRENCY_LIMIT_SUBSCRIBER,
+    ),
+  };
+}
+
+// Waiting users keep their place by asking for their warp again (POST /v1/warps).
+// Entries nobody has asked about for this long expire instead of starting a
+// warp that no one is there to use.
+const getQueueEntryTtlMs = () =>
+  (parseInt(process.env.WARP_QUEUE_ENTRY_TTL_SECONDS, 10) || 120) * 1000;
+
+/**
+ * Starts a compute job and creates the warp for it.
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} options.tier
+ * @param {?string} options.playlistId Sent to the worker to step through
+ * @param {?object} options.config Worker settings from parseWarpConfig
+ * @returns {Promise<object>} The new warp
+ */
+async function startWarp({ userId, tier, playlistId, config }) {
+  const provider = await getComputeProvider();
+
+  // A playlist deleted while waiting in the queue is left out
+  const playlist = playlistId
+    ? await getPlaylistJobInput(playlistId, userId)
+    : null;
+
+  // Providers that support it call this back when the job finishes
+  const callback = provider.capabilities.webhooks
+    ? createRunpodJobCallback()
+    : null;
+  // Where the worker fetches live updates such as prompt changes
+  const control = createWarpControlChannel();
+  let jobDetails;
+  try {
+    jobDetails = await provider.startJob({
+      input: {
+        control: { url: control.url },
+        ...(config ? { config } : {}),
+        ...(playlist ? { playlist } : {}),
+      },
+      webhookUrl: callback?.url,
+    });
+  } catch (error) {
+    warpStartFailuresTotal.inc();
+    throw error;
+  }
+
+  if (!jobDetails || !jobDetails.id) {
+    warpStartFailuresTotal.inc();
+    throw new Error('Failed to start serverless job or job ID not returned.');
+  }
+
+  const warp = await appPrismaClient.warp.create({
+    data: {
+      createdBy: { connect: { id: userId } },
+      jobId: jobDetails.id,
+      jobStatus: jobDetails.status || 'IN_QUEUE', // Initial status from the provider
+      jobRequestedAt: new Date(),
+      callbackToken: callback?.callbackToken,
+      controlToken: control.controlToken,
+      computeProvider: provider.name,
+      tier,
+      config: config ?? undefined,
+      ...(playlist ? { playlist: { connect: { id: playlist.id } } } : {}),
+    },
+  });
+  warpsStartedTotal.inc({ tier });
+
+  return warp;
+}
+
+/**
+ * Number of active warps per tier, and in total under `global`.
+ * Warps started before tiers were recorded only count towards the global limit.
+ */
+async function countActiveWarps() {
+  const groups = await appPrismaClient.warp.groupBy({
+    by: ['tier'],
+    where: { deletedAt: null, jobStatus: { in: ACTIVE_JOB_STATUSES } },
+    _count: true,
+  });
+
+  const counts = { global: 0, [USER_TIER.FREE]: 0, [USER_TIER.SUBSCRIBER]: 0 };
+  for (const group of groups) {
+    counts.global += group._count;
+    if (group.tier) {
+      counts[group.tier] = (counts[group.tier] || 0) + group._count;
+    }
+  }
+  return counts;
+}
+
+// Data for an entry leaving the queue. waitingUserId is only set while an
+// entry is WAITING, which keeps each user to one waiting entry.
+const leaveQueueData = status => ({ status, waitingUserId: null });
+
+async function promoteWaitingEntries() {
+  const limits = getWarpConcurrencyLimits();
+
+  const { count: expiredCount } =
+    await appPrismaClient.warpQueueEntry.updateMany({
+      where: {
+        status: WARP_QUEUE_ENTRY_STATUS.WAITING,
+        lastSeenAt: { lt: new Date(Date.now() - getQueueEntryTtlMs()) },
+      },
+      data: leaveQueueData(WARP_QUEUE_ENTRY_STATUS.EXPIRED),
+    });
+  if (expiredCount > 0) {
+    logger.info('Expired abandoned queue entries', { expiredCount });
+  }
+
+  const waitingEntries = await appPrismaClient.warpQueueEntry.findMany({
+    where: { status: WARP_QUEUE_ENTRY_STATUS.WAITING },
+    orderBy: { createdAt: 'asc' },
+    include: { user: { select: { timeBalance: true } } },
+  });
+
+  if (waitingEntries.length === 0) {
+    return;
+  }
+
+  const activeCounts = await countActiveWarps();
+
+  for (const entry of waitingEntries) {
+    if (activeCounts.global >= limits.global) {
+      break;
+    }
+
+    // The tier may be full while others still have room
+    if (activeCounts[entry.tier] >= limits[entry.tier]) {
+      continue;
+    }
+
+    // Refunds and chargebacks can take the balance below zero while waiting
+    if (entry.user.timeBalance < 0) {
+      logger.info('Dropping entry: user balance is negative', {
+        entryId: entry.id,
+        userId: entry.userId,
+      });
+      await appPrismaClient.warpQueueEntry.update({
+        where: { id: entry.id },
+        data: leaveQueueData(WARP_QUEUE_ENTRY_STATUS.CANCELLED),
+      });
+      continue;
+    }
+
+    // One entry failing to start must not hold up the ones behind it
+    let warp;
+    try {
+      warp = await startWarp({
+        userId: entry.userId,
+        tier: entry.tier,
+        playlistId: entry.playlistId,
+        config: entry.config,
+      });
+    } catch (error) {
+      logger.error('Failed to start warp for entry', {
+        entryId: entry.id,
+        userId: entry.userId,
+        error,
+      });
+      await appPrismaClient.warpQueueEntry.update({
+        where: { id: entry.id },
+        data: leaveQueueData(WARP_QUEUE_ENTRY_STATUS.FAILED),
+      });
+      continue;
+    }
+
+    await appPrismaClient.warpQueueEntry.update({
+      where: { id: entry.id },
+      data: {
+        ...leaveQueueData(WARP_QUEUE_ENTRY_STATUS.PROMOTED),
+        warp: { connect: { id: warp.id } },
+      },
+    });
+    logger.info('Promoted entry', {
+      entryId: entry.id,
+      warpId: warp.id,
+      userId: entry.userId,
+      tier: entry.tier,
+    });
+
+    activeCounts.global++;
+    activeCounts[entry.tier]++;
+  }
+}
+
+// Passes run one at a time so that two of them can't fill the same free slot
+let promotionPass = Promise.resolve();
+
+/**
+ * Starts warps for waiting queue entries, oldest first, while the global and
+ * per-tier concurrency limits allow. Called when a warp is requested and when
+ * one ends. Entries whose compute job could not be started are marked FAILED
+ * and the pass carries on with the next one.
+ * @returns {Promise<void>}
+ */
+export function promoteQueuedWarps() {
+  const pass = promotionPass
+    .catch(() => {}) // the previous pass's caller handles its error
+    .then(promoteWaitingEntries);
+  promotionPass = pass;
+  return pass;
+}
+
+/**
+ * Position of a waiting entry in the queue, starting at 1.
+ * @param {{createdAt: Date}} queueEntry
+ * @returns {Promise<number>}
+ */
+export async function getWarpQueuePosition(queueEntry) {
+  const entriesAhead = await appPrismaClient.warpQueueEntry.count({
+    where: {
+      status: WARP_QUEUE_ENTRY_STATUS.WAITING,
+      createdAt: { lt: queueEntry.createdAt },
+    },
+  });
+  return entriesAhead + 1;
+}
+
+/**
+ * Requests a warp for a user without an active one. The request joins the
+ * queue, or refreshes the user's place in it, and a promotion pass runs, so
+ * the warp starts right away if there is a free slot and nobody ahead.
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} options.tier The user's current tier
+ * @param {?string=} options.playlistId Playlist to start the warp with
+ * @param {?object=} options.config Worker settings from parseWarpConfig
+ * @returns {Promise<{warp: object}|{queueEntry: object, position: number}>}
+ *   The started warp, or the entry still waiting and its position. Rejects if
+ *   the user's compute job could not be started.
+ */
+export async function requestWarp({
+  userId,
+  tier,
+  playlistId = null,
+  config = null,
+}) {
+  // Nullable Json fields are cleared with DbNull rather than null
+  const entryData = { tier, playlistId, config: config ?? Prisma.DbNull };
+
+  const refreshWaitingEntry = async () => {
+    const waitingEntry = await appPrismaClient.warpQueueEntry.findFirst({
+      where: { userId, status: WARP_QUEUE_ENTRY_STATUS.WAITING },
+    });
+    return (
+      waitingEntry &&
+      appPrismaClient.warpQueueEntry.update({
+        where: { id: waitingEntry.id },
+        data: { lastSeenAt: new Date(), ...entryData },
+      })
+    );
+  };
+
+  let queueEntry = await refreshWaitingEntry();
+  if (!queueEntry) {
+    try {
+      queueEntry = await appPrismaClient.warpQueueEntry.create({
+        data: { userId, waitingUserId: userId, ...entryData },
+      });
+    } catch (error) {
+      // A concurrent request of the user created the waiting entry first
+      // (waitingUserId is unique); join that one
+      if (!isUniqueConstraintError(error)) {
+        throw error;
+      }
+      queueEntry = await refreshWaitingEntry();
+      if (!queueEntry) {
+        throw error;
+      }
+    }
+  }
+
+  await promoteQueuedWarps();
+
+  const { warp, ...entry } = await appPrismaClient.warpQueueEntry.findUnique({
+    where: { id: queueEntry.id },
+    include: { warp: true },
+  });
+
+  if (entry.status === WARP_QUEUE_ENTRY_STATUS.PROMOTED) {
+    return { warp };
+  }
+
+  if (entry.status === WARP_QUEUE_ENTRY_STATUS.FAILED) {
+    throw new Error('The warp could not be started, please try again');
+  }
+
+  return { queueEntry: entry, position: await getWarpQueuePosition(entry) };
+}
+
+/**
+ * Takes a user out of the queue.
+ * @param {string} userId
+ * @returns {Promise<boolean>} Whether the user was waiting
+ */
+export async function leaveWarpQueue(userId) {
+  const { count } = await appPrismaClient.warpQueueEntry.updateMany({
+    where: { userId, status: WARP_QUEUE_ENTRY_STATUS.WAITING },
+    data: leaveQueueData(WARP_QUEUE_ENTRY_STATUS.CANCELLED),
+  });
+  return count > 0;
+}
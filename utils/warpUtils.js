@@ -1,16 +1,100 @@
-import {
-  cancelRunpodServerlessJob,
-  getRunpodServerlessJobStatus,
-} from '#root/utils/graphqlUtils.js';
+import { getWarpComputeProvider } from '#root/utils/computeProviderUtils.js';
 import { appPrismaClient } from '#root/utils/prismaUtils.js';
+import { recordTimeLedgerEntry } from '#root/utils/ledgerUtils.js';
+import {
+  recordAuditEvent,
+  recordBalanceAuditEvent,
+} from '#root/utils/auditUtils.js';
+import { promoteQueuedWarps } from '#root/utils/warpQueueUtils.js';
+import { logger } from '#root/utils/logUtils.js';
+import {
+  cleanupCancellationsTotal,
+  cleanupDurationSeconds,
+  cleanupLastSuccessTimestampSeconds,
+  warpQueueWaitSeconds,
+  warpsEndedTotal,
+} from '#root/utils/metricsUtils.js';
+import {
+  AUDIT_ACTION,
+  TERMINAL_JOB_STATUSES,
+  TIME_LEDGER_ENTRY_TYPE,
+} from '#root/utils/constants.js';
 
 // Function to check Warp entities - REMOVED as serverless handles this differently
 
+const billingLogger = logger.child({ component: 'Billing' });
+const cancelLogger = logger.child({ component: 'CancelWarp' });
+const syncLogger = logger.child({ component: 'SyncWarp' });
+const cleanupLogger = logger.child({ component: 'Cleanup' });
+const queueLogger = logger.child({ component: 'WarpQueue' });
+const warpLogger = logger.child({ component: 'Warp' });
+
+// Paused warps hold on to their worker, so pauses can't last forever
+const WARP_PAUSE_TIMEOUT_MINUTES =
+  parseInt(process.env.WARP_PAUSE_TIMEOUT_MINUTES, 10) || 15;
+
+// Set by cleanupInactiveWarps, read by GET /readyz
+let lastCleanupSucceededAt = null;
+
+// A warp that ended frees a slot for the next queued request. Failing to start
+// it must not fail ending this warp; the cron pass retries.
+async function promoteQueuedWarpsAfterWarpEnded(warpId) {
+  try {
+    await promoteQueuedWarps();
+  } catch (error) {
+    queueLogger.error('Error promoting queued warps after warp ended', {
+      warpId,
+      error,
+    });
+  }
+}
+
+/**
+ * Seconds a warp has been (or was) active and billable. Once a warp has been
+ * paused its WarpActiveIntervals are summed; before that it is one span from
+ * jobStartedAt. Open intervals run until jobEndedAt, or now if still running.
+ * @param {Object} options
+ * @param {*=} [options.tx=null]
+ * @param {{id: string, jobStartedAt: ?Date, jobEndedAt: ?Date}} options.warp
+ * @param {Date=} [options.now]
+ * @returns {Promise<number>}
+ */
+export async function getWarpActiveSeconds({
+  tx = null,
+  warp,
+  now = new Date(),
+}) {
+  const prisma = tx || appPrismaClient;
+
+  if (!warp.jobStartedAt) {
+    return 0;
+  }
+
+  let intervals = await prisma.warpActiveInterval.findMany({
+    where: { warpId: warp.id },
+    select: { startedAt: true, endedAt: true },
+  });
+
+  if (intervals.length === 0) {
+    intervals = [{ startedAt: warp.jobStartedAt, endedAt: null }];
+  }
+
+  const end = warp.jobEndedAt || now;
+
+  return intervals.reduce((total, { startedAt, endedAt }) => {
+    const intervalEnd = endedAt && endedAt < end ? endedAt : end;
+    // Ensure duration isn't negative (e.g., clock skew issues)
+    return (
+      total + Math.max(0, (intervalEnd.getTime() - startedAt.getTime()) / 1000)
+    );
+  }, 0);
+}
+
 /**
  * Calculates the estimated user time balance based on the warp's current state.
  * If the job hasn't started, returns the user's current balance.
- * If the job is running, deducts time from jobStartedAt to now.
- * If the job has ended, deducts the final duration.
+ * Otherwise deducts the time the warp has been active so far (see getWarpActiveSeconds),
+ * which leaves out any time spent paused.
  */
 export async function calculateUserTimeBalanceAfterWarp({
   tx = null,
@@ -55,19 +139,7 @@ export async function calculateUserTimeBalanceAfterWarp({
     return user.timeBalance;
   }
 
-  let warpDurationSeconds = 0;
-  const now = new Date();
-
-  if (warp.jobEndedAt) {
-    // Job has a definitive end time
-    warpDurationSeconds = (warp.jobEndedAt.getTime() - warp.jobStartedAt.getTime()) / 1000;
-  } else {
-    // Job is currently running (or status pending), calculate duration up to now
-    warpDurationSeconds = (now.getTime() - warp.jobStartedAt.getTime()) / 1000;
-  }
-
-  // Ensure duration isn't negative (e.g., clock skew issues)
-  warpDurationSeconds = Math.max(0, warpDurationSeconds);
+  const warpDurationSeconds = await getWarpActiveSeconds({ tx, warp });
 
   const estimatedTimeBalance = user.timeBalance - warpDurationSeconds;
 
@@ -75,8 +147,8 @@ export async function calculateUserTimeBalanceAfterWarp({
 }
 
 /**
- * Updates the user's time balance after a warp has definitively ended.
- * Requires the warp object passed in to have jobStartedAt and jobEndedAt set.
+ * Updates the user's time balance after a warp has definitively ended by
+ * appending a WARP_USAGE ledger entry. Requires the warp object passed in to have jobStartedAt and jobEndedAt set.
  */
 export async function updateUserTimeBalanceForEndedWarp({
   tx, // Prisma transaction client
@@ -84,49 +156,76 @@ export async function updateUserTimeBalanceForEndedWarp({
   warp, // Warp object with jobStartedAt and jobEndedAt
 }) {
   if (!warp || !warp.jobStartedAt || !warp.jobEndedAt) {
-    throw new Error('Warp object with jobStartedAt and jobEndedAt is required to finalize balance.');
+    throw new Error(
+      'Warp object with jobStartedAt and jobEndedAt is required to finalize balance.',
+    );
   }
 
   // Fetch the user's balance *before* this warp's cost is deducted
   const userBeforeUpdate = await tx.user.findUnique({
-      where: { id: userId },
-      select: { timeBalance: true },
+    where: { id: userId },
+    select: { timeBalance: true },
   });
 
   if (!userBeforeUpdate) {
-      throw new Error(`User with ID ${userId} not found during balance update.`);
+    throw new Error(`User with ID ${userId} not found during balance update.`);
   }
 
-  const warpDuration = warp.jobEndedAt.getTime() - warp.jobStartedAt.getTime();
-  const warpDurationSeconds = Math.max(0, warpDuration / 1000); // Ensure non-negative
+  // Time spent paused is not charged
+  const warpDurationSeconds = await getWarpActiveSeconds({ tx, warp });
 
-  const finalTimeBalance = userBeforeUpdate.timeBalance - warpDurationSeconds;
+  // Only whole seconds are charged, partial seconds are dropped
+  const usageAmount = -Math.floor(warpDurationSeconds);
 
-  console.log(`Updating time balance for user ${userId}: Before=${userBeforeUpdate.timeBalance}, Duration=${warpDurationSeconds.toFixed(2)}s, After=${finalTimeBalance.toFixed(2)}`);
+  billingLogger.info('Updating time balance for ended warp', {
+    userId,
+    warpId: warp.id,
+    balanceBefore: userBeforeUpdate.timeBalance,
+    durationSeconds: Number(warpDurationSeconds.toFixed(2)),
+    chargedSeconds: -usageAmount,
+  });
 
-  const updatedUser = await tx.user.update({
-    where: { id: userId },
-    // Use Math.ceil or Math.floor depending on billing preference (charge full second?)
-    data: { timeBalance: Math.ceil(finalTimeBalance) },
+  const { user: updatedUser } = await recordTimeLedgerEntry({
+    tx,
+    userId,
+    type: TIME_LEDGER_ENTRY_TYPE.WARP_USAGE,
+    amount: usageAmount,
+    warpId: warp.id,
   });
 
-  console.log(`User ${userId} balance updated to ${updatedUser.timeBalance}`);
+  await recordBalanceAuditEvent({
+    tx,
+    action: AUDIT_ACTION.WARP_BILLED,
+    user: updatedUser,
+    amount: usageAmount,
+    reason: `Warp ${warp.id} used ${-usageAmount}s`,
+  });
+
+  billingLogger.info('Time balance updated', {
+    userId,
+    warpId: warp.id,
+    timeBalance: updatedUser.timeBalance,
+  });
   return updatedUser;
 }
 
 /**
- * Initiates the cancellation of a RunPod serverless job, marks the warp as CANCELLED,
+ * Initiates the cancellation of a warp's compute job, marks the warp as CANCELLED,
  * and updates the user's time balance based on usage up to the cancellation request time.
  *
  * @param {Object} options
  * @param {string} options.userId
  * @param {string} options.warpId
  * @param {*=} [options.warp=null] Optional pre-fetched warp object
+ * @param {?string=} [options.actorId=null] Who ended the warp, for the audit log. null for the system
+ * @param {?string=} [options.reason=null] Why, for the audit log
  */
 export async function cancelWarpAndUpdateUserTimeBalance({
   userId,
   warpId,
   warp = null,
+  actorId = null,
+  reason = null,
 }) {
   if (!userId) {
     throw new Error('User ID is required');
@@ -141,6 +240,7 @@ export async function cancelWarpAndUpdateUserTimeBalance({
         jobId: true,
         jobStatus: true,
         jobStartedAt: true, // Needed for balance calculation
+        computeProvider: true,
       },
     });
   }
@@ -150,271 +250,582 @@ export async function cancelWarpAndUpdateUserTimeBalance({
   }
 
   if (!warp.jobId) {
-    console.warn(`Warp ${warpId} has no jobId, cannot cancel. Marking as FAILED.`);
-    // Handle cases where job creation might have failed before jobId was stored
-    const { warp: failedWarp, user } = await appPrismaClient.$transaction(async (tx) => {
-       const failedWarp = await tx.warp.update({
-         where: { id: warpId },
-         data: { jobStatus: 'FAILED', jobEndedAt: new Date() }, // Mark as failed now
-       });
-       // No time deduction if job never had an ID (implies it never ran)
-       const user = await tx.user.findUnique({ where: { id: userId }});
-       return { warp: failedWarp, user };
+    cancelLogger.warn('Warp has no jobId, cannot cancel. Marking as FAILED', {
+      warpId,
     });
+    // Handle cases where job creation might have failed before jobId was stored
+    const { warp: failedWarp, user } = await appPrismaClient.$transaction(
+      async tx => {
+        const failedWarp = await tx.warp.update({
+          where: { id: warpId },
+          data: { jobStatus: 'FAILED', jobEndedAt: new Date() }, // Mark as failed now
+        });
+        // No time deduction if job never had an ID (implies it never ran)
+        const user = await tx.user.findUnique({ where: { id: userId } });
+        return { warp: failedWarp, user };
+      },
+    );
+    warpsEndedTotal.inc({ status: 'FAILED' });
     return { warp: failedWarp, user };
   }
 
   // Check if warp is already in a terminal state
-  const terminalStates = ['COMPLETED', 'FAILED', 'CANCELLED', 'ENDED']; // Include ENDED for legacy compat if needed
-  if (terminalStates.includes(warp.jobStatus)) {
-       console.log(`[CancelWarp] Warp ${warpId} (Job ${warp.jobId}) is already in terminal state: ${warp.jobStatus}. Skipping cancellation.`);
-      // Fetch user for consistent return type
-      const user = await appPrismaClient.user.findUnique({ where: { id: userId }});
-      return { warp, user };
+  if (TERMINAL_JOB_STATUSES.includes(warp.jobStatus)) {
+    cancelLogger.info(
+      'Warp is already in a terminal state. Skipping cancellation',
+      { warpId, jobId: warp.jobId, jobStatus: warp.jobStatus },
+    );
+    // Fetch user for consistent return type
+    const user = await appPrismaClient.user.findUnique({
+      where: { id: userId },
+    });
+    return { warp, user };
   }
 
-  console.log(`[CancelWarp] Attempting to cancel warp ${warpId} (Job ${warp.jobId}) for user ${userId}.`);
+  cancelLogger.info('Attempting to cancel warp', {
+    warpId,
+    jobId: warp.jobId,
+    userId,
+    actorId,
+    reason,
+  });
 
   try {
-    // Request cancellation from RunPod API
-    console.log(`[CancelWarp] Sending cancellation request to RunPod API for Job ID: ${warp.jobId}...`);
-    await cancelRunpodServerlessJob(warp.jobId);
-    console.log(`[CancelWarp] Successfully sent cancellation request to RunPod for Job ID: ${warp.jobId}.`);
+    // Request cancellation from the provider that runs the job
+    const provider = await getWarpComputeProvider(warp);
+    cancelLogger.debug('Sending cancellation request', {
+      provider: provider.name,
+      jobId: warp.jobId,
+    });
+    await provider.cancelJob(warp.jobId);
+    cancelLogger.debug('Sent cancellation request', {
+      provider: provider.name,
+      jobId: warp.jobId,
+    });
   } catch (error) {
-    console.error(`[CancelWarp] Failed to send cancellation request via RunPod API for Job ${warp.jobId}:`, error);
+    cancelLogger.error('Failed to send cancellation request', {
+      warpId,
+      jobId: warp.jobId,
+      error,
+    });
     // Re-throw the error to prevent marking the job as CANCELLED in the DB
     // if the API call failed. Let the caller or the next cleanup run handle it.
-    throw new Error(`[CancelWarp] Failed to cancel Runpod job ${warp.jobId} via API: ${error.message}`);
+    throw new Error(
+      `[CancelWarp] Failed to cancel job ${warp.jobId} via API: ${error.message}`,
+    );
   }
 
-  console.log(`[CancelWarp] RunPod API cancellation request successful for job ${warp.jobId}. Proceeding with DB update transaction.`);
+  cancelLogger.debug('Cancellation request successful. Updating the warp', {
+    warpId,
+    jobId: warp.jobId,
+  });
   // Use a transaction to update warp status and user balance
-  const { warp: cancelledWarp, user: updatedUser } =
-    await appPrismaClient.$transaction(async (tx) => {
-       console.log(`[CancelWarp TX] Starting transaction for warp ${warpId}...`);
-      // Mark the warp as cancelled and record the end time *now*
-      // This is an approximation for billing purposes.
-      const cancellationTime = new Date();
-      // Re-fetch inside tx to get latest state before update
-      const warpToUpdate = await tx.warp.findUnique({ where: { id: warpId }, select: { jobStartedAt: true } });
-
-      // Ensure jobStartedAt exists before calculating duration
-      const jobStartedAt = warpToUpdate.jobStartedAt;
-      let warpData = {
-        jobStatus: 'CANCELLED',
-        jobEndedAt: cancellationTime
-      };
-
-       console.log(`[CancelWarp TX] Updating warp ${warpId} status to CANCELLED and setting jobEndedAt.`);
-      const cancelledWarp = await tx.warp.update({
-        where: { id: warpId },
-        data: warpData,
+  const {
+    warp: cancelledWarp,
+    user: updatedUser,
+    alreadyEnded,
+  } = await appPrismaClient.$transaction(async tx => {
+    cancelLogger.debug('Starting cancel transaction', { warpId });
+    // Mark the warp as cancelled and record the end time *now*
+    // This is an approximation for billing purposes.
+    const cancellationTime = new Date();
+    // Re-fetch inside tx to get latest state before update
+    const warpToUpdate = await tx.warp.findUnique({
+      where: { id: warpId },
+      select: { jobStartedAt: true },
+    });
+
+    // Ensure jobStartedAt exists before calculating duration
+    const jobStartedAt = warpToUpdate.jobStartedAt;
+    let warpData = {
+      jobStatus: 'CANCELLED',
+      jobEndedAt: cancellationTime,
+    };
+
+    cancelLogger.debug(
+      'Updating warp status to CANCELLED and setting jobEndedAt',
+      { warpId },
+    );
+    // A job status sync may have ended and billed the warp meanwhile
+    const { count } = await tx.warp.updateMany({
+      where: { id: warpId, jobStatus: { notIn: TERMINAL_JOB_STATUSES } },
+      data: warpData,
+    });
+    const cancelledWarp = await tx.warp.findUnique({
+      where: { id: warpId },
+    });
+    if (count === 0) {
+      cancelLogger.info(
+        'Warp ended while being cancelled. Not billing it again',
+        {
+          warpId,
+          jobStatus: cancelledWarp.jobStatus,
+        },
+      );
+      const user = await tx.user.findUnique({ where: { id: userId } });
+      return { warp: cancelledWarp, user, alreadyEnded: true };
+    }
+    await recordAuditEvent({
+      tx,
+      actorId,
+      action: AUDIT_ACTION.WARP_CANCELLED,
+      targetType: 'Warp',
+      targetId: warpId,
+      before: { jobStatus: warp.jobStatus },
+      after: { jobStatus: cancelledWarp.jobStatus },
+      reason,
+    });
+
+    let updatedUser;
+    // Only update balance if the job actually started
+    if (jobStartedAt) {
+      cancelLogger.debug('Job had started. Billing the time used', {
+        warpId,
+        jobId: warp.jobId,
+        userId,
       });
+      updatedUser = await updateUserTimeBalanceForEndedWarp({
+        tx,
+        userId,
+        warp: {
+          ...cancelledWarp,
+          jobStartedAt: jobStartedAt,
+          jobEndedAt: cancellationTime,
+        }, // Pass necessary fields
+      });
+    } else {
+      // If job never started, just fetch the user to return
+      updatedUser = await tx.user.findUnique({ where: { id: userId } });
+      cancelLogger.info(
+        'Job was cancelled before it started. No time deducted',
+        { warpId, jobId: warp.jobId, userId },
+      );
+    }
 
-      let updatedUser;
-      // Only update balance if the job actually started
-      if (jobStartedAt) {
-         console.log(`[CancelWarp TX] Job ${warp.jobId} had started. Calculating and updating user ${userId} balance...`);
-        updatedUser = await updateUserTimeBalanceForEndedWarp({
-          tx,
-          userId,
-          warp: { ...cancelledWarp, jobStartedAt: jobStartedAt, jobEndedAt: cancellationTime }, // Pass necessary fields
-        });
-         console.log(`[CancelWarp TX] User ${userId} balance updated.`);
-      } else {
-         // If job never started, just fetch the user to return
-         console.log(`[CancelWarp TX] Job ${warp.jobId} was cancelled before it started. Fetching user ${userId} without balance update.`);
-         updatedUser = await tx.user.findUnique({ where: { id: userId }});
-         console.log(`[CancelWarp TX] Job ${warp.jobId} was cancelled before it started. No time deducted.`);
-      }
+    cancelLogger.debug('Cancel transaction complete', { warpId });
+    return { warp: cancelledWarp, user: updatedUser };
+  });
 
-       console.log(`[CancelWarp TX] Transaction complete for warp ${warpId}.`);
-      return { warp: cancelledWarp, user: updatedUser };
-    });
+  if (alreadyEnded) {
+    return { warp: cancelledWarp, user: updatedUser };
+  }
 
-   console.log(`[CancelWarp] Successfully marked warp ${warpId} as CANCELLED and updated user ${userId} balance (if applicable).`);
+  cancelLogger.info('Warp cancelled', {
+    warpId,
+    userId,
+    timeBalance: updatedUser?.timeBalance,
+  });
+  warpsEndedTotal.inc({ status: 'CANCELLED' });
+  await promoteQueuedWarpsAfterWarpEnded(warpId);
   return { warp: cancelledWarp, user: updatedUser };
 }
 
-// Added function to handle job status updates
 /**
- * Fetches the latest status for a given warp's job from RunPod
- * and updates the warp record in the database.
- * @param {string} warpId
- * @returns {Promise<object|null>} Updated warp object or null if not found/no job ID
+ * Pauses a running warp. Its current active interval is closed so billing stops,
+ * while the compute job keeps running so the worker is still there on resume.
+ * @param {{id: string, jobStartedAt: Date}} warp An IN_PROGRESS warp
+ * @returns {Promise<object>} The paused warp
  */
-export async function syncWarpJobStatus(warpId) {
-  const warp = await appPrismaClient.warp.findUnique({
-    where: { id: warpId },
-    // Select all fields needed for comparison and potential updates
-    select: {
-      id: true,
-      jobId: true,
-      jobStatus: true,
-      jobStartedAt: true,
-      jobEndedAt: true,
-      workerId: true,
-      createdById: true, // Needed for balance update later
-      runpodConfirmedTerminal: true, // Added field
-      updatedAt: true, // Needed for return value consistency
-      createdAt: true, // Needed for return value consistency
-    },
-  });
+export async function pauseWarp(warp) {
+  const pausedAt = new Date();
 
-  if (!warp || !warp.jobId) {
-    console.log(`Warp ${warpId} not found or has no job ID. Skipping status sync.`);
-    return null;
-  }
+  return appPrismaClient.$transaction(async tx => {
+    const openInterval = await tx.warpActiveInterval.findFirst({
+      where: { warpId: warp.id, endedAt: null },
+    });
 
-  const terminalStates = ['COMPLETED', 'FAILED', 'CANCELLED', 'ENDED'];
+    if (openInterval) {
+      await tx.warpActiveInterval.update({
+        where: { id: openInterval.id },
+        data: { endedAt: pausedAt },
+      });
+    } else {
+      // First pause: the warp has been active since the job started
+      await tx.warpActiveInterval.create({
+        data: {
+          warpId: warp.id,
+          startedAt: warp.jobStartedAt,
+          endedAt: pausedAt,
+        },
+      });
+    }
 
-  // If already terminal in DB AND confirmed by Runpod, skip API sync.
-  if (terminalStates.includes(warp.jobStatus) && warp.runpodConfirmedTerminal) {
-    // console.log(`Warp ${warpId} is already in a confirmed terminal state ${warp.jobStatus}. Skipping API sync.`);
-    return warp; // Return the existing warp data
-  }
+    warpLogger.info('Paused warp', { warpId: warp.id });
+    return tx.warp.update({
+      where: { id: warp.id },
+      data: { jobStatus: 'PAUSED', pausedAt },
+    });
+  });
+}
 
-  try {
-    console.log(`[SyncWarp] Calling getRunpodServerlessJobStatus for job ${warp.jobId}...`);
-    const jobStatusResult = await getRunpodServerlessJobStatus(warp.jobId);
-    console.log(`[SyncWarp] Raw response for job ${warp.jobId}:`, JSON.stringify(jobStatusResult)); // Less verbose logging
+/**
+ * Resumes a paused warp, opening a new active interval so billing restarts.
+ * @param {{id: string}} warp A PAUSED warp
+ * @returns {Promise<object>} The running warp
+ */
+export async function resumeWarp(warp) {
+  const resumedAt = new Date();
 
-    const { status, workerId, delayTime, executionTime } = jobStatusResult;
+  return appPrismaClient.$transaction(async tx => {
+    await tx.warpActiveInterval.create({
+      data: { warpId: warp.id, startedAt: resumedAt },
+    });
 
-    let needsUpdate = false;
-    const updateData = {};
+    warpLogger.info('Resumed warp', { warpId: warp.id });
+    return tx.warp.update({
+      where: { id: warp.id },
+      data: { jobStatus: 'IN_PROGRESS', pausedAt: null },
+    });
+  });
+}
 
-    // Check if status changed
-    if (status !== warp.jobStatus) {
-      updateData.jobStatus = status;
-      needsUpdate = true;
-      console.log(`[SyncWarp] Status change detected for ${warp.id}: ${warp.jobStatus} -> ${status}`);
-      // If the new status is terminal, mark it as confirmed
-      if (terminalStates.includes(status)) {
-        updateData.runpodConfirmedTerminal = true;
-         console.log(`[SyncWarp] Marking warp ${warp.id} as runpodConfirmedTerminal.`);
-      }
-    }
+// Fields a warp needs for applyWarpJobStatus to compare against and update
+export const WARP_STATUS_SYNC_SELECT = {
+  id: true,
+  jobId: true,
+  jobStatus: true,
+  jobRequestedAt: true, // Needed for the queue wait metric
+  jobStartedAt: true,
+  jobEndedAt: true,
+  workerId: true,
+  createdById: true, // Needed for balance update later
+  runpodConfirmedTerminal: true, // Added field
+  updatedAt: true, // Needed for return value consistency
+  createdAt: true, // Needed for return value consistency
+  computeProvider: true, // Needed to query or cancel the job
+  pausedAt: true, // Needed to end long pauses
+};
 
-    // Check if workerId changed (and is not null/undefined)
-    const newWorkerId = workerId || warp.workerId; // Use new one if available
-    if (newWorkerId !== warp.workerId) {
-      updateData.workerId = newWorkerId;
-      needsUpdate = true;
-       console.log(`[SyncWarp] WorkerId change detected for ${warp.id}: ${warp.workerId} -> ${newWorkerId}`);
+/**
+ * Applies a job status reported by the compute provider (from a status poll or
+ * a job webhook) to a warp: records status, worker and start/end times, marks
+ * terminal states as confirmed and finalizes the user's balance when the job
+ * has just ended.
+ * @param {object} warp Warp selected with WARP_STATUS_SYNC_SELECT
+ * @param {object} jobStatusResult Provider job status ({ status, workerId, delayTime, executionTime })
+ * @returns {Promise<object>} The warp after any update
+ */
+export async function applyWarpJobStatus(warp, jobStatusResult) {
+  const warpId = warp.id;
+  const { workerId, delayTime, executionTime } = jobStatusResult;
+
+  // The job keeps running while a warp is paused, so the provider still reports it IN_PROGRESS
+  const status =
+    warp.jobStatus === 'PAUSED' && jobStatusResult.status === 'IN_PROGRESS'
+      ? 'PAUSED'
+      : jobStatusResult.status;
+
+  let needsUpdate = false;
+  const updateData = {};
+
+  // Check if status changed
+  if (status !== warp.jobStatus) {
+    updateData.jobStatus = status;
+    needsUpdate = true;
+    syncLogger.info('Status change detected', {
+      warpId: warp.id,
+      from: warp.jobStatus,
+      to: status,
+    });
+    // If the new status is terminal, mark it as confirmed
+    if (TERMINAL_JOB_STATUSES.includes(status)) {
+      updateData.runpodConfirmedTerminal = true;
+      syncLogger.debug('Marking warp as runpodConfirmedTerminal', {
+        warpId: warp.id,
+      });
     }
+  }
 
-    // Check if jobStartedAt needs setting
-    let estimatedStartedAt = null;
-    if (status === 'IN_PROGRESS' && !warp.jobStartedAt) {
-       estimatedStartedAt = new Date(Date.now() - (delayTime || 0));
-       updateData.jobStartedAt = estimatedStartedAt;
-       needsUpdate = true;
-       console.log(`[SyncWarp] Setting jobStartedAt for Warp ${warpId} (Job ${warp.jobId}) based on IN_PROGRESS status.`);
-    }
+  // Check if workerId changed (and is not null/undefined)
+  const newWorkerId = workerId || warp.workerId; // Use new one if available
+  if (newWorkerId !== warp.workerId) {
+    updateData.workerId = newWorkerId;
+    needsUpdate = true;
+    syncLogger.info('WorkerId change detected', {
+      warpId: warp.id,
+      from: warp.workerId,
+      to: newWorkerId,
+    });
+  }
 
-    // Check if jobEndedAt needs setting
-    let estimatedEndedAt = null;
-    if (terminalStates.includes(status) && !warp.jobEndedAt) {
-       // Use the estimatedStartedAt if calculated in this run, otherwise fetch it from warp
-       const start = estimatedStartedAt || warp.jobStartedAt;
-       if (start) { // Only calculate end time if we have a start time
-           estimatedEndedAt = new Date(start.getTime() + (executionTime || 0) * 1000);
-           // Ensure end time is not before start time
-           if (estimatedEndedAt < start) {
-               console.warn(`[SyncWarp] Calculated end time ${estimatedEndedAt.toISOString()} is before start time ${start.toISOString()} for job ${warp.jobId}. Using current time as fallback.`);
-               estimatedEndedAt = new Date(); // Fallback to current time
-           }
-           updateData.jobEndedAt = estimatedEndedAt;
-           needsUpdate = true;
-           console.log(`[SyncWarp] Setting jobEndedAt for Warp ${warpId} (Job ${warp.jobId}) based on ${status} status.`);
-           // Also mark as confirmed if setting end time based on terminal status
-           if (!updateData.runpodConfirmedTerminal) {
-             updateData.runpodConfirmedTerminal = true;
-              console.log(`[SyncWarp] Marking warp ${warp.id} as runpodConfirmedTerminal (triggered by setting jobEndedAt).`);
-           }
-       } else {
-            console.warn(`[SyncWarp] Cannot set jobEndedAt for job ${warp.jobId} in status ${status} because jobStartedAt is missing.`);
-            // If we couldn't set jobEndedAt but status is terminal, still mark confirmed if status changed
-            if (terminalStates.includes(status) && status !== warp.jobStatus && !updateData.runpodConfirmedTerminal) {
-               updateData.runpodConfirmedTerminal = true;
-               needsUpdate = true; // Need to update to set the flag
-               console.log(`[SyncWarp] Marking warp ${warp.id} as runpodConfirmedTerminal (status is terminal, but endedAt couldn't be set).`);
-            }
-       }
+  // Check if jobStartedAt needs setting
+  let estimatedStartedAt = null;
+  if (status === 'IN_PROGRESS' && !warp.jobStartedAt) {
+    estimatedStartedAt = new Date(Date.now() - (delayTime || 0));
+    updateData.jobStartedAt = estimatedStartedAt;
+    needsUpdate = true;
+    syncLogger.info('Setting jobStartedAt based on IN_PROGRESS status', {
+      warpId,
+      jobId: warp.jobId,
+    });
+  } else if (TERMINAL_JOB_STATUSES.includes(status) && !warp.jobStartedAt) {
+    // The first news of the job can be its end, e.g. a callback for a job we
+    // never saw running. It started once it left the queue, or executionTime
+    // before now, so it can still be billed.
+    if (warp.jobRequestedAt && delayTime != null) {
+      estimatedStartedAt = new Date(warp.jobRequestedAt.getTime() + delayTime);
+    } else if (executionTime != null) {
+      estimatedStartedAt = new Date(Date.now() - executionTime * 1000);
     }
+    if (estimatedStartedAt) {
+      updateData.jobStartedAt = estimatedStartedAt;
+      needsUpdate = true;
+      syncLogger.info(
+        'Setting jobStartedAt for a job first seen in a terminal status',
+        { warpId, jobId: warp.jobId, status },
+      );
+    }
+  }
 
-    // Final check: If status is terminal, flag is false, but nothing else triggered an update,
-    // we still need to update to set the flag true.
-    if (terminalStates.includes(status) && !warp.runpodConfirmedTerminal && !needsUpdate) {
-        console.log(`[SyncWarp] Forcing update for warp ${warp.id} to set runpodConfirmedTerminal=true (Status: ${status})`);
+  // Check if jobEndedAt needs setting
+  let estimatedEndedAt = null;
+  if (TERMINAL_JOB_STATUSES.includes(status) && !warp.jobEndedAt) {
+    // Use the estimatedStartedAt if calculated in this run, otherwise fetch it from warp
+    const start = estimatedStartedAt || warp.jobStartedAt;
+    if (start) {
+      // Only calculate end time if we have a start time
+      estimatedEndedAt = new Date(
+        start.getTime() + (executionTime || 0) * 1000,
+      );
+      // Ensure end time is not before start time
+      if (estimatedEndedAt < start) {
+        syncLogger.warn(
+          'Calculated end time is before start time. Using current time as fallback',
+          { jobId: warp.jobId, estimatedEndedAt, start },
+        );
+        estimatedEndedAt = new Date(); // Fallback to current time
+      }
+      updateData.jobEndedAt = estimatedEndedAt;
+      needsUpdate = true;
+      syncLogger.info('Setting jobEndedAt based on terminal status', {
+        warpId,
+        jobId: warp.jobId,
+        status,
+      });
+      // Also mark as confirmed if setting end time based on terminal status
+      if (!updateData.runpodConfirmedTerminal) {
+        updateData.runpodConfirmedTerminal = true;
+        syncLogger.debug(
+          'Marking warp as runpodConfirmedTerminal (triggered by setting jobEndedAt)',
+          { warpId: warp.id },
+        );
+      }
+    } else {
+      syncLogger.warn('Cannot set jobEndedAt because jobStartedAt is missing', {
+        warpId,
+        jobId: warp.jobId,
+        status,
+      });
+      // If we couldn't set jobEndedAt but status is terminal, still mark confirmed if status changed
+      if (
+        TERMINAL_JOB_STATUSES.includes(status) &&
+        status !== warp.jobStatus &&
+        !updateData.runpodConfirmedTerminal
+      ) {
         updateData.runpodConfirmedTerminal = true;
-        // Ensure jobStatus is included if not already, maintaining consistency
-        if (!updateData.jobStatus) updateData.jobStatus = status;
-        needsUpdate = true;
+        needsUpdate = true; // Need to update to set the flag
+        syncLogger.debug(
+          "Marking warp as runpodConfirmedTerminal (status is terminal, but endedAt couldn't be set)",
+          { warpId: warp.id },
+        );
+      }
     }
+  }
+
+  // Final check: If status is terminal, flag is false, but nothing else triggered an update,
+  // we still need to update to set the flag true.
+  if (
+    TERMINAL_JOB_STATUSES.includes(status) &&
+    !warp.runpodConfirmedTerminal &&
+    !needsUpdate
+  ) {
+    syncLogger.debug('Forcing update to set runpodConfirmedTerminal', {
+      warpId: warp.id,
+      status,
+    });
+    updateData.runpodConfirmedTerminal = true;
+    // Ensure jobStatus is included if not already, maintaining consistency
+    if (!updateData.jobStatus) updateData.jobStatus = status;
+    needsUpdate = true;
+  }
+
+  let finalWarp = warp; // Start with the initially fetched warp
 
-    let finalWarp = warp; // Start with the initially fetched warp
+  // The job callback, cleanup, warp reads and event polls can all sync a warp
+  // at once. Whoever ends it bills it, so a warp that was active when read is
+  // only updated while it still is: the others find it ended and leave it.
+  const endsWarp =
+    TERMINAL_JOB_STATUSES.includes(status) &&
+    !TERMINAL_JOB_STATUSES.includes(warp.jobStatus);
 
-    if (needsUpdate) {
-      console.log(`[SyncWarp] Updating warp ${warpId} in DB. Changes:`, Object.keys(updateData));
+  if (needsUpdate) {
+    syncLogger.debug('Updating warp', {
+      warpId,
+      changes: Object.keys(updateData),
+    });
+    if (TERMINAL_JOB_STATUSES.includes(warp.jobStatus)) {
       finalWarp = await appPrismaClient.warp.update({
         where: { id: warpId },
         data: updateData,
         // Return the full object after update including the new flag
-        select: {
-            id: true, jobId: true, jobStatus: true, jobStartedAt: true,
-            jobEndedAt: true, workerId: true, createdById: true, updatedAt: true, createdAt: true,
-            runpodConfirmedTerminal: true
-        }
+        select: WARP_STATUS_SYNC_SELECT,
+      });
+    } else {
+      const { count } = await appPrismaClient.warp.updateMany({
+        where: { id: warpId, jobStatus: { notIn: TERMINAL_JOB_STATUSES } },
+        data: updateData,
+      });
+      finalWarp = await appPrismaClient.warp.findUnique({
+        where: { id: warpId },
+        select: WARP_STATUS_SYNC_SELECT,
       });
+      if (count === 0) {
+        syncLogger.info('Warp was ended by a concurrent update. Skipping', {
+          warpId,
+          jobId: warp.jobId,
+          jobStatus: finalWarp.jobStatus,
+        });
+        return finalWarp;
+      }
+    }
 
-      // If the job just reached a terminal state *in this update* AND was confirmed,
-      // finalize the user's balance. Check finalWarp.runpodConfirmedTerminal for safety.
-      if (finalWarp.runpodConfirmedTerminal && terminalStates.includes(finalWarp.jobStatus) && finalWarp.jobEndedAt && finalWarp.jobStartedAt && status !== warp.jobStatus) {
-        console.log(`[SyncWarp] Job ${finalWarp.jobId} reached confirmed terminal state ${finalWarp.jobStatus}. Finalizing time balance for user ${finalWarp.createdById}.`);
-        try {
-            await appPrismaClient.$transaction(async (tx) => {
-                await updateUserTimeBalanceForEndedWarp({
-                    tx,
-                    userId: finalWarp.createdById,
-                    warp: finalWarp, // Pass the fully updated warp object
-                });
-            });
-             console.log(`[SyncWarp] Successfully finalized balance for user ${finalWarp.createdById} for job ${finalWarp.jobId}.`);
-        } catch (balanceError) {
-             console.error(`[SyncWarp] Error finalizing balance for user ${finalWarp.createdById} for job ${finalWarp.jobId}:`, balanceError);
-             // Decide how to handle this - maybe retry later? For now, log and continue.
-        }
+    // If the job just reached a terminal state *in this update* AND was confirmed,
+    // finalize the user's balance. Check finalWarp.runpodConfirmedTerminal for safety.
+    // A warp that was already terminal (e.g. CANCELLED by us) has been billed, so
+    // a later terminal status from RunPod must not bill it again.
+    if (
+      finalWarp.runpodConfirmedTerminal &&
+      TERMINAL_JOB_STATUSES.includes(finalWarp.jobStatus) &&
+      finalWarp.jobEndedAt &&
+      finalWarp.jobStartedAt &&
+      endsWarp
+    ) {
+      syncLogger.info(
+        'Job reached a confirmed terminal state. Billing the time used',
+        {
+          warpId,
+          jobId: finalWarp.jobId,
+          jobStatus: finalWarp.jobStatus,
+          userId: finalWarp.createdById,
+        },
+      );
+      try {
+        await appPrismaClient.$transaction(async tx => {
+          await updateUserTimeBalanceForEndedWarp({
+            tx,
+            userId: finalWarp.createdById,
+            warp: finalWarp, // Pass the fully updated warp object
+          });
+        });
+        syncLogger.info('Billed ended warp', {
+          warpId,
+          jobId: finalWarp.jobId,
+          userId: finalWarp.createdById,
+        });
+      } catch (balanceError) {
+        syncLogger.error('Error billing ended warp', {
+          warpId,
+          jobId: finalWarp.jobId,
+          userId: finalWarp.createdById,
+          error: balanceError,
+        });
+        // Decide how to handle this - maybe retry later? For now, log and continue.
       }
-    } else {
-      // console.log(`[SyncWarp] No relevant changes detected for warp ${warpId} (Status: ${status}). Skipping DB update.`);
     }
+  } else {
+    // console.log(`[SyncWarp] No relevant changes detected for warp ${warpId} (Status: ${status}). Skipping DB update.`);
+  }
+
+  // Recorded once the update is stored, so each start and end counts once
+  if (updateData.jobStartedAt && warp.jobRequestedAt) {
+    warpQueueWaitSeconds.observe(
+      (updateData.jobStartedAt - warp.jobRequestedAt) / 1000,
+    );
+  }
+
+  if (endsWarp) {
+    warpsEndedTotal.inc({ status });
+    await promoteQueuedWarpsAfterWarpEnded(warpId);
+  }
+
+  // console.log(`Synced status for Warp ${warpId} (Job ${warp.jobId}): ${finalWarp.jobStatus}`);
+  return finalWarp; // Return the latest warp data (either original or updated)
+}
+
+// Added function to handle job status updates
+/**
+ * Fetches the latest status for a given warp's job from its compute provider
+ * and updates the warp record in the database.
+ * @param {string} warpId
+ * @returns {Promise<object|null>} Updated warp object or null if not found/no job ID
+ */
+export async function syncWarpJobStatus(warpId) {
+  const warp = await appPrismaClient.warp.findUnique({
+    where: { id: warpId },
+    // Select all fields needed for comparison and potential updates
+    select: WARP_STATUS_SYNC_SELECT,
+  });
+
+  if (!warp || !warp.jobId) {
+    syncLogger.info('Warp not found or has no job ID. Skipping status sync', {
+      warpId,
+    });
+    return null;
+  }
+
+  // If already terminal in DB AND confirmed by Runpod, skip API sync.
+  if (
+    TERMINAL_JOB_STATUSES.includes(warp.jobStatus) &&
+    warp.runpodConfirmedTerminal
+  ) {
+    // console.log(`Warp ${warpId} is already in a confirmed terminal state ${warp.jobStatus}. Skipping API sync.`);
+    return warp; // Return the existing warp data
+  }
 
-    // console.log(`Synced status for Warp ${warpId} (Job ${warp.jobId}): ${finalWarp.jobStatus}`);
-    return finalWarp; // Return the latest warp data (either original or updated)
+  try {
+    const provider = await getWarpComputeProvider(warp);
+    syncLogger.debug('Fetching job status', {
+      provider: provider.name,
+      jobId: warp.jobId,
+    });
+    const jobStatusResult = await provider.getJobStatus(warp.jobId);
+    syncLogger.debug('Job status response', {
+      jobId: warp.jobId,
+      response: jobStatusResult,
+    });
+
+    return await applyWarpJobStatus(warp, jobStatusResult);
   } catch (error) {
-    console.error(`Error syncing status for Warp ${warpId} (Job ${warp.jobId}):`, error);
+    syncLogger.error('Error syncing job status', {
+      warpId,
+      jobId: warp.jobId,
+      error,
+    });
 
     // Check if it's a 404 error from Runpod for a job already terminal in our DB
-    const isNotFoundError = error.message && error.message.includes('Not Found') && error.message.includes('request does not exist');
-    const isDbTerminal = terminalStates.includes(warp.jobStatus);
+    const isNotFoundError =
+      error.message &&
+      error.message.includes('Not Found') &&
+      error.message.includes('request does not exist');
+    const isDbTerminal = TERMINAL_JOB_STATUSES.includes(warp.jobStatus);
 
     if (isNotFoundError && isDbTerminal) {
-      console.log(`[SyncWarp] Runpod API returned 404 for DB terminal warp ${warpId} (Status: ${warp.jobStatus}). Assuming purged and marking as confirmed.`);
+      syncLogger.info(
+        'RunPod returned 404 for a warp terminal in the DB. Assuming purged and marking as confirmed',
+        { warpId, jobStatus: warp.jobStatus },
+      );
       try {
         const confirmedWarp = await appPrismaClient.warp.update({
           where: { id: warpId },
           data: { runpodConfirmedTerminal: true },
-          select: { // Return the full object consistent with successful sync
-            id: true, jobId: true, jobStatus: true, jobStartedAt: true,
-            jobEndedAt: true, workerId: true, createdById: true, updatedAt: true, createdAt: true,
-            runpodConfirmedTerminal: true
-          }
+          select: WARP_STATUS_SYNC_SELECT, // Return the full object consistent with successful sync
         });
         return confirmedWarp; // Return the updated warp object
       } catch (updateError) {
-        console.error(`[SyncWarp] Failed to mark warp ${warpId} as confirmed after 404 error:`, updateError);
+        syncLogger.error('Failed to mark warp as confirmed after 404 error', {
+          warpId,
+          error: updateError,
+        });
         // Fall through to return null if update fails
       }
     }
@@ -426,27 +837,58 @@ export async function syncWarpJobStatus(warpId) {
 
 /**
  * Finds and cancels warps that appear inactive, stuck, or have run too long.
+ * Job completion normally arrives through the RunPod job webhook, so for ended
+ * jobs this polling is only a fallback for callbacks that never made it.
  * 1. Fetches all non-terminal warps.
  * 2. Syncs their status with RunPod.
  * 3. Cancels warps based on updated status and time thresholds:
  *    - Stuck in initial states (IN_QUEUE, PENDING) for too long.
  *    - Running (IN_PROGRESS) for longer than a maximum allowed duration.
+ *    - PAUSED for longer than WARP_PAUSE_TIMEOUT_MINUTES.
  */
 export async function cleanupInactiveWarps() {
+  const startedAt = Date.now();
+  try {
+    await cancelInactiveWarps();
+    lastCleanupSucceededAt = new Date();
+    cleanupLastSuccessTimestampSeconds.set(
+      lastCleanupSucceededAt.getTime() / 1000,
+    );
+  } finally {
+    cleanupDurationSeconds.observe((Date.now() - startedAt) / 1000);
+  }
+}
+
+/**
+ * When cleanupInactiveWarps last finished without error in this process, for
+ * the readiness check.
+ * @returns {?Date} null until the first successful run
+ */
+export function getLastCleanupSuccessAt() {
+  return lastCleanupSucceededAt;
+}
+
+async function cancelInactiveWarps() {
   const stuckThresholdMinutes = 20; // Max time to wait for a job to start
   const inactivityThresholdMinutes = 2; // Max time since last *actual change* for an IN_PROGRESS job
   // Removed recheckTerminalMinutes as we now rely on the runpodConfirmedTerminal flag
 
   const now = new Date();
-  const stuckTimeCutoff = new Date(now.getTime() - stuckThresholdMinutes * 60 * 1000);
-  const inactivityCutoff = new Date(now.getTime() - inactivityThresholdMinutes * 60 * 1000);
+  const stuckTimeCutoff = new Date(
+    now.getTime() - stuckThresholdMinutes * 60 * 1000,
+  );
+  const inactivityCutoff = new Date(
+    now.getTime() - inactivityThresholdMinutes * 60 * 1000,
+  );
+  const pauseCutoff = new Date(
+    now.getTime() - WARP_PAUSE_TIMEOUT_MINUTES * 60 * 1000,
+  );
   // Removed recheckTerminalCutoff
 
   // Define states
-  const terminalStates = ['COMPLETED', 'FAILED', 'CANCELLED', 'ENDED'];
   const activeStates = ['IN_QUEUE', 'PENDING', 'IN_PROGRESS', 'PAUSED'];
 
-  console.log('[Cleanup] Starting inactive/stuck/unconfirmed warp check...');
+  cleanupLogger.info('Starting inactive/stuck/unconfirmed warp check');
 
   // Fetch warps that are potentially active OR terminal but not yet confirmed by Runpod sync
   const warpsToCheck = await appPrismaClient.warp.findMany({
@@ -457,8 +899,8 @@ export async function cleanupInactiveWarps() {
         { jobStatus: { in: activeStates } }, // Actively supposed to be running/queued
         { jobStatus: null }, // Might have failed before status set
         {
-          jobStatus: { in: terminalStates }, // Is terminal in our DB...
-          runpodConfirmedTerminal: false,     // ...but we haven't confirmed it via API yet
+          jobStatus: { in: TERMINAL_JOB_STATUSES }, // Is terminal in our DB...
+          runpodConfirmedTerminal: false, // ...but we haven't confirmed it via API yet
         },
       ],
     },
@@ -475,11 +917,14 @@ export async function cleanupInactiveWarps() {
   });
 
   if (warpsToCheck.length === 0) {
-    console.log('[Cleanup] No warps found needing status check or confirmation.');
+    cleanupLogger.info('No warps found needing status check or confirmation');
     return;
   }
 
-  console.log(`[Cleanup] Found ${warpsToCheck.length} warps to check/confirm. Syncing status and evaluating...`);
+  cleanupLogger.info(
+    'Found warps to check/confirm. Syncing status and evaluating',
+    { count: warpsToCheck.length },
+  );
 
   let cancelAttemptCount = 0;
   let errorCount = 0;
@@ -488,80 +933,147 @@ export async function cleanupInactiveWarps() {
   for (const initialWarp of warpsToCheck) {
     let needsCancellation = false;
     let reason = '';
+    // Short form of the reason for metrics
+    let reasonLabel = '';
     const initialDbStatus = initialWarp.jobStatus;
     const wasConfirmedBeforeSync = initialWarp.runpodConfirmedTerminal;
 
     try {
-      console.log(`[Cleanup] Syncing status for warp ${initialWarp.id} (Job: ${initialWarp.jobId}, DB Status: ${initialDbStatus || 'NULL'}, Confirmed: ${wasConfirmedBeforeSync})`);
+      cleanupLogger.debug('Syncing status for warp', {
+        warpId: initialWarp.id,
+        jobId: initialWarp.jobId,
+        dbStatus: initialDbStatus,
+        confirmed: wasConfirmedBeforeSync,
+      });
       // syncWarpJobStatus now returns the latest warp data, including runpodConfirmedTerminal
       const syncedWarp = await syncWarpJobStatus(initialWarp.id);
 
       if (!syncedWarp) {
-        console.warn(`[Cleanup] Failed to sync status for warp ${initialWarp.id}. Skipping further checks for this warp.`);
+        cleanupLogger.warn(
+          'Failed to sync status for warp. Skipping further checks for it',
+          { warpId: initialWarp.id },
+        );
         skippedCount++;
         continue;
       }
 
       // If the sync confirmed the job is terminal, we're done with this one.
       if (syncedWarp.runpodConfirmedTerminal) {
-        console.log(`[Cleanup] Warp ${syncedWarp.id} is now in confirmed terminal state '${syncedWarp.jobStatus}'. Skipping cancellation check.`);
+        cleanupLogger.debug(
+          'Warp is in a confirmed terminal state. Skipping cancellation check',
+          { warpId: syncedWarp.id, jobStatus: syncedWarp.jobStatus },
+        );
         skippedCount++;
         continue;
       }
 
       // --- If Runpod status is STILL ACTIVE (or couldn't be confirmed as terminal by sync) ---
       const currentRunpodStatus = syncedWarp.jobStatus; // Status after sync attempt
-      console.log(`[Cleanup] Warp ${syncedWarp.id} has non-confirmed status '${currentRunpodStatus}' after sync. Evaluating cleanup rules...`);
+      cleanupLogger.debug(
+        'Warp has non-confirmed status after sync. Evaluating cleanup rules',
+        { warpId: syncedWarp.id, jobStatus: currentRunpodStatus },
+      );
 
       // Check 1: Stuck in initial states
-      if (activeStates.slice(0, 2).includes(currentRunpodStatus) && syncedWarp.createdAt < stuckTimeCutoff) { // IN_QUEUE, PENDING
+      if (
+        activeStates.slice(0, 2).includes(currentRunpodStatus) &&
+        syncedWarp.createdAt < stuckTimeCutoff
+      ) {
+        // IN_QUEUE, PENDING
         needsCancellation = true;
+        reasonLabel = 'stuck';
         reason = `Stuck in ${currentRunpodStatus} since ${syncedWarp.createdAt.toISOString()}`;
       }
       // Check 2: Running but inactive (updatedAt didn't change recently)
       // We rely on syncWarpJobStatus *not* updating the record if status didn't change.
-      else if (currentRunpodStatus === 'IN_PROGRESS' && syncedWarp.updatedAt < inactivityCutoff) {
+      else if (
+        currentRunpodStatus === 'IN_PROGRESS' &&
+        syncedWarp.updatedAt < inactivityCutoff
+      ) {
         needsCancellation = true;
+        reasonLabel = 'inactive';
         reason = `Inactive IN_PROGRESS (last change detected at: ${syncedWarp.updatedAt.toISOString()})`;
       }
-      // Check 3: Discrepancy - DB thought it was terminal (but unconfirmed), sync shows it's active
-      else if (terminalStates.includes(initialDbStatus) && !wasConfirmedBeforeSync && activeStates.includes(currentRunpodStatus)) {
-          needsCancellation = true;
-          reason = `Discrepancy: DB status was unconfirmed '${initialDbStatus}', Runpod sync shows active '${currentRunpodStatus}'`;
+      // Check 3: Paused for longer than allowed
+      else if (
+        currentRunpodStatus === 'PAUSED' &&
+        syncedWarp.pausedAt < pauseCutoff
+      ) {
+        needsCancellation = true;
+        reasonLabel = 'pause_timeout';
+        reason = `Paused since ${syncedWarp.pausedAt.toISOString()}, longer than ${WARP_PAUSE_TIMEOUT_MINUTES} minutes`;
+      }
+      // Check 4: Discrepancy - DB thought it was terminal (but unconfirmed), sync shows it's active
+      else if (
+        TERMINAL_JOB_STATUSES.includes(initialDbStatus) &&
+        !wasConfirmedBeforeSync &&
+        activeStates.includes(currentRunpodStatus)
+      ) {
+        needsCancellation = true;
+        reasonLabel = 'discrepancy';
+        reason = `Discrepancy: DB status was unconfirmed '${initialDbStatus}', Runpod sync shows active '${currentRunpodStatus}'`;
       }
 
       if (needsCancellation) {
-        console.log(`[Cleanup] Triggering cancellation for warp ${syncedWarp.id} (User: ${syncedWarp.createdById}, Job: ${syncedWarp.jobId}). Reason: ${reason}`);
+        cleanupLogger.info('Triggering cancellation for warp', {
+          warpId: syncedWarp.id,
+          userId: syncedWarp.createdById,
+          jobId: syncedWarp.jobId,
+          reason,
+        });
         try {
-            await cancelWarpAndUpdateUserTimeBalance({
-              userId: syncedWarp.createdById,
-              warpId: syncedWarp.id,
-              warp: syncedWarp, // Pass the synced warp object
-            });
-            console.log(`[Cleanup] Successfully initiated cancellation attempt for warp ${syncedWarp.id}.`);
-            cancelAttemptCount++;
-        } catch(cancelError) {
-             console.error(`[Cleanup] Error during cancellation attempt for warp ${syncedWarp.id}:`, cancelError.message);
-             // If cancellation failed because it's already terminal (race condition), treat as skipped
-             if (cancelError.message && cancelError.message.includes('already in terminal state')) {
-                 console.log(`[Cleanup] Cancellation failed because warp ${syncedWarp.id} reached terminal state concurrently.`);
-                 // Ensure it gets marked confirmed on the next run if needed
-                 skippedCount++;
-             } else {
-                 errorCount++; // Count other cancellation errors
-             }
+          await cancelWarpAndUpdateUserTimeBalance({
+            userId: syncedWarp.createdById,
+            warpId: syncedWarp.id,
+            warp: syncedWarp, // Pass the synced warp object
+            reason,
+          });
+          cleanupLogger.info('Initiated cancellation attempt for warp', {
+            warpId: syncedWarp.id,
+          });
+          cancelAttemptCount++;
+          cleanupCancellationsTotal.inc({ reason: reasonLabel });
+        } catch (cancelError) {
+          cleanupLogger.error('Error during cancellation attempt for warp', {
+            warpId: syncedWarp.id,
+            error: cancelError,
+          });
+          // If cancellation failed because it's already terminal (race condition), treat as skipped
+          if (
+            cancelError.message &&
+            cancelError.message.includes('already in terminal state')
+          ) {
+            cleanupLogger.info(
+              'Cancellation failed because warp reached terminal state concurrently',
+              { warpId: syncedWarp.id },
+            );
+            // Ensure it gets marked confirmed on the next run if needed
+            skippedCount++;
+          } else {
+            errorCount++; // Count other cancellation errors
+          }
         }
       } else {
-         console.log(`[Cleanup] Warp ${syncedWarp.id} (Status: ${currentRunpodStatus}) does not meet cancellation criteria this cycle.`);
-         skippedCount++;
+        cleanupLogger.debug(
+          'Warp does not meet cancellation criteria this cycle',
+          { warpId: syncedWarp.id, jobStatus: currentRunpodStatus },
+        );
+        skippedCount++;
       }
-
     } catch (error) {
       // Catch errors from syncWarpJobStatus itself (e.g., API call failure)
-      console.error(`[Cleanup] Error during sync/processing for warp ${initialWarp.id} (Job: ${initialWarp.jobId}):`, error.message);
+      cleanupLogger.error('Error during sync/processing for warp', {
+        warpId: initialWarp.id,
+        jobId: initialWarp.jobId,
+        error,
+      });
       errorCount++;
     }
   }
 
-  console.log(`[Cleanup] Finished. Cancellation Attempts: ${cancelAttemptCount}, Skipped/Confirmed: ${skippedCount}, Errors: ${errorCount}`);
+  cleanupLogger.info('Finished', {
+    cancelAttemptCount,
+    skippedCount,
+    errorCount,
+  });
 }